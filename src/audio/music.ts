@@ -0,0 +1,41 @@
+import { tone } from "./synth";
+import type { Synth } from "./synth";
+
+export interface MusicState {
+  step: number;
+  nextTime: number;
+}
+
+const LOOKAHEAD = 0.2;
+const SCALE = [0, 2, 4, 7, 9, 12, 14, 16];
+const ARP = [0, 2, 4, 2, 5, 4, 2, 1, 0, 2, 4, 6, 7, 6, 4, 2];
+const BASS = [0, 0, 5, 5, 3, 3, 4, 4];
+
+function noteFreq(semitones: number, base = 220) {
+  return base * Math.pow(2, semitones / 12);
+}
+
+export function createMusicState(): MusicState {
+  return { step: 0, nextTime: 0 };
+}
+
+/**
+ * Queues the next few notes of the background loop onto the audio clock.
+ * Called once per animation frame; the tempo rises with the evolution stage.
+ */
+export function scheduleMusic(s: Synth, m: MusicState, stageIdx: number) {
+  const beat = 60 / (96 + stageIdx * 6) / 2;
+  const now = s.ctx.currentTime;
+  if (m.nextTime < now) m.nextTime = now + 0.05;
+  while (m.nextTime < now + LOOKAHEAD) {
+    const delay = m.nextTime - now;
+    const arp = SCALE[ARP[m.step % ARP.length]];
+    tone(s, { type: "triangle", freq: noteFreq(arp, 440), dur: beat * 0.9, gain: 0.08, delay, bus: s.music });
+    if (m.step % 4 === 0) {
+      const bass = SCALE[BASS[(m.step / 4) % BASS.length]];
+      tone(s, { type: "sine", freq: noteFreq(bass, 110), dur: beat * 3.5, gain: 0.18, delay, bus: s.music });
+    }
+    m.step++;
+    m.nextTime += beat;
+  }
+}
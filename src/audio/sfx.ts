@@ -0,0 +1,217 @@
+import type { AbilityKind, GameEvent, GameState } from "../game/types";
+import { createMusicState, scheduleMusic } from "./music";
+import type { MusicState } from "./music";
+import { createSynth, noise, tone } from "./synth";
+import type { Synth } from "./synth";
+
+export interface AudioSettings {
+  muted: boolean;
+  volume: number;
+}
+
+export interface AudioSystem {
+  synth: Synth | null;
+  settings: AudioSettings;
+  suspended: boolean;
+  charge: { osc: OscillatorNode; env: GainNode } | null;
+  music: MusicState;
+}
+
+const LANDING: Record<string, { type: OscillatorType; freq: number; to: number; noise: number }> = {
+  normal: { type: "sine", freq: 170, to: 80, noise: 500 },
+  timed: { type: "square", freq: 240, to: 150, noise: 900 },
+  fragile: { type: "triangle", freq: 320, to: 190, noise: 1400 },
+  ice: { type: "sine", freq: 1200, to: 900, noise: 4000 },
+  conveyor: { type: "square", freq: 140, to: 110, noise: 600 },
+  blinking: { type: "triangle", freq: 520, to: 260, noise: 2200 },
+  oscillating: { type: "sine", freq: 220, to: 120, noise: 700 },
+};
+
+export function createAudioSystem(settings: AudioSettings): AudioSystem {
+  return { synth: null, settings, suspended: false, charge: null, music: createMusicState() };
+}
+
+function applyVolume(a: AudioSystem) {
+  if (!a.synth) return;
+  const level = a.settings.muted || a.suspended ? 0 : a.settings.volume;
+  a.synth.master.gain.setTargetAtTime(level, a.synth.ctx.currentTime, 0.02);
+}
+
+/** Call from every user gesture; the first one builds and starts the audio graph. */
+export function unlockAudio(a: AudioSystem) {
+  if (!a.synth) {
+    a.synth = createSynth();
+    applyVolume(a);
+  }
+  if (a.synth && a.synth.ctx.state === "suspended" && !a.suspended) {
+    a.synth.ctx.resume().catch(() => {});
+  }
+}
+
+export function applyAudioSettings(a: AudioSystem, settings: AudioSettings) {
+  a.settings = settings;
+  applyVolume(a);
+}
+
+export function setAudioSuspended(a: AudioSystem, suspended: boolean) {
+  a.suspended = suspended;
+  stopCharge(a);
+  applyVolume(a);
+  if (!a.synth) return;
+  if (suspended) a.synth.ctx.suspend().catch(() => {});
+  else a.synth.ctx.resume().catch(() => {});
+}
+
+function stopCharge(a: AudioSystem) {
+  if (!a.charge || !a.synth) return;
+  const t = a.synth.ctx.currentTime;
+  a.charge.env.gain.setTargetAtTime(0, t, 0.02);
+  a.charge.osc.stop(t + 0.1);
+  a.charge = null;
+}
+
+function startCharge(s: Synth) {
+  const osc = s.ctx.createOscillator();
+  const env = s.ctx.createGain();
+  osc.type = "triangle";
+  env.gain.value = 0;
+  env.gain.setTargetAtTime(0.12, s.ctx.currentTime, 0.03);
+  osc.connect(env);
+  env.connect(s.sfx);
+  osc.start();
+  return { osc, env };
+}
+
+/** Per-frame sounds that follow the game state rather than discrete events. */
+export function updateAudio(a: AudioSystem, g: GameState) {
+  const s = a.synth;
+  if (!s || a.suspended || s.ctx.state !== "running") return;
+
+  if (g.state === "charging") {
+    if (!a.charge) a.charge = startCharge(s);
+    const freq = 180 + g.power.value * 5.2;
+    a.charge.osc.frequency.setTargetAtTime(freq, s.ctx.currentTime, 0.015);
+  } else {
+    stopCharge(a);
+  }
+
+  if (g.state !== "gameover" && g.state !== "fallen" && !g.paused) scheduleMusic(s, a.music, g.stageIdx);
+}
+
+function playAbility(s: Synth, kind: AbilityKind) {
+  switch (kind) {
+    case "nudge":
+      tone(s, { type: "sine", freq: 500, to: 700, dur: 0.06, gain: 0.12 });
+      break;
+    case "doubleJump":
+      tone(s, { type: "sine", freq: 400, to: 900, dur: 0.12, gain: 0.16 });
+      break;
+    case "groundPound":
+      tone(s, { type: "sawtooth", freq: 300, to: 60, dur: 0.2, gain: 0.2 });
+      break;
+    case "fireBreath":
+      noise(s, { dur: 0.35, gain: 0.35, filter: "bandpass", freq: 600 });
+      break;
+    case "rebirth":
+      [392, 523, 659, 784, 1047].forEach((freq, i) => {
+        tone(s, { type: "triangle", freq, dur: 0.25, gain: 0.2, delay: i * 0.07 });
+      });
+      break;
+  }
+}
+
+export function playGameEvent(a: AudioSystem, ev: GameEvent) {
+  const s = a.synth;
+  if (!s || a.suspended) return;
+
+  switch (ev.type) {
+    case "jump":
+      if (ev.perfect) {
+        [880, 1320, 1760, 2640].forEach((freq, i) => {
+          tone(s, { freq, dur: 0.4, gain: 0.18, delay: i * 0.06 });
+        });
+      } else {
+        tone(s, { type: "sine", freq: 260, to: 520, dur: 0.1, gain: 0.12 });
+      }
+      break;
+    case "land": {
+      const l = LANDING[ev.platform.type] ?? LANDING.normal;
+      tone(s, { type: l.type, freq: l.freq, to: l.to, dur: 0.14, gain: 0.35 });
+      noise(s, { dur: 0.06, gain: 0.25, freq: l.noise });
+      break;
+    }
+    case "bounce":
+      tone(s, { type: "sine", freq: 180, to: 720, dur: 0.2, gain: 0.25 });
+      break;
+    case "platformBreak":
+      noise(s, { dur: 0.22, gain: 0.5, filter: "highpass", freq: 1800 });
+      tone(s, { type: "sawtooth", freq: 900, to: 160, dur: 0.12, gain: 0.15 });
+      break;
+    case "timedTick":
+      tone(s, { type: "square", freq: ev.secondsLeft <= 2 ? 1600 : 1150, dur: 0.04, gain: 0.12 });
+      break;
+    case "platformExpire":
+      tone(s, { type: "square", freq: 600, to: 120, dur: 0.25, gain: 0.2 });
+      break;
+    case "enemyHit":
+      tone(s, { type: "sawtooth", freq: 620, to: 140, dur: 0.22, gain: 0.25 });
+      noise(s, { dur: 0.12, gain: 0.3, filter: "bandpass", freq: 2500 });
+      break;
+    case "shieldBlock":
+      tone(s, { type: "triangle", freq: 1400, to: 700, dur: 0.18, gain: 0.22 });
+      noise(s, { dur: 0.1, gain: 0.2, filter: "highpass", freq: 3000 });
+      break;
+    case "enemyScorched":
+      noise(s, { dur: 0.3, gain: 0.3, filter: "lowpass", freq: 900 });
+      break;
+    case "ability":
+      playAbility(s, ev.kind);
+      break;
+    case "powerUp":
+      [660, 990, 1320].forEach((freq, i) => {
+        tone(s, { type: "sine", freq, dur: 0.12, gain: 0.16, delay: i * 0.05 });
+      });
+      break;
+    case "powerUpEnd":
+      tone(s, { type: "sine", freq: 700, to: 350, dur: 0.15, gain: 0.1 });
+      break;
+    case "stageChange":
+      if (ev.to > ev.from) {
+        [523, 659, 784, 1047].forEach((freq, i) => {
+          tone(s, { type: "triangle", freq, dur: i === 3 ? 0.6 : 0.15, gain: 0.22, delay: i * 0.11 });
+        });
+      } else {
+        tone(s, { type: "sine", freq: 392, to: 262, dur: 0.35, gain: 0.18 });
+      }
+      break;
+    case "biomeChange":
+      [330, 440, 554, 659].forEach((freq, i) => {
+        tone(s, { type: "sine", freq, dur: 0.5, gain: 0.12, delay: i * 0.12 });
+      });
+      break;
+    case "reviveOffer":
+    case "fall":
+      stopCharge(a);
+      tone(s, { type: "triangle", freq: 523, to: 392, dur: 0.3, gain: 0.2 });
+      break;
+    case "reviveTick":
+      tone(s, { type: "square", freq: ev.secondsLeft <= 2 ? 1600 : 1150, dur: 0.04, gain: 0.12 });
+      break;
+    case "revive":
+      [523, 659, 784, 1047].forEach((freq, i) => {
+        tone(s, { type: "sine", freq, dur: 0.18, gain: 0.2, delay: i * 0.06 });
+      });
+      break;
+    case "rewind":
+      [784, 659, 523].forEach((freq, i) => {
+        tone(s, { type: "sine", freq, dur: 0.12, gain: 0.18, delay: i * 0.05 });
+      });
+      break;
+    case "gameOver":
+      stopCharge(a);
+      [392, 370, 349, 262].forEach((freq, i) => {
+        tone(s, { type: "triangle", freq, dur: i === 3 ? 0.9 : 0.2, gain: 0.25, delay: i * 0.2 });
+      });
+      break;
+  }
+}
@@ -0,0 +1,96 @@
+export interface Synth {
+  ctx: AudioContext;
+  master: GainNode;
+  sfx: GainNode;
+  music: GainNode;
+  noiseBuffer: AudioBuffer;
+}
+
+export interface ToneOptions {
+  type?: OscillatorType;
+  freq: number;
+  to?: number;
+  dur: number;
+  gain?: number;
+  delay?: number;
+  bus?: GainNode;
+}
+
+export interface NoiseOptions {
+  dur: number;
+  gain?: number;
+  filter?: BiquadFilterType;
+  freq?: number;
+  delay?: number;
+}
+
+type AudioContextCtor = typeof AudioContext;
+
+function getAudioContextCtor(): AudioContextCtor | null {
+  if (typeof window === "undefined") return null;
+  const w = window as typeof window & { webkitAudioContext?: AudioContextCtor };
+  return w.AudioContext ?? w.webkitAudioContext ?? null;
+}
+
+/**
+ * Creates the audio graph: sfx and music buses feeding a master gain. Must
+ * run inside a user gesture, since mobile WebViews only let an AudioContext
+ * start from one.
+ */
+export function createSynth(): Synth | null {
+  const Ctor = getAudioContextCtor();
+  if (!Ctor) return null;
+  const ctx = new Ctor();
+  const master = ctx.createGain();
+  master.connect(ctx.destination);
+  const sfx = ctx.createGain();
+  sfx.connect(master);
+  const music = ctx.createGain();
+  music.gain.value = 0.35;
+  music.connect(master);
+
+  const noiseBuffer = ctx.createBuffer(1, ctx.sampleRate, ctx.sampleRate);
+  const data = noiseBuffer.getChannelData(0);
+  for (let i = 0; i < data.length; i++) data[i] = Math.random() * 2 - 1;
+
+  // iOS only unlocks output once something has actually played in the gesture
+  const silent = ctx.createBufferSource();
+  silent.buffer = ctx.createBuffer(1, 1, ctx.sampleRate);
+  silent.connect(ctx.destination);
+  silent.start();
+
+  return { ctx, master, sfx, music, noiseBuffer };
+}
+
+export function tone(s: Synth, { type = "sine", freq, to, dur, gain = 0.3, delay = 0, bus }: ToneOptions) {
+  const t0 = s.ctx.currentTime + delay;
+  const osc = s.ctx.createOscillator();
+  const env = s.ctx.createGain();
+  osc.type = type;
+  osc.frequency.setValueAtTime(freq, t0);
+  if (to !== undefined) osc.frequency.exponentialRampToValueAtTime(Math.max(1, to), t0 + dur);
+  env.gain.setValueAtTime(0.0001, t0);
+  env.gain.exponentialRampToValueAtTime(gain, t0 + Math.min(0.01, dur / 4));
+  env.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+  osc.connect(env);
+  env.connect(bus ?? s.sfx);
+  osc.start(t0);
+  osc.stop(t0 + dur + 0.02);
+}
+
+export function noise(s: Synth, { dur, gain = 0.3, filter = "lowpass", freq = 1000, delay = 0 }: NoiseOptions) {
+  const t0 = s.ctx.currentTime + delay;
+  const src = s.ctx.createBufferSource();
+  src.buffer = s.noiseBuffer;
+  const biquad = s.ctx.createBiquadFilter();
+  biquad.type = filter;
+  biquad.frequency.value = freq;
+  const env = s.ctx.createGain();
+  env.gain.setValueAtTime(gain, t0);
+  env.gain.exponentialRampToValueAtTime(0.0001, t0 + dur);
+  src.connect(biquad);
+  biquad.connect(env);
+  env.connect(s.sfx);
+  src.start(t0);
+  src.stop(t0 + dur + 0.02);
+}
@@ -1,1027 +1,611 @@
-import { useState, useEffect, useRef, useCallback } from "react";
-
-const W = 400;
-const H = 650;
-const GRAVITY = 0.28;
-const MAX_JUMP_VEL = 11.5;
-const PLATFORM_GAP = 80;
-const EGG_R = 18;
-
-const STAGES = [
-  { emoji: "\u{1F95A}", name: "\uC54C", need: 0, color: "#F9E4B7" },
-  { emoji: "\u{1F423}", name: "\uBCD1\uC544\uB9AC", need: 15, color: "#FFEB3B" },
-  { emoji: "\u{1F425}", name: "\uC544\uAE30\uC0C8", need: 40, color: "#FFC107" },
-  { emoji: "\u{1F414}", name: "\uB2ED", need: 75, color: "#FF9800" },
-  { emoji: "\u{1F985}", name: "\uB3C5\uC218\uB9AC", need: 120, color: "#8D6E63" },
-  { emoji: "\u{1F409}", name: "\uB4DC\uB798\uACE4", need: 180, color: "#E53935" },
-  { emoji: "\u{1F525}", name: "\uD53C\uB2C9\uC2A4", need: 260, color: "#FFD700" },
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
+import { closeView } from "@apps-in-toss/web-framework";
+import { applyAudioSettings, createAudioSystem, playGameEvent, setAudioSuspended, unlockAudio, updateAudio } from "../audio/sfx";
+import { ABILITIES } from "../game/abilities";
+import { W, STAGES, STEP_MS, MAX_FRAME_MS } from "../game/constants";
+import { DEFAULT_DISPLAY, resolveDisplay } from "../game/display";
+import type { AccessibilitySettings, MotionSetting, PlatformStyle } from "../game/display";
+import { createGame, isRunning, resumeGame, step } from "../game/engine";
+import { createGhostRecorder, decodeGhost, finishGhost, ghostAt, ghostMatches, recordGhostFrame } from "../game/ghost";
+import type { Ghost, GhostTrack } from "../game/ghost";
+import { practiceTuning } from "../game/practice";
+import type { PracticeOptions } from "../game/practice";
+import { dailySeed } from "../game/random";
+import { renderGame, renderVersus, setupCanvas } from "../game/render";
+import { canRequestRevive } from "../game/revive";
+import { createSwitchControl, pressSwitch, releaseSwitch, switchInput } from "../game/switchControl";
+import { TIME_ATTACK_TARGETS, formatTime, mergeTimeAttack, timeAttackSeed } from "../game/timeAttack";
+import type { TimeAttackRecord } from "../game/timeAttack";
+import { TUNING_PRESETS, isStandardTuning } from "../game/tuning";
+import type { Difficulty } from "../game/tuning";
+import { resultCardBlob, summarizeResult } from "../game/resultCard";
+import { fitViewport, sameViewport } from "../game/viewport";
+import type { Viewport } from "../game/viewport";
+import { PLAYER_COLORS, createMatch, formatClock, leadPlayer, matchOver, matchPaused, matchWinner, pauseMatch, resumeMatch, stepMatch } from "../game/versus";
+import type { Match } from "../game/versus";
+import { createRecorder, decodeReplay, encodeReplay, finishRecording, recordFrame, recordPause, togglePracticeOption } from "../game/replay";
+import type { Replay } from "../game/replay";
+import type { GameEvent, GameInput, GameMode } from "../game/types";
+import { dailyBest, defaultSave, loadSave, recordRun, updateMissions, updateSettings, updateTimeAttackRecord, writeSave } from "../storage/save";
+import type { SaveData, Settings } from "../storage/save";
+import { loadGhost, writeGhost } from "../storage/ghost";
+import { announcementFor, createAnnouncer } from "../platform/announcer";
+import { subscribeLifecycle } from "../platform/lifecycle";
+import { subscribeReducedMotion } from "../platform/reducedMotion";
+import { insetPadding, NO_INSETS, subscribeSafeArea } from "../platform/safeArea";
+import type { Insets } from "../platform/safeArea";
+import { getLeaderboardBackend, loadLeaderboardView } from "../leaderboard/leaderboard";
+import type { LeaderboardView } from "../leaderboard/leaderboard";
+import { createHaptics, hapticForEvent } from "../platform/haptics";
+import { downloadBlob, shareImage } from "../platform/share";
+import { isTossApp } from "../platform/toss";
+import { loadTuningPresets } from "../platform/tuningFile";
+import { getReviveProvider } from "../revive/revive";
+import type { ReviveProvider } from "../revive/revive";
+import { ACHIEVEMENTS } from "../missions/achievements";
+import { createMissionRun, finishMissionRun, missionDef, missionProgress, trackMissions, visibleToasts } from "../missions/missions";
+import ReplayViewer from "./ReplayViewer";
+
+const actionButtonStyle: React.CSSProperties = {
+  flex: 1,
+  padding: "6px 0",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.08)",
+  background: "rgba(255,255,255,0.05)",
+  color: "rgba(255,255,255,0.7)",
+  fontFamily: "monospace",
+  fontSize: 11,
+  fontWeight: "bold",
+  cursor: "pointer",
+};
+
+// kept in the accessibility tree for the live region but off screen
+const visuallyHiddenStyle: React.CSSProperties = {
+  position: "absolute",
+  width: 1,
+  height: 1,
+  margin: -1,
+  padding: 0,
+  border: 0,
+  overflow: "hidden",
+  clip: "rect(0 0 0 0)",
+  whiteSpace: "nowrap",
+};
+
+const DIFFICULTY_LABELS: [Difficulty, string][] = [["easy", "\uC26C\uC6C0"], ["normal", "\uBCF4\uD1B5"], ["hard", "\uC5B4\uB824\uC6C0"]];
+
+const MOTION_LABELS: [MotionSetting, string][] = [["system", "\uC790\uB3D9"], ["full", "\uCF1C\uAE30"], ["reduced", "\uC904\uC774\uAE30"]];
+
+const PLATFORM_STYLE_LABELS: [PlatformStyle, string][] = [
+  ["standard", "\uAE30\uBCF8"],
+  ["contrast", "\uACE0\uB300\uBE44"],
+  ["colorblind", "\uC0C9\uC57D"],
 ];
 
-interface Platform {
-  x: number;
-  y: number;
-  w: number;
-  h: number;
-  speed: number;
-  hue: number;
-  type: string;
-  timer: number;
-  landed: boolean;
-  removing: boolean;
-}
-
-interface Particle {
-  x: number;
-  y: number;
-  vx: number;
-  vy: number;
-  life: number;
-  maxLife: number;
-  size: number;
-  hue: number;
-}
-
-interface Bird {
-  x: number;
-  y: number;
-  speed: number;
-  frame: number;
+function segmentStyle(active: boolean): React.CSSProperties {
+  return {
+    padding: "2px 6px",
+    borderRadius: 6,
+    border: "1px solid rgba(255,255,255,0.08)",
+    background: active ? "rgba(251,191,36,0.18)" : "none",
+    color: active ? "#fbbf24" : "rgba(255,255,255,0.45)",
+    fontFamily: "'Noto Sans KR', sans-serif",
+    fontSize: 10,
+    cursor: "pointer",
+  };
 }
 
-interface LandingFx {
-  y: number;
-  x: number;
-  timer: number;
-  text: string;
-}
+const PRACTICE_TOGGLES: [keyof PracticeOptions, string][] = [
+  ["enemies", "\u{1F985} \uC801"],
+  ["timed", "\u23F1 \uC2DC\uD55C\uBD80"],
+  ["fragile", "\u{1F494} \uC77C\uD68C\uC6A9"],
+];
 
-interface Egg {
-  x: number;
-  y: number;
-  vx: number;
-  vy: number;
-  onPlatform: Platform | null;
-}
+/** Keys that press for one side of the screen, steering air abilities. */
+const SIDE_KEYS: Record<string, number> = { ArrowLeft: -1, ArrowRight: 1 };
+/** In versus the arrows are the players' buttons, with A and L for a roomier grip. */
+const VERSUS_KEYS: Record<string, number> = { ...SIDE_KEYS, KeyA: -1, KeyL: 1 };
+/** Stands in for a touch identifier when the mouse is used. */
+const MOUSE_POINTER = -1;
 
-interface GameState {
-  state: string;
-  egg: Egg;
-  platforms: Platform[];
-  camera: { y: number };
-  power: { value: number; dir: number; speed: number };
-  score: number;
-  highScore: number;
-  xp: number;
-  xpDecayTimer: number;
-  stageIdx: number;
-  prevStageIdx: number;
-  particles: Particle[];
-  birds: Bird[];
-  birdTimer: number;
-  perfectFlash: number;
-  landingFx: LandingFx | null;
-  heightReached: number;
-  highestPlatformY: number;
+function playerForSide(side: number) {
+  return side < 0 ? 0 : 1;
 }
 
-function getStage(jumps: number) {
-  for (let i = STAGES.length - 1; i >= 0; i--) {
-    if (jumps >= STAGES[i].need) return i;
-  }
-  return 0;
+/** Without a revive gate there is nothing to earn a continue with, so runs get none. */
+function continuesFor(provider: ReviveProvider | null) {
+  return provider ? undefined : 0;
 }
 
-function createPlatform(y: number, index: number): Platform {
-  const heightM = Math.max(0, Math.floor((540 - y) / 12));
-  const widthBase = Math.max(50, 130 - heightM * 0.35);
-  const widthVariance = Math.max(10, 25 - heightM * 0.08);
-  const w = widthBase + Math.random() * widthVariance;
-  const baseSpeed = 0.6 + Math.min(1.2, heightM * 0.008);
-  const zigzag = index % 2 === 0 ? 0.6 : 1.0;
-  const speed = baseSpeed * zigzag * (0.8 + Math.random() * 0.4) * (Math.random() > 0.5 ? 1 : -1);
-  let type = "normal";
-  if (heightM >= 15) {
-    const timedChance = Math.min(0.18, (heightM - 15) * 0.003);
-    const fragileChance = Math.min(0.15, (heightM - 15) * 0.002);
-    const roll = Math.random();
-    if (roll < timedChance) type = "timed";
-    else if (roll < timedChance + fragileChance) type = "fragile";
-  }
-  return {
-    x: 30 + Math.random() * (W - 60 - w),
-    y,
-    w,
-    h: 11,
-    speed,
-    hue: type === "timed" ? 0 : type === "fragile" ? 270 : (index * 37) % 360,
-    type,
-    timer: type === "timed" ? 300 : 0,
-    landed: false,
-    removing: false,
-  };
+/** A ref whose first value is built once, not thrown away on every render. */
+function useLazyRef<T>(init: () => T): React.RefObject<T> {
+  return useState(() => ({ current: init() }))[0];
 }
 
-function roundRect(ctx: CanvasRenderingContext2D, x: number, y: number, w: number, h: number, r: number) {
-  ctx.beginPath();
-  ctx.moveTo(x + r, y);
-  ctx.lineTo(x + w - r, y);
-  ctx.quadraticCurveTo(x + w, y, x + w, y + r);
-  ctx.lineTo(x + w, y + h - r);
-  ctx.quadraticCurveTo(x + w, y + h, x + w - r, y + h);
-  ctx.lineTo(x + r, y + h);
-  ctx.quadraticCurveTo(x, y + h, x, y + h - r);
-  ctx.lineTo(x, y + r);
-  ctx.quadraticCurveTo(x, y, x + r, y);
-  ctx.closePath();
+function downloadReplay(replay: Replay) {
+  const blob = new Blob([encodeReplay(replay)], { type: "application/json" });
+  downloadBlob(blob, `jump-egg-replay-${replay.score}m.json`);
 }
 
 export default function JumpEggGame() {
   const canvasRef = useRef<HTMLCanvasElement>(null);
+  const stageRef = useRef<HTMLDivElement>(null);
+  const viewport = useRef<Viewport | null>(null);
   const frameRef = useRef<number>(0);
-  const evolveFlashRef = useRef(false);
-
-  const game = useRef<GameState>({
-    state: "idle",
-    egg: { x: W / 2, y: 0, vx: 0, vy: 0, onPlatform: null },
-    platforms: [],
-    camera: { y: 0 },
-    power: { value: 50, dir: 1, speed: 1.6 },
-    score: 0,
-    highScore: 0,
-    xp: 0,
-    xpDecayTimer: 0,
-    stageIdx: 0,
-    prevStageIdx: 0,
-    particles: [],
-    birds: [],
-    birdTimer: 0,
-    perfectFlash: 0,
-    landingFx: null,
-    heightReached: 0,
-    highestPlatformY: 540,
-  });
+  const reviveProvider = useLazyRef(getReviveProvider);
+  const game = useLazyRef(() => createGame({ continues: continuesFor(reviveProvider.current) }));
+  const tunings = useRef(TUNING_PRESETS);
+  const input = useRef<GameInput>({});
+  const save = useLazyRef<SaveData>(defaultSave);
+  const recorder = useLazyRef(() => createRecorder(game.current));
+  const lastReplay = useRef<Replay | null>(null);
+  const viewerOpen = useRef(false);
+  const audio = useLazyRef(() => createAudioSystem(save.current.settings));
+  const haptics = useLazyRef(() => createHaptics(save.current.settings.haptics));
+  const leaderboard = useLazyRef(getLeaderboardBackend);
+  const leaderboardView = useRef<LeaderboardView | null>(null);
+  const missionRun = useLazyRef(() => createMissionRun(save.current.missions, save.current.stats));
+  // classic runs climb a fresh tower every time, so only the daily tower has a ghost to race
+  const dailyGhost = useRef<Ghost | null>(null);
+  const ghostTrack = useRef<GhostTrack | null>(null);
+  const ghostRecorder = useLazyRef(createGhostRecorder);
+  // kept from before the attempt so the results compare against the old record
+  const timeAttackBest = useRef<TimeAttackRecord | null>(null);
+  // a versus match runs one game per player; `game` then points at player one's
+  const match = useRef<Match | null>(null);
+  const versusInput = useRef<GameInput[]>([{}, {}]);
+  // the side each finger went down on, so lifting it releases the same player
+  const pointerSides = useLazyRef(() => new Map<number, number>());
+  const display = useRef(DEFAULT_DISPLAY);
+  const announcer = useLazyRef(createAnnouncer);
+  const switchControl = useLazyRef(createSwitchControl);
 
   const [uiScore, setUiScore] = useState(0);
   const [uiStage, setUiStage] = useState(0);
   const [uiXP, setUiXP] = useState(0.0);
   const [uiGameOver, setUiGameOver] = useState(false);
-  const [uiHighScore, setUiHighScore] = useState(0);
-
-  const initGame = useCallback(() => {
-    const g = game.current;
-    const platforms: Platform[] = [];
-    platforms.push({ x: W / 2 - 90, y: 540, w: 180, h: 11, speed: 0, hue: 140, type: "normal", timer: 0, landed: false, removing: false });
-    for (let i = 1; i <= 25; i++) {
-      platforms.push(createPlatform(540 - i * PLATFORM_GAP, i));
-    }
-    g.platforms = platforms;
-    g.egg = { x: W / 2, y: 540 - EGG_R, vx: 0, vy: 0, onPlatform: platforms[0] };
-    g.camera = { y: 0 };
-    g.power = { value: 50, dir: 1, speed: 1.6 };
-    g.score = 0;
-    g.xp = 0;
-    g.xpDecayTimer = 0;
-    g.stageIdx = 0;
-    g.prevStageIdx = 0;
-    g.state = "idle";
-    g.particles = [];
-    g.birds = [];
-    g.birdTimer = 0;
-    g.perfectFlash = 0;
-    g.landingFx = null;
-    g.heightReached = 540;
-    g.highestPlatformY = 540;
-    evolveFlashRef.current = false;
+  const [uiSave, setUiSave] = useState<SaveData>(defaultSave);
+  const [uiStarted, setUiStarted] = useState(false);
+  const [uiMode, setUiMode] = useState<GameMode>("classic");
+  const [uiTarget, setUiTarget] = useState(TIME_ATTACK_TARGETS[0]);
+  const [viewerReplay, setViewerReplay] = useState<Replay | null>(null);
+  const [replayError, setReplayError] = useState<string | null>(null);
+  const [uiPaused, setUiPaused] = useState(false);
+  const [uiFallen, setUiFallen] = useState(false);
+  const [uiRival, setUiRival] = useState(0);
+  const [uiClock, setUiClock] = useState("");
+  const [systemReducedMotion, setSystemReducedMotion] = useState(false);
+  // the id swaps the live region's text node, so the same message twice is still read out
+  const [uiAnnouncement, setUiAnnouncement] = useState({ id: 0, text: "" });
+  const [insets, setInsets] = useState<Insets>(NO_INSETS);
+
+  const initGame = useCallback((mode: GameMode = game.current.mode, target = game.current.target || TIME_ATTACK_TARGETS[0]) => {
+    const { difficulty, practice } = save.current.settings;
+    const tuning = tunings.current[difficulty];
+    const continues = continuesFor(reviveProvider.current);
+    match.current = mode === "versus" ? createMatch({ difficulty, tuning }) : null;
+    // practice keeps no high score, so nothing it does can count as a record
+    game.current = match.current
+      ? match.current.players[0]
+      : mode === "daily"
+        ? createGame({ mode, seed: dailySeed(), highScore: dailyBest(save.current), tuning: tunings.current.normal, continues })
+        : mode === "practice"
+          ? createGame({ mode, difficulty, tuning: practiceTuning(tuning, practice) })
+          : mode === "timeAttack"
+            ? createGame({ mode, seed: timeAttackSeed(target), target, tuning: tunings.current.normal, continues: 0 })
+            : createGame({ mode, highScore: save.current.stats.bestHeight, difficulty, tuning, continues });
+    timeAttackBest.current = save.current.timeAttack[target] ?? null;
+    setUiTarget(target);
+    recorder.current = createRecorder(game.current, mode === "practice" ? { base: tuning, options: practice } : undefined);
+    missionRun.current = createMissionRun(save.current.missions, save.current.stats);
+    ghostRecorder.current = createGhostRecorder();
+    announcer.current = createAnnouncer();
+    switchControl.current = createSwitchControl();
+    ghostTrack.current = ghostMatches(dailyGhost.current, game.current) ? decodeGhost(dailyGhost.current) : null;
+    setUiMode(mode);
+    input.current = {};
+    versusInput.current = [{}, {}];
+    pointerSides.current.clear();
     setUiScore(0);
     setUiStage(0);
     setUiXP(0);
     setUiGameOver(false);
+    setUiStarted(false);
+    setUiPaused(false);
+    setUiFallen(false);
   }, []);
 
-  const startCharging = useCallback(() => {
-    const g = game.current;
-    if (g.state !== "idle") return;
-    g.power.value = 0;
-    g.power.dir = 1;
-    g.state = "charging";
-  }, []);
-
-  const releaseJump = useCallback(() => {
-    const g = game.current;
-    if (g.state !== "charging") return;
-    const power = g.power.value / 100;
-    const stageBonus = 1 + g.stageIdx * 0.12;
-    const jumpVel = MAX_JUMP_VEL * Math.max(0.15, power) * stageBonus;
-    const egg = g.egg;
-    const platVx = egg.onPlatform ? egg.onPlatform.speed * 0.35 : 0;
-
-    if (egg.onPlatform && egg.onPlatform.type === "fragile") {
-      egg.onPlatform.removing = true;
-      g.platforms = g.platforms.filter((p) => !p.removing);
+  // single-switch play turns presses into a long press and a self-stopping bar each tick, see `switchInput`
+  const startCharging = useCallback((side?: number) => {
+    if (save.current.settings.accessibility.singleSwitch) {
+      pressSwitch(switchControl.current, side);
+      return;
     }
+    input.current.press = true;
+    if (side) input.current.side = side;
+  }, []);
 
-    egg.vy = -jumpVel;
-    egg.vx = platVx;
-    egg.onPlatform = null;
-    g.state = "jumping";
-
-    const isPerfect = g.power.value >= 99;
-
-    if (isPerfect) {
-      g.perfectFlash = 30;
-      g.xp += 5;
-      for (let i = 0; i < 24; i++) {
-        const angle = (i / 24) * Math.PI * 2;
-        const speed = 3 + Math.random() * 4;
-        g.particles.push({
-          x: egg.x, y: egg.y,
-          vx: Math.cos(angle) * speed,
-          vy: Math.sin(angle) * speed - 2,
-          life: 35 + Math.random() * 20,
-          maxLife: 55,
-          size: 3 + Math.random() * 5,
-          hue: 45 + Math.random() * 30,
-        });
-      }
-      for (let i = 0; i < 12; i++) {
-        const angle = (i / 12) * Math.PI * 2;
-        g.particles.push({
-          x: egg.x + Math.cos(angle) * 25,
-          y: egg.y + Math.sin(angle) * 25,
-          vx: Math.cos(angle) * 1.5,
-          vy: Math.sin(angle) * 1.5 - 1,
-          life: 25 + Math.random() * 15,
-          maxLife: 40,
-          size: 2 + Math.random() * 3,
-          hue: 180 + Math.random() * 60,
-        });
-      }
-      g.landingFx = { y: egg.y, x: egg.x, timer: 40, text: "\u2728 PERFECT! +5 XP \u2728" };
+  const releaseJump = useCallback((side?: number) => {
+    if (match.current) {
+      if (side) versusInput.current[playerForSide(side)].release = true;
+    } else if (save.current.settings.accessibility.singleSwitch) {
+      releaseSwitch(switchControl.current);
     } else {
-      for (let i = 0; i < 6; i++) {
-        g.particles.push({
-          x: egg.x + (Math.random() - 0.5) * 16,
-          y: egg.y + EGG_R,
-          vx: (Math.random() - 0.5) * 3,
-          vy: Math.random() * 2 + 1,
-          life: 25 + Math.random() * 15,
-          maxLife: 40,
-          size: 2 + Math.random() * 3,
-          hue: 45,
-        });
-      }
+      input.current.release = true;
     }
   }, []);
 
-  useEffect(() => { initGame(); }, [initGame]);
+  const announce = useCallback((text: string) => {
+    setUiAnnouncement((prev) => ({ id: prev.id + 1, text }));
+  }, []);
 
-  useEffect(() => {
-    const canvas = canvasRef.current;
-    if (!canvas) return;
-    const ctx = canvas.getContext("2d");
-    if (!ctx) return;
-    const dpr = window.devicePixelRatio || 1;
-    canvas.width = W * dpr;
-    canvas.height = H * dpr;
-    canvas.style.width = W + "px";
-    canvas.style.height = H + "px";
-    ctx.scale(dpr, dpr);
+  const isPaused = useCallback(() => (match.current ? matchPaused(match.current) : game.current.paused), []);
 
-    let lastTime = 0;
-    function loop(time: number) {
-      const dt = Math.min((time - lastTime) / 16.67, 2.5);
-      lastTime = time;
-      update(dt);
-      render(ctx!);
-      frameRef.current = requestAnimationFrame(loop);
-    }
+  const isOver = useCallback(() => (match.current ? matchOver(match.current) : game.current.state === "gameover"), []);
 
-    function update(dt: number) {
-      const g = game.current;
-      if (g.state === "gameover") return;
+  const pause = useCallback(() => {
+    if (match.current ? pauseMatch(match.current) : recordPause(recorder.current, game.current)) {
+      input.current = {};
+      versusInput.current = [{}, {}];
+      switchControl.current = createSwitchControl();
+      setAudioSuspended(audio.current, true);
+      setUiPaused(true);
+    }
+  }, []);
 
-      const { egg, platforms, camera, power } = g;
+  const resume = useCallback(() => {
+    if (match.current) resumeMatch(match.current);
+    else resumeGame(game.current);
+    setAudioSuspended(audio.current, false);
+    setUiPaused(false);
+  }, []);
 
-      if (g.state === "charging") {
-        power.value += power.dir * power.speed * dt;
-        if (power.value >= 100) { power.value = 100; power.dir = -1; }
-        if (power.value <= 0) { power.value = 0; power.dir = 1; }
-      }
+  const refreshLeaderboard = useCallback(() => {
+    const prev = leaderboardView.current;
+    leaderboardView.current = { top: prev?.top ?? [], myRank: prev?.myRank ?? null, loading: true };
+    loadLeaderboardView(leaderboard.current)
+      .then((view) => { leaderboardView.current = view; })
+      .catch(() => { leaderboardView.current = null; });
+  }, []);
 
-      for (const p of platforms) {
-        if (p.speed === 0) continue;
-        p.x += p.speed * dt;
-        if (p.x <= 8) { p.x = 8; p.speed = Math.abs(p.speed); }
-        if (p.x + p.w >= W - 8) { p.x = W - 8 - p.w; p.speed = -Math.abs(p.speed); }
-      }
+  const changeSettings = useCallback((patch: Partial<Settings>) => {
+    save.current = updateSettings(save.current, patch);
+    setUiSave(save.current);
+    applyAudioSettings(audio.current, save.current.settings);
+    haptics.current.enabled = save.current.settings.haptics;
+    writeSave(save.current).catch(() => {});
+  }, []);
 
-      for (const p of platforms) {
-        if (p.type === "timed" && p.landed && egg.onPlatform === p) {
-          p.timer -= dt;
-          if (p.timer <= 0 && !p.removing) {
-            p.timer = 0;
-            p.removing = true;
-            if (egg.onPlatform === p) {
-              egg.onPlatform = null;
-              egg.vy = 0;
-              g.state = "jumping";
-            }
-          }
-        }
-      }
-      g.platforms = g.platforms.filter((p) => !(p.type === "timed" && p.removing));
+  const changeAccessibility = useCallback((patch: Partial<AccessibilitySettings>) => {
+    changeSettings({ accessibility: { ...save.current.settings.accessibility, ...patch } });
+    if (patch.singleSwitch !== undefined) switchControl.current = createSwitchControl();
+  }, [changeSettings]);
 
-      g.birdTimer += dt;
-      const height = Math.max(0, Math.floor((540 - g.heightReached) / 12));
-      let birdInterval = 99999;
-      if (height >= 40 && height < 80) birdInterval = 500;
-      else if (height >= 80 && height < 130) birdInterval = 350;
-      else if (height >= 130 && height < 200) birdInterval = 250;
-      else if (height >= 200 && height < 300) birdInterval = 170;
-      else if (height >= 300) birdInterval = 120;
+  const togglePractice = useCallback((key: keyof PracticeOptions) => {
+    const practice = { ...save.current.settings.practice, [key]: !save.current.settings.practice[key] };
+    changeSettings({ practice });
+    const g = game.current;
+    if (g.mode === "practice") togglePracticeOption(recorder.current, g, practice, key);
+  }, [changeSettings]);
 
-      if (g.birdTimer > birdInterval) {
-        g.birdTimer = 0;
-        const birdY = camera.y + 80 + Math.random() * (H - 200);
-        g.birds.push({
-          x: W + 30,
-          y: birdY,
-          speed: 1.5 + Math.random() * 1.2 + Math.min(2, height * 0.01),
-          frame: 0,
-        });
-      }
+  const rewind = useCallback(() => {
+    if (game.current.mode === "practice" && game.current.state === "fallen") input.current.rewind = true;
+  }, []);
 
-      for (const b of g.birds) {
-        b.x -= b.speed * dt;
-        b.frame += dt * 0.15;
-        const dx = egg.x - b.x;
-        const dy = egg.y - b.y;
-        if (Math.abs(dx) < EGG_R + 14 && Math.abs(dy) < EGG_R + 8) {
-          egg.vx = -4;
-          if (g.state === "idle" || g.state === "charging") {
-            egg.onPlatform = null;
-            egg.vy = -2;
-            g.state = "jumping";
-          }
-          b.x = -100;
-          for (let i = 0; i < 6; i++) {
-            g.particles.push({
-              x: egg.x, y: egg.y,
-              vx: -(Math.random() * 3 + 1),
-              vy: (Math.random() - 0.5) * 3,
-              life: 15, maxLife: 15,
-              size: 2 + Math.random() * 3, hue: 30,
-            });
-          }
-        }
-      }
-      g.birds = g.birds.filter((b) => b.x > -50);
+  const requestRevive = useCallback(() => {
+    const g = game.current;
+    const provider = reviveProvider.current;
+    if (!provider || !canRequestRevive(g)) return;
+    input.current.revive = "wait";
+    provider.requestRevive()
+      .catch(() => false)
+      .then((earned) => {
+        // the player may have switched modes while the ad was up
+        if (game.current === g) input.current.revive = earned ? "accept" : "resume";
+      });
+  }, []);
 
-      if ((g.state === "idle" || g.state === "charging") && g.xp > 0) {
-        g.xpDecayTimer += dt;
-        g.xp = Math.max(0, g.xp - 0.008 * dt);
-        const newStage = getStage(Math.floor(g.xp));
-        if (newStage < g.stageIdx) {
-          for (let i = 0; i < 10; i++) {
-            g.particles.push({
-              x: g.egg.x + (Math.random() - 0.5) * 30,
-              y: g.egg.y + (Math.random() - 0.5) * 30,
-              vx: (Math.random() - 0.5) * 3,
-              vy: -(Math.random() * 2),
-              life: 20 + Math.random() * 15,
-              maxLife: 35,
-              size: 2 + Math.random() * 3,
-              hue: 0,
-            });
+  const press = useCallback((side?: number) => {
+    unlockAudio(audio.current);
+    const m = match.current;
+    if (m) {
+      // a press without a side (the space bar) belongs to neither player
+      if (matchOver(m)) initGame();
+      else if (matchPaused(m)) resume();
+      else if (side) versusInput.current[playerForSide(side)].press = true;
+      return;
+    }
+    const g = game.current;
+    if (g.state === "gameover") initGame();
+    else if (g.paused) resume();
+    else if (g.state === "fallen" && g.mode === "practice") rewind();
+    else if (g.state === "fallen") requestRevive();
+    else startCharging(side);
+  }, [initGame, resume, rewind, requestRevive, startCharging]);
+
+  const handleEvents = useCallback((events: GameEvent[]) => {
+    for (const ev of events) {
+      playGameEvent(audio.current, ev);
+      hapticForEvent(haptics.current, ev);
+      // versus events come from two players at once, so only the result is announced
+      const text = match.current ? null : announcementFor(announcer.current, ev);
+      if (text) announce(text);
+      if (ev.type === "chargeStart") {
+        setUiStarted(true);
+      } else if (ev.type === "gameOver") {
+        const g = game.current;
+        // versus runs are two people on one device, so they stay out of the save
+        if (g.mode === "versus") {
+          if (match.current && matchOver(match.current)) {
+            const winner = matchWinner(match.current);
+            announce(winner === null ? "\uBB34\uC2B9\uBD80" : `P${winner + 1} \uC2B9\uB9AC`);
+            setUiGameOver(true);
           }
+          continue;
         }
-        g.stageIdx = newStage;
-        setUiXP(g.xp);
-        setUiStage(g.stageIdx);
-      }
-
-      if ((g.state === "idle" || g.state === "charging") && egg.onPlatform) {
-        const platScreenY = egg.onPlatform.y - camera.y;
-        if (platScreenY > H) {
-          egg.onPlatform = null;
-          egg.vy = 0;
-          g.state = "jumping";
-        } else {
-          egg.x += egg.onPlatform.speed * dt;
-          egg.x = Math.max(EGG_R, Math.min(W - EGG_R, egg.x));
-          egg.y = egg.onPlatform.y - EGG_R;
-        }
-      }
-
-      if (g.state === "jumping") {
-        egg.vy += GRAVITY * dt;
-        egg.x += egg.vx * dt;
-        egg.y += egg.vy * dt;
-
-        if (egg.x < EGG_R) { egg.x = EGG_R; egg.vx = Math.abs(egg.vx) * 0.7; }
-        if (egg.x > W - EGG_R) { egg.x = W - EGG_R; egg.vx = -Math.abs(egg.vx) * 0.7; }
-
-        if (egg.vy < -1 && Math.random() > 0.5) {
-          const isPerfectTrail = g.perfectFlash > 0;
-          g.particles.push({
-            x: egg.x + (Math.random() - 0.5) * 10,
-            y: egg.y + EGG_R + 4,
-            vx: (Math.random() - 0.5) * (isPerfectTrail ? 2 : 0.5),
-            vy: Math.random() * 0.8 + 0.3,
-            life: isPerfectTrail ? 25 : 15 + Math.random() * 10,
-            maxLife: isPerfectTrail ? 35 : 25,
-            size: isPerfectTrail ? 3 + Math.random() * 3 : 1.5 + Math.random() * 2,
-            hue: isPerfectTrail ? 45 + Math.random() * 20 : 200,
-          });
+        save.current = recordRun(save.current, {
+          mode: g.mode,
+          score: ev.score,
+          maxStageIdx: g.maxStageIdx,
+          jumps: g.jumps,
+          perfects: g.perfects,
+        });
+        save.current = updateMissions(save.current, finishMissionRun(missionRun.current));
+        if (g.mode === "timeAttack") {
+          save.current = updateTimeAttackRecord(save.current, g.target, mergeTimeAttack(save.current.timeAttack[g.target] ?? null, g));
         }
-
-        if (egg.vy > 0) {
-          const eggScreenY = egg.y - camera.y;
-          if (eggScreenY < H + 10) {
-            for (const p of platforms) {
-              const screenY = p.y - camera.y;
-              if (screenY < -20 || screenY > H) continue;
-              if (p.removing) continue;
-
-              const prevY = egg.y - egg.vy * dt;
-              if (
-                prevY + EGG_R <= p.y + 4 &&
-                egg.y + EGG_R >= p.y - 2 &&
-                egg.x + EGG_R * 0.6 > p.x &&
-                egg.x - EGG_R * 0.6 < p.x + p.w
-              ) {
-                egg.y = p.y - EGG_R;
-                egg.vy = 0;
-                egg.vx = 0;
-                egg.onPlatform = p;
-                g.state = "idle";
-
-                if (p.type === "timed") p.landed = true;
-
-                if (p.y < g.highestPlatformY) {
-                  g.xp += 3;
-                  g.highestPlatformY = p.y;
-                  g.landingFx = { y: p.y, x: egg.x, timer: 20, text: "+3 XP" };
-                } else {
-                  g.landingFx = { y: p.y, x: egg.x, timer: 20, text: "SAFE" };
-                }
-
-                g.score = Math.max(g.score, Math.floor((540 - p.y) / 12));
-                g.xpDecayTimer = 0;
-                setUiScore(g.score);
-                setUiXP(g.xp);
-
-                for (let i = 0; i < 8; i++) {
-                  g.particles.push({
-                    x: egg.x + (Math.random() - 0.5) * 20,
-                    y: p.y,
-                    vx: (Math.random() - 0.5) * 4,
-                    vy: -(Math.random() * 2 + 0.5),
-                    life: 20 + Math.random() * 15,
-                    maxLife: 35,
-                    size: 2 + Math.random() * 3,
-                    hue: p.hue,
-                  });
-                }
-
-                g.prevStageIdx = g.stageIdx;
-                g.stageIdx = getStage(Math.floor(g.xp));
-                if (g.stageIdx > g.prevStageIdx) {
-                  evolveFlashRef.current = true;
-                  setTimeout(() => { evolveFlashRef.current = false; }, 1200);
-                  for (let i = 0; i < 20; i++) {
-                    const angle = (i / 20) * Math.PI * 2;
-                    g.particles.push({
-                      x: egg.x, y: egg.y,
-                      vx: Math.cos(angle) * (2 + Math.random() * 3),
-                      vy: Math.sin(angle) * (2 + Math.random() * 3),
-                      life: 30 + Math.random() * 20,
-                      maxLife: 50,
-                      size: 3 + Math.random() * 4,
-                      hue: 50,
-                    });
-                  }
-                }
-                setUiStage(g.stageIdx);
-
-                break;
-              }
-            }
-          }
+        setUiSave(save.current);
+        writeSave(save.current).catch(() => {});
+        if (ev.newBest && g.mode === "classic" && isStandardTuning(g.tuning)) {
+          leaderboard.current.submitScore(ev.score, g.maxStageIdx)
+            .catch(() => {})
+            .then(refreshLeaderboard);
         }
-
-        if (egg.y > camera.y + H + 20) {
-          g.state = "gameover";
-          g.highScore = Math.max(g.highScore, g.score);
-          setUiHighScore(g.highScore);
-          setUiGameOver(true);
+        lastReplay.current = finishRecording(recorder.current, ev.score);
+        const best = dailyGhost.current;
+        if (g.mode === "daily" && (!ghostMatches(best, g) || ev.score > best.score)) {
+          dailyGhost.current = finishGhost(ghostRecorder.current, g, ev.score);
+          writeGhost(dailyGhost.current).catch(() => {});
         }
-      }
-
-      const targetCamY = egg.y - H * 0.55;
-      if (targetCamY < camera.y) {
-        camera.y += (targetCamY - camera.y) * 0.07 * dt;
-      }
-      g.heightReached = Math.min(g.heightReached, egg.y);
-
-      let minY = Math.min(...platforms.map((p) => p.y));
-      while (minY > camera.y - 300) {
-        const idx = platforms.length;
-        const newY = minY - PLATFORM_GAP;
-        platforms.push(createPlatform(newY, idx));
-        minY = newY;
-      }
-      g.platforms = platforms.filter((p) => p.y < camera.y + H + 50);
-
-      for (const p of g.particles) {
-        p.x += p.vx * dt;
-        p.y += p.vy * dt;
-        p.vy += 0.05 * dt;
-        p.life -= dt;
-      }
-      g.particles = g.particles.filter((p) => p.life > 0);
-
-      if (g.landingFx) {
-        g.landingFx.timer -= dt;
-        if (g.landingFx.timer <= 0) g.landingFx = null;
-      }
-
-      if (g.perfectFlash > 0) {
-        g.perfectFlash -= dt;
+        setUiGameOver(true);
       }
     }
+  }, [refreshLeaderboard, announce]);
 
-    function render(ctx: CanvasRenderingContext2D) {
-      const g = game.current;
-      const { egg, platforms, camera, power } = g;
-
-      const bgGrad = ctx.createLinearGradient(0, 0, 0, H);
-      bgGrad.addColorStop(0, "#070714");
-      bgGrad.addColorStop(0.4, "#0d0d24");
-      bgGrad.addColorStop(1, "#141432");
-      ctx.fillStyle = bgGrad;
-      ctx.fillRect(0, 0, W, H);
-
-      if (g.perfectFlash > 0) {
-        const flashAlpha = Math.min(0.5, g.perfectFlash / 20);
-        const flashGrad = ctx.createRadialGradient(W / 2, H / 2, 0, W / 2, H / 2, W);
-        flashGrad.addColorStop(0, `rgba(255, 230, 100, ${flashAlpha})`);
-        flashGrad.addColorStop(0.5, `rgba(255, 180, 50, ${flashAlpha * 0.5})`);
-        flashGrad.addColorStop(1, "rgba(255, 100, 30, 0)");
-        ctx.fillStyle = flashGrad;
-        ctx.fillRect(0, 0, W, H);
-      }
+  useEffect(() => {
+    refreshLeaderboard();
+  }, [refreshLeaderboard]);
 
-      for (let i = 0; i < 40; i++) {
-        const sx = (i * 97.3 + 30) % W;
-        const sy = ((i * 137.5 + camera.y * 0.05 * ((i % 3) + 1)) % (H + 40) + H + 40) % (H + 40);
-        ctx.fillStyle = `rgba(255,255,255,${0.15 + (i % 4) * 0.08})`;
-        ctx.beginPath();
-        ctx.arc(sx, sy, 0.8 + (i % 3) * 0.4, 0, Math.PI * 2);
-        ctx.fill();
-      }
+  useEffect(() => {
+    let cancelled = false;
+    // both arrive after the first game was built; rebuild it if the player has not jumped yet
+    const notStarted = () => game.current.state === "idle" && game.current.jumps === 0;
+    loadSave().then((loaded) => {
+      if (cancelled) return;
+      save.current = loaded;
+      setUiSave(loaded);
+      applyAudioSettings(audio.current, loaded.settings);
+      haptics.current.enabled = loaded.settings.haptics;
+      const g = game.current;
+      g.highScore = g.mode === "daily" ? dailyBest(loaded) : loaded.stats.bestHeight;
+      missionRun.current.save = loaded.missions;
+      missionRun.current.stats = loaded.stats;
+      if (g.mode === "timeAttack") timeAttackBest.current = loaded.timeAttack[g.target] ?? null;
+      if (g.mode === "classic" && loaded.settings.difficulty !== g.difficulty && notStarted()) initGame();
+    });
+    loadTuningPresets().then((presets) => {
+      if (cancelled || presets === TUNING_PRESETS) return;
+      tunings.current = presets;
+      if (notStarted()) initGame();
+    });
+    loadGhost("daily").then((ghost) => {
+      if (cancelled || !ghost) return;
+      dailyGhost.current = ghost;
+      const g = game.current;
+      if (g.state === "idle" && !ghostTrack.current && ghostMatches(ghost, g)) ghostTrack.current = decodeGhost(ghost);
+    });
+    return () => { cancelled = true; };
+  }, [initGame]);
+
+  const shareResult = useCallback(async () => {
+    const summary = summarizeResult(game.current);
+    const stage = STAGES[summary.stageIdx];
+    const blob = await resultCardBlob(summary);
+    const message = `${stage.emoji} \uC810\uD504\uC5D0\uADF8 ${summary.score}m \u00B7 ${stage.name}`;
+    await shareImage(blob, `jump-egg-${summary.score}m.png`, message);
+  }, []);
 
-      const heightDisplay = Math.max(0, Math.floor((540 - g.heightReached) / 12));
-      ctx.fillStyle = "rgba(255,255,255,0.12)";
-      ctx.font = "bold 11px monospace";
-      ctx.textAlign = "right";
-      ctx.fillText(`${heightDisplay}m`, W - 12, 20);
+  const openViewer = useCallback((replay: Replay | null) => {
+    viewerOpen.current = replay !== null;
+    setViewerReplay(replay);
+  }, []);
 
-      if ((g.state === "idle" || g.state === "charging") && g.xp > 0 && g.xpDecayTimer > 120) {
-        const warnAlpha = 0.3 + Math.sin(Date.now() / 200) * 0.3;
-        ctx.fillStyle = `rgba(255, 80, 80, ${warnAlpha})`;
-        ctx.font = "bold 10px monospace";
-        ctx.textAlign = "center";
-        ctx.fillText("\u26A0 XP DECAYING...", W / 2, 18);
+  function handleReplayFile(e: React.ChangeEvent<HTMLInputElement>) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+    file.text().then((text) => {
+      try {
+        openViewer(decodeReplay(text));
+        setReplayError(null);
+      } catch (err) {
+        setReplayError((err as Error).message);
       }
+    });
+  }
 
-      ctx.save();
-      ctx.translate(0, -camera.y);
-
-      for (const p of platforms) {
-        const sy = p.y - camera.y;
-        if (sy < -20 || sy > H + 20) continue;
-
-        if (p.type === "timed") {
-          const urgency = p.landed ? Math.max(0, p.timer / 300) : 1;
-          const pulse = p.landed ? 0.5 + Math.sin(Date.now() / (80 + urgency * 150)) * 0.5 : 1;
-          const secs = Math.max(0, Math.ceil(p.timer / 60));
-          const th = 22;
-          const ty = p.y - 6;
-
-          ctx.shadowColor = `rgba(255, 60, 40, ${0.25 * pulse})`;
-          ctx.shadowBlur = 12;
-          ctx.shadowOffsetY = 3;
-
-          const pg = ctx.createLinearGradient(p.x, ty, p.x, ty + th);
-          pg.addColorStop(0, `rgba(80, 70, 90, ${0.6 + urgency * 0.4})`);
-          pg.addColorStop(0.5, `rgba(55, 45, 65, ${0.6 + urgency * 0.4})`);
-          pg.addColorStop(1, `rgba(40, 30, 50, ${0.6 + urgency * 0.4})`);
-          ctx.fillStyle = pg;
-          roundRect(ctx, p.x, ty, p.w, th, 6);
-          ctx.fill();
-          ctx.shadowBlur = 0;
-          ctx.shadowOffsetY = 0;
-
-          ctx.strokeStyle = p.landed
-            ? `rgba(255, ${50 + urgency * 120}, 50, ${0.3 + pulse * 0.5})`
-            : "rgba(150, 140, 170, 0.3)";
-          ctx.lineWidth = 1.5;
-          roundRect(ctx, p.x, ty, p.w, th, 6);
-          ctx.stroke();
-
-          const isEggOnThis = egg.onPlatform === p;
-          if (p.landed) {
-            ctx.fillStyle = secs <= 2
-              ? `rgba(255, 80, 60, ${0.7 + pulse * 0.3})`
-              : `rgba(255, 220, 150, ${0.7 + pulse * 0.3})`;
-            ctx.font = "bold 14px monospace";
-            ctx.textAlign = "center";
-            ctx.textBaseline = "middle";
-            if (isEggOnThis) {
-              ctx.fillText(`${secs}`, p.x + p.w / 2, ty + th / 2);
-            } else {
-              ctx.globalAlpha = 0.5;
-              ctx.fillText(`\u23F8${secs}`, p.x + p.w / 2, ty + th / 2);
-              ctx.globalAlpha = 1.0;
-            }
-          } else {
-            ctx.fillStyle = "rgba(200, 180, 220, 0.5)";
-            ctx.font = "bold 10px monospace";
-            ctx.textAlign = "center";
-            ctx.textBaseline = "middle";
-            ctx.fillText("5", p.x + p.w / 2, ty + th / 2);
-          }
-
-        } else if (p.type === "fragile") {
-          const th = 18;
-          const ty = p.y - 4;
-          const wobble = Math.sin(Date.now() / 200) * 1;
-
-          ctx.shadowColor = "rgba(255, 180, 50, 0.55)";
-          ctx.shadowBlur = 16;
-          ctx.shadowOffsetY = 3;
-
-          const pg = ctx.createLinearGradient(p.x, ty, p.x, ty + th);
-          pg.addColorStop(0, "#F0C060");
-          pg.addColorStop(0.15, "#E0A840");
-          pg.addColorStop(0.5, "#CC8E30");
-          pg.addColorStop(0.85, "#A06820");
-          pg.addColorStop(1, "#7A4E18");
-          ctx.fillStyle = pg;
-          roundRect(ctx, p.x + wobble, ty, p.w, th, 3);
-          ctx.fill();
-          ctx.shadowBlur = 0;
-          ctx.shadowOffsetY = 0;
-
-          ctx.strokeStyle = "rgba(255, 150, 30, 0.6)";
-          ctx.lineWidth = 1.5;
-          roundRect(ctx, p.x + wobble, ty, p.w, th, 3);
-          ctx.stroke();
-
-          ctx.strokeStyle = "rgba(80, 45, 10, 0.25)";
-          ctx.lineWidth = 0.7;
-          for (let i = 0; i < 4; i++) {
-            const ly = ty + 3 + i * (th - 4) / 4;
-            ctx.beginPath();
-            ctx.moveTo(p.x + wobble + 4, ly);
-            for (let j = 0; j < p.w - 8; j += 8) {
-              ctx.quadraticCurveTo(
-                p.x + wobble + 4 + j + 4, ly + Math.sin(j * 0.3 + i) * 1.5,
-                p.x + wobble + 4 + j + 8, ly
-              );
-            }
-            ctx.stroke();
-          }
-
-          ctx.strokeStyle = "rgba(40, 15, 5, 0.6)";
-          ctx.lineWidth = 1.8;
-          const cx = p.x + wobble + p.w * 0.48;
-          ctx.beginPath();
-          ctx.moveTo(cx, ty + 1);
-          ctx.lineTo(cx + 3, ty + th * 0.35);
-          ctx.lineTo(cx - 3, ty + th * 0.65);
-          ctx.lineTo(cx + 1, ty + th - 1);
-          ctx.stroke();
-
-          ctx.fillStyle = "#AAA09A";
-          ctx.strokeStyle = "rgba(60, 40, 20, 0.7)";
-          ctx.lineWidth = 0.8;
-          [p.x + wobble + 6, p.x + wobble + p.w - 6].forEach((nx) => {
-            ctx.beginPath();
-            ctx.arc(nx, ty + th / 2, 2.5, 0, Math.PI * 2);
-            ctx.fill();
-            ctx.stroke();
-          });
-
-          const labelPulse = 0.7 + Math.sin(Date.now() / 250) * 0.3;
-          ctx.fillStyle = `rgba(255, 240, 200, ${labelPulse})`;
-          ctx.font = "bold 11px monospace";
-          ctx.textAlign = "center";
-          ctx.textBaseline = "middle";
-          ctx.fillText("1\u00D7", p.x + wobble + p.w / 2, ty + th / 2);
-
-          ctx.fillStyle = `rgba(255, 200, 50, ${labelPulse})`;
-          ctx.font = "10px serif";
-          ctx.textAlign = "center";
-          ctx.fillText("\u26A0", p.x + wobble + p.w / 2, ty - 6);
-
-        } else {
-          ctx.shadowColor = `hsla(${p.hue}, 80%, 60%, 0.35)`;
-          ctx.shadowBlur = 12;
-          ctx.shadowOffsetY = 4;
-
-          const pg = ctx.createLinearGradient(p.x, p.y - 2, p.x, p.y + p.h + 2);
-          pg.addColorStop(0, `hsl(${p.hue}, 70%, 65%)`);
-          pg.addColorStop(1, `hsl(${p.hue}, 60%, 45%)`);
-          ctx.fillStyle = pg;
-          roundRect(ctx, p.x, p.y, p.w, p.h, 5);
-          ctx.fill();
-
-          ctx.shadowBlur = 0;
-          ctx.shadowOffsetY = 0;
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    const stage = stageRef.current;
+    if (!canvas || !stage) return;
+    let ctx: CanvasRenderingContext2D | null = null;
 
-          ctx.fillStyle = `hsla(${p.hue}, 80%, 80%, 0.35)`;
-          roundRect(ctx, p.x + 3, p.y + 1, p.w - 6, 3, 1.5);
-          ctx.fill();
-        }
+    let lastTime = -1;
+    let accumulator = 0;
+    function loop(time: number) {
+      const elapsed = lastTime < 0 ? 0 : Math.min(time - lastTime, MAX_FRAME_MS);
+      lastTime = time;
+      // re-fit every frame so rotation, resizes and DPR changes (moving
+      // between monitors, pinch zoom) never leave a blurry or stretched canvas
+      const vp = fitViewport(stage!.clientWidth, stage!.clientHeight);
+      if (!ctx || !sameViewport(viewport.current, vp)) {
+        viewport.current = vp;
+        ctx = setupCanvas(canvas!, vp);
       }
-
-      for (const b of g.birds) {
-        const bsy = b.y - camera.y;
-        if (bsy < -30 || bsy > H + 30) continue;
-        const wingUp = Math.sin(b.frame) > 0;
-        ctx.font = "22px serif";
-        ctx.textAlign = "center";
-        ctx.textBaseline = "middle";
-        ctx.fillText(wingUp ? "\u{1F985}" : "\u{1F426}", b.x, b.y);
+      if (viewerOpen.current || !ctx) {
+        frameRef.current = requestAnimationFrame(loop);
+        return;
       }
-
-      for (const p of g.particles) {
-        const alpha = Math.max(0, p.life / p.maxLife);
-        ctx.fillStyle = `hsla(${p.hue}, 80%, 70%, ${alpha * 0.8})`;
-        ctx.beginPath();
-        ctx.arc(p.x, p.y, p.size * alpha, 0, Math.PI * 2);
-        ctx.fill();
-      }
-
-      if (g.landingFx) {
-        const fx = g.landingFx;
-        const isPerfectFx = fx.text.includes("PERFECT");
-        const maxTimer = isPerfectFx ? 40 : 20;
-        const a = Math.min(1, Math.max(0, fx.timer / maxTimer));
-
-        if (isPerfectFx) {
-          ctx.save();
-          ctx.shadowColor = `rgba(255, 200, 50, ${a * 0.8})`;
-          ctx.shadowBlur = 20;
-          ctx.fillStyle = `rgba(255, 230, 80, ${a})`;
-          ctx.font = "bold 18px monospace";
-          ctx.textAlign = "center";
-          ctx.fillText(fx.text, fx.x, fx.y - 30 + (1 - a) * -25);
-          ctx.restore();
+      accumulator += elapsed;
+      while (accumulator >= STEP_MS) {
+        const m = match.current;
+        if (m) {
+          const inputs = versusInput.current;
+          versusInput.current = [{}, {}];
+          for (const events of stepMatch(m, inputs)) handleEvents(events);
         } else {
-          ctx.fillStyle = `rgba(255, 230, 100, ${a})`;
-          ctx.font = "bold 14px monospace";
-          ctx.textAlign = "center";
-          ctx.fillText(fx.text, fx.x, fx.y - 25 + (1 - a) * -15);
+          const g = game.current;
+          const tickInput = input.current;
+          input.current = {};
+          if (save.current.settings.accessibility.singleSwitch) Object.assign(tickInput, switchInput(switchControl.current, g));
+          const running = isRunning(g);
+          if (running) recordFrame(recorder.current, tickInput);
+          const events = step(g, tickInput);
+          if (running) recordGhostFrame(ghostRecorder.current, g);
+          if (g.mode !== "practice") trackMissions(missionRun.current, g, events);
+          handleEvents(events);
         }
+        accumulator -= STEP_MS;
       }
-
-      const bobble = g.state === "idle" ? Math.sin(Date.now() / 350) * 3
-        : g.state === "charging" ? Math.sin(Date.now() / 40) * 2 : 0;
-      const stretch = g.state === "jumping" && egg.vy < -3 ? 0.82
-        : g.state === "jumping" && egg.vy > 3 ? 1.18
-        : 1;
-
-      ctx.save();
-      ctx.translate(egg.x, egg.y + bobble);
-
-      if (evolveFlashRef.current) {
-        ctx.save();
-        const glowAlpha = 0.3 + Math.sin(Date.now() / 80) * 0.25;
-        ctx.shadowColor = `rgba(255, 215, 0, ${glowAlpha})`;
-        ctx.shadowBlur = 40;
-        ctx.fillStyle = `rgba(255, 215, 0, ${glowAlpha * 0.4})`;
-        ctx.beginPath();
-        ctx.arc(0, 0, EGG_R * 2.2, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.restore();
-      }
-
-      ctx.scale(1 / stretch, stretch);
-      ctx.globalAlpha = 1.0;
-      ctx.shadowBlur = 0;
-      ctx.shadowColor = "transparent";
-      ctx.shadowOffsetX = 0;
-      ctx.shadowOffsetY = 0;
-      const currentEmoji = STAGES[g.stageIdx].emoji;
-      ctx.font = `${EGG_R * 2.2}px serif`;
-      ctx.textAlign = "center";
-      ctx.textBaseline = "middle";
-      ctx.fillStyle = "#ffffff";
-      ctx.fillText(currentEmoji, 0, -1);
-
-      ctx.restore();
-      ctx.restore();
-
-      if (g.state === "idle" || g.state === "charging") {
-        const barW = W - 80;
-        const barH = 20;
-        const barX = 40;
-        const barY = H - 58;
-        const pv = power.value;
-        const isMax = pv >= 99;
-        const maxPulse = isMax ? 0.6 + Math.sin(Date.now() / 80) * 0.4 : 0;
-
-        ctx.fillStyle = isMax
-          ? `rgba(255, 60, 40, ${0.25 + maxPulse * 0.15})`
-          : "rgba(30, 40, 80, 0.85)";
-        roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
-        ctx.fill();
-        ctx.strokeStyle = isMax
-          ? `rgba(255, 80, 50, ${0.5 + maxPulse * 0.5})`
-          : "rgba(100, 140, 255, 0.3)";
-        ctx.lineWidth = 1.5;
-        roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
-        ctx.stroke();
-
-        if (isMax) {
-          ctx.shadowColor = `rgba(255, 60, 40, ${maxPulse})`;
-          ctx.shadowBlur = 20;
-          roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
-          ctx.stroke();
-          ctx.shadowBlur = 0;
-        }
-
-        if (isMax) {
-          ctx.fillStyle = `rgba(255, 100, 80, ${0.7 + maxPulse * 0.3})`;
-          ctx.font = "bold 10px monospace";
-          ctx.textAlign = "center";
-          ctx.fillText("\u26A1 MAX POWER! RELEASE! \u26A1", W / 2, barY - 9);
-        } else {
-          ctx.fillStyle = g.state === "charging" ? "rgba(255,220,80,0.85)" : "rgba(180,200,255,0.6)";
-          ctx.font = "bold 9px monospace";
-          ctx.textAlign = "center";
-          ctx.fillText(
-            g.state === "charging" ? "\u26A1 CHARGING... RELEASE!" : "\u23B5 HOLD SPACE",
-            W / 2, barY - 9
-          );
-        }
-
-        const trackGrad = ctx.createLinearGradient(barX, barY, barX, barY + barH);
-        trackGrad.addColorStop(0, "rgba(40, 50, 90, 0.9)");
-        trackGrad.addColorStop(0.5, "rgba(30, 35, 70, 0.9)");
-        trackGrad.addColorStop(1, "rgba(20, 25, 55, 0.9)");
-        ctx.fillStyle = trackGrad;
-        roundRect(ctx, barX, barY, barW, barH, 10);
-        ctx.fill();
-        ctx.strokeStyle = "rgba(100, 130, 200, 0.25)";
-        ctx.lineWidth = 1;
-        roundRect(ctx, barX, barY, barW, barH, 10);
-        ctx.stroke();
-
-        const fillW = (pv / 100) * barW;
-        const barGrad = ctx.createLinearGradient(barX, barY, barX + barW, barY);
-        barGrad.addColorStop(0, "#22efb5");
-        barGrad.addColorStop(0.35, "#40e070");
-        barGrad.addColorStop(0.55, "#ffe040");
-        barGrad.addColorStop(0.75, "#ff8c20");
-        barGrad.addColorStop(0.9, "#ff4444");
-        barGrad.addColorStop(1, "#ff2020");
-        ctx.fillStyle = barGrad;
-
-        if (isMax) {
-          ctx.shadowColor = `rgba(255, 60, 40, ${0.5 + maxPulse * 0.5})`;
-          ctx.shadowBlur = 25;
-        } else {
-          const glowColor = pv > 70 ? "rgba(255,140,30,0.4)" : "rgba(50,230,150,0.4)";
-          ctx.shadowColor = glowColor;
-          ctx.shadowBlur = 12;
-        }
-        roundRect(ctx, barX, barY, Math.max(8, fillW), barH, 10);
-        ctx.fill();
-        ctx.shadowBlur = 0;
-
-        ctx.fillStyle = "rgba(255,255,255,0.2)";
-        roundRect(ctx, barX + 2, barY + 2, Math.max(4, fillW - 4), barH * 0.35, 6);
-        ctx.fill();
-
-        const edgeColor = pv > 85 ? "#ff4444" : pv > 60 ? "#ff8c20" : "#22efb5";
-        ctx.shadowColor = edgeColor;
-        ctx.shadowBlur = 15;
-        ctx.fillStyle = "#ffffff";
-        ctx.beginPath();
-        ctx.arc(barX + fillW, barY + barH / 2, isMax ? 6 : 4, 0, Math.PI * 2);
-        ctx.fill();
-        ctx.shadowBlur = 0;
-
-        const s1 = barX + barW * 0.6;
-        const s2 = barX + barW * 0.85;
-        ctx.fillStyle = "rgba(255, 255, 100, 0.08)";
-        roundRect(ctx, s1, barY, s2 - s1, barH, 0);
-        ctx.fill();
-
-        ctx.strokeStyle = "rgba(255,255,255,0.3)";
-        ctx.lineWidth = 1;
-        ctx.setLineDash([2, 3]);
-        [s1, s2].forEach((sx) => {
-          ctx.beginPath();
-          ctx.moveTo(sx, barY - 2);
-          ctx.lineTo(sx, barY + barH + 2);
-          ctx.stroke();
+      const g = game.current;
+      const m = match.current;
+      updateAudio(audio.current, m ? leadPlayer(m) : g);
+      setUiScore(g.score);
+      setUiXP(g.xp);
+      setUiStage(g.stageIdx);
+      setUiFallen(g.state === "fallen");
+      if (m) {
+        setUiRival(m.players[1].score);
+        setUiClock(formatClock(m));
+        renderVersus(ctx, m, accumulator / STEP_MS, vp, display.current);
+      } else {
+        renderGame(ctx, g, accumulator / STEP_MS, {
+          leaderboard: leaderboardView.current,
+          viewport: vp,
+          toasts: visibleToasts(missionRun.current),
+          ghost: ghostTrack.current && ghostAt(ghostTrack.current, recorder.current.frames - 2 + accumulator / STEP_MS),
+          timeAttack: timeAttackBest.current,
+          display: display.current,
         });
-        ctx.setLineDash([]);
-
-        if (isMax) {
-          ctx.fillStyle = `rgba(255, 100, 80, ${0.8 + maxPulse * 0.2})`;
-          ctx.font = "bold 14px monospace";
-        } else {
-          ctx.fillStyle = "rgba(220,230,255,0.8)";
-          ctx.font = "bold 11px monospace";
-        }
-        ctx.textAlign = "center";
-        ctx.fillText(`${Math.floor(pv)}%`, W / 2, barY + barH + 17);
-      }
-
-      if (g.state === "gameover") {
-        ctx.fillStyle = "rgba(0,0,0,0.75)";
-        ctx.fillRect(0, 0, W, H);
-
-        const finalStage = STAGES[g.stageIdx];
-
-        ctx.font = "60px serif";
-        ctx.textAlign = "center";
-        ctx.fillText(finalStage.emoji, W / 2, H / 2 - 55);
-
-        ctx.fillStyle = "#fff";
-        ctx.font = "bold 22px monospace";
-        ctx.fillText("GAME OVER", W / 2, H / 2 + 5);
-
-        ctx.fillStyle = "#fbbf24";
-        ctx.font = "bold 14px monospace";
-        ctx.fillText(`${finalStage.name} \u00B7 ${g.score}m \u00B7 XP ${Math.floor(g.xp)}`, W / 2, H / 2 + 35);
-
-        if (g.highScore > 0) {
-          ctx.fillStyle = "rgba(255,255,255,0.35)";
-          ctx.font = "11px monospace";
-          ctx.fillText(`BEST: ${g.highScore}m`, W / 2, H / 2 + 58);
-        }
-
-        ctx.fillStyle = "rgba(255,255,255,0.5)";
-        ctx.font = "12px monospace";
-        ctx.fillText("TAP or SPACE to retry", W / 2, H / 2 + 95);
       }
+      frameRef.current = requestAnimationFrame(loop);
     }
 
     frameRef.current = requestAnimationFrame(loop);
     return () => { if (frameRef.current) cancelAnimationFrame(frameRef.current); };
-  }, []);
+  }, [handleEvents]);
 
   useEffect(() => {
     function onKeyDown(e: KeyboardEvent) {
+      if (viewerOpen.current) return;
       if (e.code === "Space" || e.key === " ") {
         e.preventDefault();
         if (e.repeat) return;
-        if (game.current.state === "gameover") initGame();
-        else startCharging();
+        press();
+      } else if (sideKey(e.code)) {
+        e.preventDefault();
+        if (e.repeat) return;
+        press(sideKey(e.code));
+      } else if (e.code === "Escape" || e.code === "KeyP") {
+        if (isPaused()) resume();
+        else pause();
       }
     }
     function onKeyUp(e: KeyboardEvent) {
-      if (e.code === "Space" || e.key === " ") {
+      if (viewerOpen.current) return;
+      if (e.code === "Space" || e.key === " " || sideKey(e.code)) {
         e.preventDefault();
-        releaseJump();
+        releaseJump(sideKey(e.code));
       }
     }
+    function sideKey(code: string): number | undefined {
+      return (match.current ? VERSUS_KEYS : SIDE_KEYS)[code];
+    }
     window.addEventListener("keydown", onKeyDown);
     window.addEventListener("keyup", onKeyUp);
     return () => {
       window.removeEventListener("keydown", onKeyDown);
       window.removeEventListener("keyup", onKeyUp);
     };
-  }, [startCharging, releaseJump, initGame]);
+  }, [press, releaseJump, pause, resume, isPaused]);
+
+  useEffect(() => subscribeLifecycle({
+    onBackground: pause,
+    onBack: () => {
+      if (isPaused() || isOver()) {
+        if (isTossApp()) closeView().catch(() => {});
+      } else {
+        pause();
+      }
+    },
+  }), [pause, isPaused, isOver]);
+
+  useEffect(() => subscribeSafeArea(setInsets), []);
+
+  useEffect(() => subscribeReducedMotion(setSystemReducedMotion), []);
+
+  const uiDisplay = useMemo(
+    () => resolveDisplay(uiSave.settings.accessibility, systemReducedMotion),
+    [uiSave.settings.accessibility, systemReducedMotion],
+  );
+
+  useEffect(() => {
+    display.current = uiDisplay;
+  }, [uiDisplay]);
 
+  // every finger is its own press, so two players can hold their halves at once
   function handlePointerDown(e: React.MouseEvent | React.TouchEvent) {
     e.preventDefault();
-    if (game.current.state === "gameover") initGame();
-    else startCharging();
+    const rect = canvasRef.current?.getBoundingClientRect();
+    const points = "touches" in e ? Array.from(e.changedTouches) : [{ identifier: MOUSE_POINTER, clientX: e.clientX }];
+    for (const { identifier, clientX } of points) {
+      const side = rect ? (clientX < rect.left + rect.width / 2 ? -1 : 1) : 0;
+      pointerSides.current.set(identifier, side);
+      press(side);
+    }
   }
 
   function handlePointerUp(e: React.MouseEvent | React.TouchEvent) {
     e.preventDefault();
-    releaseJump();
+    const ids = "touches" in e ? Array.from(e.changedTouches, (t) => t.identifier) : [MOUSE_POINTER];
+    for (const id of ids) {
+      const side = pointerSides.current.get(id);
+      pointerSides.current.delete(id);
+      releaseJump(side);
+    }
   }
 
+  const stageXp = game.current.tuning.stageXp;
   const stageData = STAGES[uiStage];
   const nextStage = uiStage < STAGES.length - 1 ? STAGES[uiStage + 1] : null;
-  const prevStageXP = STAGES[uiStage].need;
-  const nextStageXP = nextStage ? nextStage.need : STAGES[STAGES.length - 1].need;
+  const prevStageXP = stageXp[uiStage];
+  const nextStageXP = nextStage ? stageXp[uiStage + 1] : stageXp[STAGES.length - 1];
   const xpProgress = nextStage ? Math.min(100, ((uiXP - prevStageXP) / (nextStageXP - prevStageXP)) * 100) : 100;
   const displayXP = Math.floor(uiXP);
 
-  // suppress unused variable warnings
-  void uiGameOver;
-  void uiHighScore;
+  const bestStage = STAGES[uiSave.stats.bestStage];
+  const records: [string, string][] = [
+    ["\uCD5C\uACE0 \uB192\uC774", `${uiSave.stats.bestHeight}m`],
+    ["\uCD5C\uACE0 \uC9C4\uD654", `${bestStage.emoji} ${bestStage.name}`],
+    ["\uC624\uB298\uC758 \uB370\uC77C\uB9AC", `${dailyBest(uiSave)}m`],
+    ["\uCD1D \uC810\uD504", `${uiSave.stats.totalJumps}`],
+    ["PERFECT", `${uiSave.stats.totalPerfects}`],
+    ["\uD50C\uB808\uC774", `${uiSave.stats.gamesPlayed}`],
+    ...TIME_ATTACK_TARGETS.map((target): [string, string] => {
+      const best = uiSave.timeAttack[target]?.best;
+      return [`\u23F1 ${target}m`, best == null ? "-" : formatTime(best)];
+    }),
+  ];
 
   return (
     <div
@@ -1029,9 +613,12 @@ export default function JumpEggGame() {
         display: "flex",
         flexDirection: "column",
         alignItems: "center",
-        minHeight: "100vh",
+        minHeight: "100dvh",
         background: "#030308",
-        padding: "12px 8px",
+        paddingLeft: insetPadding(insets, "left", 8),
+        paddingRight: insetPadding(insets, "right", 8),
+        paddingBottom: insetPadding(insets, "bottom", 12),
+        boxSizing: "border-box",
         fontFamily: "monospace",
         userSelect: "none",
         WebkitUserSelect: "none",
@@ -1042,67 +629,291 @@ export default function JumpEggGame() {
         rel="stylesheet"
       />
 
-      {/* Top Bar */}
+      {/* Screen reader announcements; the canvas itself says nothing */}
+      <div role="status" aria-live="polite" aria-atomic="true" style={visuallyHiddenStyle}>
+        <span key={uiAnnouncement.id}>{uiAnnouncement.text}</span>
+      </div>
+
+      {/* Play Area: fills exactly one screen so the canvas is never pushed below the fold */}
       <div
         style={{
-          width: W,
-          maxWidth: "100%",
-          padding: "8px 14px",
-          marginBottom: 6,
-          background: "rgba(255,255,255,0.04)",
-          borderRadius: 10,
-          color: "#fff",
-          fontSize: 12,
+          display: "flex",
+          flexDirection: "column",
+          alignItems: "center",
+          width: "100%",
+          height: "100dvh",
+          paddingTop: insetPadding(insets, "top", 12),
+          paddingBottom: insetPadding(insets, "bottom", 4),
           boxSizing: "border-box",
         }}
       >
-        <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
-          <span>
-            {stageData.emoji}{" "}
-            <span style={{ color: stageData.color, fontWeight: "bold" }}>
-              {stageData.name}
-            </span>
-          </span>
-          <span style={{ color: "#fbbf24", fontWeight: "bold" }}>{"\uD83D\uDCCF"} {uiScore}m</span>
-          <span style={{ opacity: 0.6, fontSize: 10, color: "#a78bfa" }}>
-            XP {displayXP}
-          </span>
+        {/* Mode Selector */}
+        <div style={{ display: "flex", gap: 6, width: W, maxWidth: "100%", marginBottom: 6 }}>
+          {([
+            ["classic", "\u{1F95A} \uC77C\uBC18"],
+            ["daily", "\u{1F4C5} \uB370\uC77C\uB9AC \uD0C0\uC6CC"],
+            ["practice", "\u{1F9D8} \uC5F0\uC2B5"],
+            ["timeAttack", `\u23F1 ${uiTarget}m`],
+            ["versus", "\u2694 \uB300\uACB0"],
+          ] as const).map(([mode, label]) => (
+            <button
+              key={mode}
+              onClick={(e) => {
+                e.currentTarget.blur();
+                // picking time attack again switches to the next target height
+                if (mode === "timeAttack" && uiMode === mode) {
+                  initGame(mode, TIME_ATTACK_TARGETS[(TIME_ATTACK_TARGETS.indexOf(uiTarget) + 1) % TIME_ATTACK_TARGETS.length]);
+                } else {
+                  initGame(mode);
+                }
+              }}
+              style={{
+                flex: 1,
+                padding: "6px 0",
+                borderRadius: 8,
+                border: "1px solid rgba(255,255,255,0.08)",
+                background: uiMode === mode ? "rgba(251,191,36,0.18)" : "rgba(255,255,255,0.03)",
+                color: uiMode === mode ? "#fbbf24" : "rgba(255,255,255,0.45)",
+                fontFamily: "monospace",
+                fontSize: 11,
+                fontWeight: "bold",
+                cursor: "pointer",
+              }}
+            >
+              {label}
+            </button>
+          ))}
+          <button
+            onClick={(e) => { e.currentTarget.blur(); if (uiPaused) resume(); else pause(); }}
+            disabled={uiGameOver}
+            style={{
+              width: 40,
+              borderRadius: 8,
+              border: "1px solid rgba(255,255,255,0.08)",
+              background: uiPaused ? "rgba(251,191,36,0.18)" : "rgba(255,255,255,0.03)",
+              color: uiPaused ? "#fbbf24" : "rgba(255,255,255,0.45)",
+              fontSize: 12,
+              cursor: "pointer",
+            }}
+          >
+            {uiPaused ? "\u25B6" : "\u23F8"}
+          </button>
         </div>
-        {/* XP Progress Bar */}
-        <div style={{ position: "relative", height: 6, background: "rgba(255,255,255,0.08)", borderRadius: 3, overflow: "hidden" }}>
-          <div style={{
-            height: "100%",
-            width: `${xpProgress}%`,
-            background: `linear-gradient(90deg, ${stageData.color}AA, ${stageData.color})`,
-            borderRadius: 3,
-            transition: "width 0.05s linear",
-            boxShadow: `0 0 8px ${stageData.color}44`,
-          }} />
+
+        {/* Top Bar */}
+        <div
+          style={{
+            width: W,
+            maxWidth: "100%",
+            padding: "8px 14px",
+            marginBottom: 6,
+            background: "rgba(255,255,255,0.04)",
+            borderRadius: 10,
+            color: "#fff",
+            fontSize: 12 * uiDisplay.hudScale,
+            boxSizing: "border-box",
+          }}
+        >
+          {/* versus has two climbers and no XP to show, so the bar holds both heights and the time left */}
+          {uiMode === "versus" ? (
+            <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", fontWeight: "bold" }}>
+              <span style={{ color: PLAYER_COLORS[0] }}>P1 {uiScore}m</span>
+              <span style={{ opacity: 0.8 }}>{"\u23F1"} {uiClock}</span>
+              <span style={{ color: PLAYER_COLORS[1] }}>P2 {uiRival}m</span>
+            </div>
+          ) : (
+            <>
+              <div style={{ display: "flex", justifyContent: "space-between", alignItems: "center", marginBottom: 6 }}>
+                <span>
+                  {stageData.emoji}{" "}
+                  <span style={{ color: stageData.color, fontWeight: "bold" }}>
+                    {stageData.name}
+                  </span>
+                </span>
+                <span style={{ color: "#fbbf24", fontWeight: "bold" }}>{"\uD83D\uDCCF"} {uiScore}m</span>
+                <span style={{ opacity: 0.6, fontSize: 10, color: "#a78bfa" }}>
+                  XP {displayXP}
+                </span>
+              </div>
+              {/* XP Progress Bar */}
+              <div style={{ position: "relative", height: 6, background: "rgba(255,255,255,0.08)", borderRadius: 3, overflow: "hidden" }}>
+                <div style={{
+                  height: "100%",
+                  width: `${xpProgress}%`,
+                  background: `linear-gradient(90deg, ${stageData.color}AA, ${stageData.color})`,
+                  borderRadius: 3,
+                  transition: uiDisplay.reducedMotion ? "none" : "width 0.05s linear",
+                  boxShadow: `0 0 8px ${stageData.color}44`,
+                }} />
+              </div>
+              {nextStage && (
+                <div style={{ display: "flex", justifyContent: "space-between", marginTop: 3, fontSize: 9, opacity: 0.35 }}>
+                  <span>{prevStageXP} XP</span>
+                  <span>{"\uB2E4\uC74C"} {"\uC9C4\uD654"}: {nextStage.emoji} {nextStage.name} ({nextStageXP} XP)</span>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+
+        {/* Canvas */}
+        <div
+          ref={stageRef}
+          onMouseDown={handlePointerDown}
+          onMouseUp={handlePointerUp}
+          onTouchStart={handlePointerDown}
+          onTouchEnd={handlePointerUp}
+          onTouchCancel={handlePointerUp}
+          style={{
+            flex: 1,
+            minHeight: 0,
+            width: "100%",
+            display: "flex",
+            alignItems: "center",
+            justifyContent: "center",
+            overflow: "hidden",
+            cursor: "pointer",
+            touchAction: "manipulation",
+          }}
+        >
+          <canvas
+            ref={canvasRef}
+            style={{
+              display: "block",
+              borderRadius: 14,
+              boxShadow: "0 4px 40px rgba(0,0,0,0.6)",
+            }}
+          />
         </div>
-        {nextStage && (
-          <div style={{ display: "flex", justifyContent: "space-between", marginTop: 3, fontSize: 9, opacity: 0.35 }}>
-            <span>{prevStageXP} XP</span>
-            <span>{"\uB2E4\uC74C"} {"\uC9C4\uD654"}: {nextStage.emoji} {nextStage.name} ({nextStageXP} XP)</span>
+
+        {/* Practice runs never end, so their row holds the practice controls instead */}
+        {uiMode === "practice" ? (
+          <div style={{ display: "flex", gap: 6, width: W, maxWidth: "100%", marginTop: 8 }}>
+            {PRACTICE_TOGGLES.map(([key, label]) => (
+              <button
+                key={key}
+                style={{ ...actionButtonStyle, opacity: uiSave.settings.practice[key] ? 1 : 0.35 }}
+                onClick={(e) => { e.currentTarget.blur(); togglePractice(key); }}
+              >
+                {label}
+              </button>
+            ))}
+            <button
+              style={{ ...actionButtonStyle, color: uiFallen ? "#fbbf24" : actionButtonStyle.color, opacity: uiFallen ? 1 : 0.35 }}
+              disabled={!uiFallen}
+              onClick={(e) => { e.currentTarget.blur(); rewind(); }}
+            >
+              {"\u23EA"} {"\uB418\uAC10\uAE30"}
+            </button>
+          </div>
+        ) : (
+          /* Replay Actions: the row keeps its space while hidden so the canvas does not resize at game over */
+          <div
+            style={{
+              display: "flex",
+              gap: 6,
+              width: W,
+              maxWidth: "100%",
+              marginTop: 8,
+              visibility: uiGameOver && lastReplay.current && uiMode !== "versus" ? "visible" : "hidden",
+            }}
+          >
+            <button style={actionButtonStyle} onClick={() => openViewer(lastReplay.current)}>
+              {"\u{1F3AC}"} {"\uB9AC\uD50C\uB808\uC774"}
+            </button>
+            <button style={actionButtonStyle} onClick={() => lastReplay.current && downloadReplay(lastReplay.current)}>
+              {"\u{1F4BE}"} {"\uC800\uC7A5"}
+            </button>
+            <button style={actionButtonStyle} onClick={() => shareResult().catch(() => {})}>
+              {"\u{1F4E4}"} {"\uACF5\uC720"}
+            </button>
+            {leaderboard.current.open && (
+              <button style={actionButtonStyle} onClick={() => leaderboard.current.open?.().catch(() => {})}>
+                {"\u{1F3C6}"} {"\uC21C\uC704"}
+              </button>
+            )}
           </div>
         )}
       </div>
 
-      {/* Canvas */}
-      <canvas
-        ref={canvasRef}
-        onMouseDown={handlePointerDown}
-        onMouseUp={handlePointerUp}
-        onTouchStart={handlePointerDown}
-        onTouchEnd={handlePointerUp}
-        style={{
-          borderRadius: 14,
-          cursor: "pointer",
-          border: "1px solid rgba(255,255,255,0.06)",
-          boxShadow: "0 4px 40px rgba(0,0,0,0.6)",
-          maxWidth: "100%",
-          touchAction: "manipulation",
-        }}
-      />
+      {/* Lifetime Records */}
+      {(uiGameOver || !uiStarted) && (
+        <div
+          style={{
+            display: "grid",
+            gridTemplateColumns: "repeat(4, 1fr)",
+            gap: 6,
+            width: W,
+            maxWidth: "100%",
+            marginTop: 8,
+            padding: "8px 14px",
+            background: "rgba(255,255,255,0.03)",
+            borderRadius: 10,
+            boxSizing: "border-box",
+            color: "#fff",
+          }}
+        >
+          {records.map(([label, value]) => (
+            <div key={label} style={{ display: "flex", flexDirection: "column", alignItems: "center" }}>
+              <span style={{ fontSize: 9, opacity: 0.4, fontFamily: "'Noto Sans KR', sans-serif" }}>{label}</span>
+              <span style={{ fontSize: 12, fontWeight: "bold", color: "#fbbf24" }}>{value}</span>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Missions & Achievements */}
+      {(uiGameOver || !uiStarted) && (
+        <div
+          style={{
+            width: W,
+            maxWidth: "100%",
+            marginTop: 8,
+            padding: "8px 14px",
+            background: "rgba(255,255,255,0.03)",
+            borderRadius: 10,
+            boxSizing: "border-box",
+            color: "#fff",
+            fontFamily: "'Noto Sans KR', sans-serif",
+          }}
+        >
+          <div style={{ fontSize: 9, opacity: 0.4, marginBottom: 4 }}>{"\uBBF8\uC158"}</div>
+          {uiSave.missions.active.map((id) => {
+            const def = missionDef(id);
+            if (!def) return null;
+            const value = missionProgress(uiSave.missions, def);
+            return (
+              <div key={id} style={{ display: "flex", alignItems: "center", gap: 8, marginBottom: 4, fontSize: 11 }}>
+                <span>{def.icon}</span>
+                <span style={{ flex: 1, opacity: 0.8 }}>{def.text}</span>
+                <div style={{ width: 60, height: 4, background: "rgba(255,255,255,0.08)", borderRadius: 2, overflow: "hidden" }}>
+                  <div style={{ width: `${(value / def.goal) * 100}%`, height: "100%", background: "#fbbf24" }} />
+                </div>
+                <span style={{ width: 52, textAlign: "right", fontFamily: "monospace", fontSize: 10, color: "#fbbf24" }}>
+                  {value}/{def.goal}
+                </span>
+              </div>
+            );
+          })}
+          <div style={{ display: "flex", alignItems: "center", gap: 6, marginTop: 6 }}>
+            <span style={{ fontSize: 9, opacity: 0.4 }}>
+              {"\uC5C5\uC801"} {uiSave.missions.achievements.length}/{ACHIEVEMENTS.length}
+            </span>
+            {ACHIEVEMENTS.map((a) => {
+              const unlocked = uiSave.missions.achievements.includes(a.id);
+              return (
+                <span
+                  key={a.id}
+                  title={a.text}
+                  style={{ fontSize: 14, opacity: unlocked ? 1 : 0.2, filter: unlocked ? "none" : "grayscale(1)" }}
+                >
+                  {a.icon}
+                </span>
+              );
+            })}
+          </div>
+        </div>
+      )}
 
       {/* Evolution Roadmap */}
       <div
@@ -1119,19 +930,20 @@ export default function JumpEggGame() {
         {STAGES.map((s, i) => (
           <div
             key={i}
+            title={ABILITIES[i] ? `${ABILITIES[i].icon} ${ABILITIES[i].label}` : undefined}
             style={{
               display: "flex",
               flexDirection: "column",
               alignItems: "center",
-              opacity: uiXP >= s.need ? 1 : 0.25,
-              transition: "all 0.4s",
+              opacity: uiXP >= stageXp[i] ? 1 : 0.25,
+              transition: uiDisplay.reducedMotion ? "none" : "all 0.4s",
             }}
           >
             <span
               style={{
                 fontSize: i === uiStage ? "1.5rem" : "1rem",
-                filter: uiXP >= s.need ? "none" : "grayscale(1)",
-                transition: "font-size 0.3s",
+                filter: uiXP >= stageXp[i] ? "none" : "grayscale(1)",
+                transition: uiDisplay.reducedMotion ? "none" : "font-size 0.3s",
               }}
             >
               {s.emoji}
@@ -1152,6 +964,134 @@ export default function JumpEggGame() {
         ))}
       </div>
 
+      {/* Settings */}
+      <div
+        style={{
+          display: "flex",
+          alignItems: "center",
+          gap: 8,
+          marginTop: 10,
+          padding: "6px 14px",
+          background: "rgba(255,255,255,0.03)",
+          borderRadius: 10,
+          color: "rgba(255,255,255,0.5)",
+          fontSize: 11,
+        }}
+      >
+        <button
+          onClick={(e) => {
+            e.currentTarget.blur();
+            unlockAudio(audio.current);
+            changeSettings({ muted: !uiSave.settings.muted });
+          }}
+          style={{ background: "none", border: "none", fontSize: 16, cursor: "pointer", padding: 0 }}
+        >
+          {uiSave.settings.muted ? "\u{1F507}" : "\u{1F50A}"}
+        </button>
+        <input
+          type="range"
+          min={0}
+          max={100}
+          value={Math.round(uiSave.settings.volume * 100)}
+          disabled={uiSave.settings.muted}
+          onChange={(e) => changeSettings({ volume: Number(e.target.value) / 100 })}
+          onPointerUp={(e) => e.currentTarget.blur()}
+          style={{ width: 120 }}
+        />
+        <span style={{ width: 32, textAlign: "right" }}>{Math.round(uiSave.settings.volume * 100)}%</span>
+        {haptics.current.supported && (
+          <button
+            onClick={(e) => {
+              e.currentTarget.blur();
+              changeSettings({ haptics: !uiSave.settings.haptics });
+            }}
+            style={{
+              background: "none",
+              border: "none",
+              fontSize: 16,
+              cursor: "pointer",
+              padding: 0,
+              marginLeft: 6,
+              opacity: uiSave.settings.haptics ? 1 : 0.35,
+            }}
+          >
+            {"\u{1F4F3}"}
+          </button>
+        )}
+        {/* the daily tower is the same for everyone, so difficulty only applies to classic runs */}
+        <div style={{ display: "flex", gap: 2, marginLeft: 6 }}>
+          {DIFFICULTY_LABELS.map(([difficulty, label]) => (
+            <button
+              key={difficulty}
+              disabled={uiStarted && !uiGameOver}
+              onClick={(e) => {
+                e.currentTarget.blur();
+                changeSettings({ difficulty });
+                if (game.current.mode !== "daily") initGame();
+              }}
+              style={segmentStyle(uiSave.settings.difficulty === difficulty)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+      </div>
+
+      {/* Accessibility: "auto" motion follows the device's reduce-motion setting */}
+      <div
+        style={{
+          display: "flex",
+          flexWrap: "wrap",
+          justifyContent: "center",
+          alignItems: "center",
+          gap: 8,
+          marginTop: 6,
+          padding: "6px 14px",
+          background: "rgba(255,255,255,0.03)",
+          borderRadius: 10,
+          color: "rgba(255,255,255,0.5)",
+          fontFamily: "'Noto Sans KR', sans-serif",
+          fontSize: 10,
+        }}
+      >
+        <span>{"\uBAA8\uC158"}</span>
+        <div style={{ display: "flex", gap: 2 }}>
+          {MOTION_LABELS.map(([motion, label]) => (
+            <button
+              key={motion}
+              onClick={(e) => { e.currentTarget.blur(); changeAccessibility({ motion }); }}
+              style={segmentStyle(uiSave.settings.accessibility.motion === motion)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <span>{"\uBC1C\uD310"}</span>
+        <div style={{ display: "flex", gap: 2 }}>
+          {PLATFORM_STYLE_LABELS.map(([platformStyle, label]) => (
+            <button
+              key={platformStyle}
+              onClick={(e) => { e.currentTarget.blur(); changeAccessibility({ platformStyle }); }}
+              style={segmentStyle(uiSave.settings.accessibility.platformStyle === platformStyle)}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <button
+          onClick={(e) => { e.currentTarget.blur(); changeAccessibility({ largeHud: !uiSave.settings.accessibility.largeHud }); }}
+          style={segmentStyle(uiSave.settings.accessibility.largeHud)}
+        >
+          {"\uD070"} {"\uAE00\uC528"}
+        </button>
+        <button
+          onClick={(e) => { e.currentTarget.blur(); changeAccessibility({ singleSwitch: !uiSave.settings.accessibility.singleSwitch }); }}
+          style={segmentStyle(uiSave.settings.accessibility.singleSwitch)}
+        >
+          {"\uC2A4\uC704\uCE58"} {"\uBAA8\uB4DC"}
+        </button>
+      </div>
+
       {/* Instructions */}
       <p
         style={{
@@ -1163,10 +1103,42 @@ export default function JumpEggGame() {
           lineHeight: 1.6,
         }}
       >
-        {"\uC2A4\uD398\uC774\uC2A4\uBC14\uB97C"} {"\uAFC9"} {"\uB204\uB974\uBA74"} {"\uD30C\uC6CC"} {"\uCDA9\uC804"} {"\u00B7"} {"\uB5BC\uBA74"} {"\uC810\uD504"}!
+        {uiSave.settings.accessibility.singleSwitch ? (
+          <>
+            {"\u267F"} {"\uAE38\uAC8C"} {"\uB20C\uB7EC"} {"\uCDA9\uC804"} {"\u00B7"} {"\uBC14\uAC00"} {"\uC54C\uC544\uC11C"} {"\uBA48\uCDB0\uC694"} {"\u00B7"} {"\uB2E4\uC2DC"} {"\uB204\uB974\uBA74"} {"\uBC14\uB85C"} {"\uC810\uD504"}
+          </>
+        ) : (
+          <>
+            {"\uC2A4\uD398\uC774\uC2A4\uBC14\uB97C"} {"\uAFC9"} {"\uB204\uB974\uBA74"} {"\uD30C\uC6CC"} {"\uCDA9\uC804"} {"\u00B7"} {"\uB5BC\uBA74"} {"\uC810\uD504"}!
+          </>
+        )}
+        <br />
+        {"\u23F1"} {"\uC2DC\uD55C\uBD80"} {"\uBC1C\uD310"} {"\u00B7"} {"\uD83D\uDC94"} {"\uC77C\uD68C\uC6A9"} {"\uBC1C\uD310"} {"\u00B7"} {"\u{1F985}"} {"\uC801"} {"\uC870\uC2EC"}!
+        <br />
+        {"\u{1F300}"} {"\uC2A4\uD504\uB9C1"} {"\u00B7"} {"\u{1F6E1}"} {"\uBC29\uD328"} {"\u00B7"} {"\u{1F9F2}"} {"\uC790\uC11D"} {"\u00B7"} {"\u23F3"} {"\uC2AC\uB85C\uC6B0"}
+        <br />
+        {"\u2764"} {"\uB5A8\uC5B4\uC838\uB3C4"} {"\uD55C"} {"\uBC88"} {"\uC774\uC5B4\uD558\uAE30"}
         <br />
-        {"\u23F1"} {"\uC2DC\uD55C\uBD80"} {"\uBC1C\uD310"} {"\u00B7"} {"\uD83D\uDC94"} {"\uC77C\uD68C\uC6A9"} {"\uBC1C\uD310"} {"\u00B7"} {"\u{1F985}"} {"\uC0C8"} {"\uC870\uC2EC"}!
+        {"\u23F1"} {"\uD0C0\uC784\uC5B4\uD0DD"} {"\u00B7"} {"\uAC19\uC740"} {"\uD0C0\uC6CC"} 100m/250m {"\uAE30\uB85D"} {"\uB3C4\uC804"}
+        <br />
+        {"\u2694"} {"\uB300\uACB0"} {"\u00B7"} {"\uC67C\uCABD"}/{"\uC624\uB978\uCABD"} {"\uD654\uBA74"} {"\uB610\uB294"} A/L {"\uD0A4\uB85C"} 2{"\uC778"} {"\u00B7"} 90{"\uCD08"}
+        <br />
+        {"\u{1F9D8}"} {"\uC5F0\uC2B5"} {"\u00B7"} XP {"\uAC10\uC18C"} {"\uC5C6\uC74C"} {"\u00B7"} {"\uB5A8\uC5B4\uC9C0\uBA74"} {"\uB418\uAC10\uAE30"}
+        <br />
+        {"\u2728"} {"\uACF5\uC911\uC5D0\uC11C"} {"\uD0ED"} {"\u00B7"} {"\u2190"}/{"\u2192"} = {"\uC9C4\uD654"} {"\uB2A5\uB825"}
       </p>
+
+      <label style={{ color: "rgba(255,255,255,0.25)", fontSize: 10, cursor: "pointer", textDecoration: "underline" }}>
+        {"\u{1F4C2}"} {"\uB9AC\uD50C\uB808\uC774"} {"\uD30C\uC77C"} {"\uC5F4\uAE30"}
+        <input type="file" accept="application/json,.json" onChange={handleReplayFile} style={{ display: "none" }} />
+      </label>
+      {replayError && (
+        <p role="alert" style={{ color: "#f87171", fontSize: 10, margin: "6px 0 0", textAlign: "center", maxWidth: 320 }}>
+          {"\uB9AC\uD50C\uB808\uC774\uB97C"} {"\uC5F4"} {"\uC218"} {"\uC5C6\uC5B4\uC694"}: {replayError}
+        </p>
+      )}
+
+      {viewerReplay && <ReplayViewer replay={viewerReplay} onClose={() => openViewer(null)} display={uiDisplay} />}
     </div>
   );
 }
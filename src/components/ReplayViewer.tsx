@@ -0,0 +1,149 @@
+import { useState, useEffect, useRef } from "react";
+import { W, STEP_MS, MAX_FRAME_MS } from "../game/constants";
+import { DEFAULT_DISPLAY } from "../game/display";
+import type { DisplayOptions } from "../game/display";
+import { renderGame, setupCanvas } from "../game/render";
+import { createPlayback, replayLength, seekPlayback, stepPlayback } from "../game/replay";
+import type { Replay } from "../game/replay";
+import { fitViewport, sameViewport } from "../game/viewport";
+import type { Viewport } from "../game/viewport";
+
+interface ReplayViewerProps {
+  replay: Replay;
+  onClose: () => void;
+  /** The player's accessibility settings, applied to playback too. */
+  display?: DisplayOptions;
+}
+
+/** Room left around the canvas for the header, scrubber and controls. */
+const CHROME_H = 110;
+
+const buttonStyle: React.CSSProperties = {
+  padding: "6px 10px",
+  borderRadius: 8,
+  border: "1px solid rgba(255,255,255,0.1)",
+  background: "rgba(255,255,255,0.06)",
+  color: "#fff",
+  fontFamily: "monospace",
+  fontSize: 12,
+  cursor: "pointer",
+};
+
+export default function ReplayViewer({ replay, onClose, display = DEFAULT_DISPLAY }: ReplayViewerProps) {
+  const canvasRef = useRef<HTMLCanvasElement>(null);
+  const displayRef = useRef(display);
+  displayRef.current = display;
+  const playback = useRef(createPlayback(replay));
+  const control = useRef({ playing: true, speed: 1 });
+  const total = replayLength(replay);
+
+  const [uiFrame, setUiFrame] = useState(0);
+  const [uiPlaying, setUiPlaying] = useState(true);
+  const [uiSpeed, setUiSpeed] = useState(1);
+
+  useEffect(() => {
+    playback.current = createPlayback(replay);
+    setUiFrame(0);
+  }, [replay]);
+
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    let ctx: CanvasRenderingContext2D | null = null;
+    let viewport: Viewport | null = null;
+
+    let raf = 0;
+    let lastTime = -1;
+    let accumulator = 0;
+    function loop(time: number) {
+      const pb = playback.current;
+      const elapsed = lastTime < 0 ? 0 : Math.min(time - lastTime, MAX_FRAME_MS);
+      lastTime = time;
+      if (control.current.playing) {
+        accumulator += elapsed * control.current.speed;
+        while (accumulator >= STEP_MS && pb.frame < total) {
+          stepPlayback(pb);
+          accumulator -= STEP_MS;
+        }
+        if (pb.frame >= total) {
+          accumulator = 0;
+          control.current.playing = false;
+          setUiPlaying(false);
+        }
+      }
+      setUiFrame(pb.frame);
+      const vp = fitViewport(window.innerWidth - 16, window.innerHeight - CHROME_H);
+      if (!ctx || !sameViewport(viewport, vp)) {
+        viewport = vp;
+        ctx = setupCanvas(canvas!, vp);
+      }
+      if (ctx) renderGame(ctx, pb.game, control.current.playing ? Math.min(1, accumulator / STEP_MS) : 1, { viewport: vp, display: displayRef.current });
+      raf = requestAnimationFrame(loop);
+    }
+    raf = requestAnimationFrame(loop);
+    return () => cancelAnimationFrame(raf);
+  }, [total]);
+
+  function togglePlay() {
+    const pb = playback.current;
+    if (!control.current.playing && pb.frame >= total) seekPlayback(pb, 0);
+    control.current.playing = !control.current.playing;
+    setUiPlaying(control.current.playing);
+  }
+
+  function toggleSpeed() {
+    control.current.speed = control.current.speed === 1 ? 2 : 1;
+    setUiSpeed(control.current.speed);
+  }
+
+  function seek(frame: number) {
+    control.current.playing = false;
+    setUiPlaying(false);
+    seekPlayback(playback.current, frame);
+    setUiFrame(playback.current.frame);
+  }
+
+  return (
+    <div
+      style={{
+        position: "fixed",
+        inset: 0,
+        display: "flex",
+        flexDirection: "column",
+        alignItems: "center",
+        justifyContent: "center",
+        background: "rgba(3,3,8,0.96)",
+        zIndex: 10,
+        fontFamily: "monospace",
+        color: "#fff",
+      }}
+    >
+      <div style={{ width: W, maxWidth: "100%", display: "flex", justifyContent: "space-between", marginBottom: 6, fontSize: 11, opacity: 0.6 }}>
+        <span>{"\u{1F3AC}"} REPLAY {replay.mode === "daily" ? "\u00B7 DAILY" : ""} {replay.difficulty !== "normal" ? `\u00B7 ${replay.difficulty.toUpperCase()}` : ""} {"\u00B7"} {replay.score}m</span>
+        <span>{uiFrame} / {total}</span>
+      </div>
+      <canvas
+        ref={canvasRef}
+        style={{
+          borderRadius: 14,
+          border: "1px solid rgba(255,255,255,0.06)",
+        }}
+      />
+      <input
+        type="range"
+        min={0}
+        max={total}
+        value={uiFrame}
+        onChange={(e) => seek(Number(e.target.value))}
+        style={{ width: W, maxWidth: "100%", marginTop: 8 }}
+      />
+      <div style={{ display: "flex", gap: 6, marginTop: 6 }}>
+        <button style={buttonStyle} onClick={() => seek(uiFrame - 1)}>{"\u23EE"}</button>
+        <button style={buttonStyle} onClick={togglePlay}>{uiPlaying ? "\u23F8" : "\u25B6"}</button>
+        <button style={buttonStyle} onClick={() => seek(uiFrame + 1)}>{"\u23ED"}</button>
+        <button style={buttonStyle} onClick={toggleSpeed}>{uiSpeed}x</button>
+        <button style={buttonStyle} onClick={onClose}>{"\u2715"}</button>
+      </div>
+    </div>
+  );
+}
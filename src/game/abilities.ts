@@ -0,0 +1,150 @@
+import { W, H } from "./constants";
+import type { AbilityKind, GameEvent, GameState } from "./types";
+
+export interface Ability {
+  kind: AbilityKind;
+  icon: string;
+  label: string;
+  /** Mid-air press. Returns false when the ability had nothing to do. */
+  airPress?: (g: GameState, side: number, events: GameEvent[]) => boolean;
+  /** Every airborne tick. */
+  air?: (g: GameState, dt: number) => void;
+  /** Last chance before a fall ends the run. Returns true if the egg was saved. */
+  rescue?: (g: GameState, events: GameEvent[]) => boolean;
+}
+
+const NUDGE_VX = 2.6;
+/** Jump strengths as a share of a full jump. */
+const DOUBLE_JUMP_SCALE = 0.62;
+const POUND_VY = 14;
+const GLIDE_MAX_VY = 1.3;
+const FIRE_RANGE = 150;
+const FIRE_COOLDOWN = 90;
+const REBIRTH_SCALE = 1.25;
+
+function flames(g: GameState, x: number, y: number, count: number, spread: number) {
+  const rand = g.rng.fx;
+  for (let i = 0; i < count; i++) {
+    const angle = -Math.PI / 2 + (rand() - 0.5) * spread;
+    const speed = 2 + rand() * 4;
+    g.particles.push({
+      x, y,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed,
+      life: 20 + rand() * 20,
+      maxLife: 40,
+      size: 3 + rand() * 4,
+      hue: rand() * 40,
+    });
+  }
+}
+
+/**
+ * The mechanic each evolution stage unlocks, indexed like `STAGES`. Only the
+ * current stage's ability works, so losing a stage to XP decay loses it too.
+ * Press abilities fire once per airtime; landing recharges them.
+ */
+export const ABILITIES: (Ability | null)[] = [
+  null,
+  {
+    kind: "nudge",
+    icon: "\u2194",
+    label: "NUDGE",
+    airPress: (g, side) => {
+      if (g.airUses > 0) return false;
+      g.egg.vx += side * NUDGE_VX;
+      return true;
+    },
+  },
+  {
+    kind: "doubleJump",
+    icon: "\u23EB",
+    label: "DOUBLE JUMP",
+    airPress: (g) => {
+      if (g.airUses > 0) return false;
+      g.egg.vy = Math.min(g.egg.vy, -g.tuning.maxJumpVel * DOUBLE_JUMP_SCALE);
+      flames(g, g.egg.x, g.egg.y + 18, 8, Math.PI);
+      return true;
+    },
+  },
+  {
+    kind: "groundPound",
+    icon: "\u23EC",
+    label: "GROUND POUND",
+    airPress: (g) => {
+      if (g.airUses > 0) return false;
+      g.egg.vx = 0;
+      g.egg.vy = POUND_VY;
+      return true;
+    },
+  },
+  {
+    kind: "glide",
+    icon: "\u{1FAB6}",
+    label: "GLIDE (HOLD)",
+    air: (g) => {
+      if (g.holding && g.egg.vy > GLIDE_MAX_VY) g.egg.vy = GLIDE_MAX_VY;
+    },
+  },
+  {
+    kind: "fireBreath",
+    icon: "\u{1F525}",
+    label: "FIRE BREATH",
+    airPress: (g, _side, events) => {
+      if (g.abilityCooldown > 0) return false;
+      g.abilityCooldown = FIRE_COOLDOWN;
+      flames(g, g.egg.x, g.egg.y, 24, Math.PI * 2);
+      for (const e of g.enemies) {
+        if (Math.hypot(e.x - g.egg.x, e.y - g.egg.y) > FIRE_RANGE) continue;
+        events.push({ type: "enemyScorched", enemy: e });
+        flames(g, e.x, e.y, 8, Math.PI * 2);
+        e.dead = true;
+      }
+      g.enemies = g.enemies.filter((e) => !e.dead);
+      return true;
+    },
+  },
+  {
+    kind: "rebirth",
+    icon: "\u{1F54A}",
+    label: "REBIRTH",
+    rescue: (g) => {
+      if (g.rebirthUsed) return false;
+      g.rebirthUsed = true;
+      g.egg.x = Math.max(W * 0.2, Math.min(W * 0.8, g.egg.x));
+      g.egg.y = g.camera.y + H - 10;
+      g.egg.prevX = g.egg.x;
+      g.egg.prevY = g.egg.y;
+      g.egg.vx = 0;
+      g.egg.vy = -g.tuning.maxJumpVel * REBIRTH_SCALE;
+      flames(g, g.egg.x, g.egg.y, 30, Math.PI * 1.2);
+      g.landingFx = { x: g.egg.x, y: g.egg.y - 40, timer: 40, text: "\u{1F525} REBIRTH! \u{1F525}" };
+      return true;
+    },
+  },
+];
+
+export function currentAbility(g: GameState) {
+  return ABILITIES[g.stageIdx] ?? null;
+}
+
+/** Handles a press while the egg is in the air. */
+export function triggerAirAbility(g: GameState, side: number, events: GameEvent[]) {
+  const ability = currentAbility(g);
+  if (!ability?.airPress) return;
+  if (!ability.airPress(g, side || (g.egg.x < W / 2 ? 1 : -1), events)) return;
+  g.airUses++;
+  events.push({ type: "ability", kind: ability.kind });
+}
+
+export function tickAbilities(g: GameState, dt: number) {
+  if (g.abilityCooldown > 0) g.abilityCooldown = Math.max(0, g.abilityCooldown - dt);
+  if (g.state === "jumping") currentAbility(g)?.air?.(g, dt);
+}
+
+export function tryRescue(g: GameState, events: GameEvent[]) {
+  const ability = currentAbility(g);
+  if (!ability?.rescue || !ability.rescue(g, events)) return false;
+  events.push({ type: "ability", kind: ability.kind });
+  return true;
+}
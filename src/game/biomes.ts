@@ -0,0 +1,341 @@
+import { W, H, toMeters } from "./constants";
+import type { DisplayOptions } from "./display";
+import type { BiomeKind, GameEvent, GameState, Platform } from "./types";
+
+/** Gameplay twist a zone adds on top of the platforms. */
+export interface BiomeHazard {
+  label: string;
+  /** Multiplies gravity while the egg is in the air. */
+  gravity?: number;
+  /** Multiplies how fast the power bar fills. */
+  charge?: number;
+  /** Every airborne tick. */
+  air?: (g: GameState, dt: number) => void;
+  /** After a landing, before the platform's own `land` hook. */
+  land?: (g: GameState, p: Platform, landVx: number) => void;
+  /** Every tick the egg stands on a platform. */
+  stand?: (g: GameState, p: Platform, dt: number) => void;
+}
+
+export interface Biome {
+  kind: BiomeKind;
+  name: string;
+  emoji: string;
+  /** Height in meters where the zone starts. */
+  from: number;
+  /** Background gradient, top to bottom. */
+  sky: [string, string, string];
+  /** Opacity of the parallax star field. */
+  stars: number;
+  /** Hues for normal platforms generated in the zone. */
+  palette: number[];
+  /** Far scenery behind the tower. `t` is a wall-clock time in ms. */
+  backdrop?: (ctx: CanvasRenderingContext2D, camY: number, top: number, t: number) => void;
+  /** Weather and floating bits in front of the sky. Flashes and streaks are left out under reduced motion. */
+  ambient: (ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number, d: DisplayOptions) => void;
+  hazard?: BiomeHazard;
+}
+
+const BANNER_TICKS = 150;
+/** Meters over which one zone's sky fades into the next. */
+const BLEND_M = 20;
+const WIND = 0.012;
+const RAIN_FRICTION = 0.96;
+
+/** Wraps a scrolling coordinate into the visible band of the screen. */
+function wrap(v: number, top: number, viewH: number) {
+  return ((v % viewH) + viewH) % viewH - top;
+}
+
+const HILLS = [
+  { color: "#10261c", parallax: 0.35, amp: 40 },
+  { color: "#0b1d14", parallax: 0.5, amp: 24 },
+];
+
+function drawHills(ctx: CanvasRenderingContext2D, camY: number) {
+  HILLS.forEach(({ color, parallax, amp }, layer) => {
+    const base = 590 - camY * parallax;
+    if (base - amp > H + 20) return;
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.moveTo(0, H + 20);
+    for (let x = 0; x <= W; x += 20) {
+      ctx.lineTo(x, base - Math.sin(x / 70 + layer * 2) * amp - layer * 10);
+    }
+    ctx.lineTo(W, H + 20);
+    ctx.closePath();
+    ctx.fill();
+  });
+}
+
+function drawFireflies(ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number) {
+  for (let i = 0; i < 14; i++) {
+    const x = (i * 83 + Math.sin(t / 1500 + i) * 20 + W) % W;
+    const y = wrap(i * 131 - camY * 0.3 + Math.sin(t / 900 + i) * 8, top, viewH);
+    const glow = 0.3 + Math.sin(t / 400 + i * 1.7) * 0.25;
+    ctx.fillStyle = `rgba(210, 255, 120, ${glow})`;
+    ctx.beginPath();
+    ctx.arc(x, y, 1.8, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function drawWisps(ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number) {
+  ctx.fillStyle = "rgba(255,255,255,0.06)";
+  for (let i = 0; i < 8; i++) {
+    const x = ((i * 140 + t * 0.01 * (1 + (i % 3))) % (W + 160)) - 80;
+    const y = wrap(i * 97 - camY * 0.5, top, viewH);
+    ctx.beginPath();
+    ctx.ellipse(x, y, 60 + (i % 3) * 20, 14 + (i % 2) * 6, 0, 0, Math.PI * 2);
+    ctx.fill();
+  }
+}
+
+function drawRain(ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number, d: DisplayOptions) {
+  const cycle = Math.floor(t / 4000);
+  // lightning
+  if (!d.reducedMotion && cycle % 3 === 0 && t % 4000 < 140) {
+    ctx.fillStyle = "rgba(200,210,255,0.18)";
+    ctx.fillRect(0, -top, W, viewH);
+  }
+  ctx.strokeStyle = "rgba(170,190,255,0.35)";
+  ctx.lineWidth = 1;
+  ctx.beginPath();
+  for (let i = 0; i < 60; i++) {
+    const x = (i * 53 + t * 0.05) % W;
+    const y = wrap(i * 71 + t * 0.9 - camY, top, viewH);
+    ctx.moveTo(x, y);
+    ctx.lineTo(x - 3, y + 12);
+  }
+  ctx.stroke();
+}
+
+function drawAurora(ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number) {
+  for (let band = 0; band < 3; band++) {
+    ctx.strokeStyle = `hsla(${150 + band * 40}, 90%, 60%, 0.07)`;
+    ctx.lineWidth = 18;
+    ctx.beginPath();
+    for (let x = 0; x <= W; x += 20) {
+      const y = wrap(80 + band * 60 - camY * 0.1, top, viewH) + Math.sin(x / 60 + t / 2000 + band) * 14;
+      if (x === 0) ctx.moveTo(x, y);
+      else ctx.lineTo(x, y);
+    }
+    ctx.stroke();
+  }
+  ctx.fillStyle = "rgba(220,240,255,0.5)";
+  for (let i = 0; i < 20; i++) {
+    const x = (i * 61 + Math.sin(t / 1200 + i) * 6 + W) % W;
+    const y = wrap(i * 89 + t * 0.02 - camY * 0.6, top, viewH);
+    ctx.fillRect(x, y, 1.5, 1.5);
+  }
+}
+
+function drawPlanet(ctx: CanvasRenderingContext2D, camY: number) {
+  const y = 150 - Math.sin(camY / 2500) * 40;
+  const grad = ctx.createRadialGradient(W * 0.78, y - 12, 6, W * 0.78, y, 46);
+  grad.addColorStop(0, "#f0b070");
+  grad.addColorStop(1, "#6b3a24");
+  ctx.fillStyle = grad;
+  ctx.beginPath();
+  ctx.arc(W * 0.78, y, 40, 0, Math.PI * 2);
+  ctx.fill();
+  ctx.strokeStyle = "rgba(240,200,150,0.5)";
+  ctx.lineWidth = 3;
+  ctx.beginPath();
+  ctx.ellipse(W * 0.78, y, 64, 12, -0.3, 0, Math.PI * 2);
+  ctx.stroke();
+}
+
+function drawMeteors(ctx: CanvasRenderingContext2D, _camY: number, top: number, _viewH: number, t: number, d: DisplayOptions) {
+  if (d.reducedMotion) return;
+  const phase = (t % 5000) / 5000;
+  if (phase > 0.2) return;
+  const seed = Math.floor(t / 5000);
+  const x = W * (0.2 + ((seed * 0.37) % 0.6)) + phase * 900;
+  const y = -top + 40 + phase * 500;
+  ctx.strokeStyle = `rgba(255,255,255,${0.6 - phase * 3})`;
+  ctx.lineWidth = 2;
+  ctx.beginPath();
+  ctx.moveTo(x, y);
+  ctx.lineTo(x - 40, y - 22);
+  ctx.stroke();
+}
+
+/** Altitude zones from the ground up. Each starts where the next one's `from` ends it. */
+export const BIOMES: Biome[] = [
+  {
+    kind: "farm",
+    name: "\uCD08\uC6D0 \uB18D\uC7A5",
+    emoji: "\u{1F33E}",
+    from: 0,
+    sky: ["#0b1a2e", "#12263a", "#1d3b2a"],
+    stars: 0.6,
+    palette: [90, 110, 130, 150, 60],
+    backdrop: drawHills,
+    ambient: drawFireflies,
+  },
+  {
+    kind: "clouds",
+    name: "\uAD6C\uB984 \uBC14\uB2E4",
+    emoji: "\u2601",
+    from: 50,
+    sky: ["#101a3a", "#1c2c56", "#2e4470"],
+    stars: 0.4,
+    palette: [190, 200, 210, 220, 180],
+    ambient: drawWisps,
+    hazard: {
+      label: "\u{1F32C} \uBC14\uB78C\uC774 \uBD84\uB2E4",
+      // gusts flip direction every few platforms
+      air: (g, dt) => { g.egg.vx += Math.sin(g.egg.y / 70) * WIND * dt; },
+    },
+  },
+  {
+    kind: "storm",
+    name: "\uD3ED\uD48D\uC6B0",
+    emoji: "\u26C8",
+    from: 150,
+    sky: ["#0c0c16", "#171a26", "#232838"],
+    stars: 0.05,
+    palette: [250, 260, 230, 210],
+    ambient: drawRain,
+    hazard: {
+      label: "\u2614 \uBE57\uBB3C\uC5D0 \uBBF8\uB044\uB7EC\uC6B4 \uBC1C\uD310",
+      land: (g, p, landVx) => {
+        if (p.type === "ice") return;
+        g.egg.vx = (landVx >= 0 ? 1 : -1) * Math.max(0.4, Math.abs(landVx) * 0.6);
+      },
+      stand: (g, p, dt) => {
+        if (p.type === "ice") return;
+        g.egg.x += g.egg.vx * dt;
+        g.egg.vx *= Math.pow(RAIN_FRICTION, dt);
+      },
+    },
+  },
+  {
+    kind: "stratosphere",
+    name: "\uC131\uCE35\uAD8C",
+    emoji: "\u{1F30C}",
+    from: 250,
+    sky: ["#05051a", "#0f0a2e", "#1c1048"],
+    stars: 0.8,
+    palette: [280, 300, 320, 260],
+    ambient: drawAurora,
+    hazard: { label: "\u{1F4A8} \uACF5\uAE30\uAC00 \uC5F7\uC5B4 \uD30C\uC6CC\uAC00 \uBE68\uB9AC \uCC28\uC624\uB984", charge: 1.3 },
+  },
+  {
+    kind: "space",
+    name: "\uC6B0\uC8FC",
+    emoji: "\u{1FA90}",
+    from: 400,
+    sky: ["#000004", "#03030c", "#070716"],
+    stars: 1,
+    palette: [0, 30, 330, 45],
+    backdrop: drawPlanet,
+    ambient: drawMeteors,
+    hazard: { label: "\u{1F311} \uC800\uC911\uB825", gravity: 0.6 },
+  },
+];
+
+export function biomeIndexAt(heightM: number) {
+  let idx = 0;
+  for (let i = 1; i < BIOMES.length; i++) {
+    if (heightM >= BIOMES[i].from) idx = i;
+  }
+  return idx;
+}
+
+export function currentBiome(g: GameState) {
+  return BIOMES[g.biomeIdx];
+}
+
+/**
+ * Moves the run into the zone of the highest point reached. Zones only
+ * advance, so a fall back across a boundary keeps the hazard it was in.
+ */
+export function updateBiome(g: GameState, events: GameEvent[], dt: number) {
+  const idx = biomeIndexAt(toMeters(g.heightReached));
+  if (idx > g.biomeIdx) {
+    events.push({ type: "biomeChange", from: g.biomeIdx, to: idx });
+    g.biomeIdx = idx;
+    g.biomeBanner = BANNER_TICKS;
+  } else if (g.biomeBanner > 0) {
+    g.biomeBanner = Math.max(0, g.biomeBanner - dt);
+  }
+}
+
+function mixHex(a: string, b: string, t: number) {
+  const pa = parseInt(a.slice(1), 16);
+  const pb = parseInt(b.slice(1), 16);
+  const ch = (shift: number) => Math.round(((pa >> shift) & 255) * (1 - t) + ((pb >> shift) & 255) * t);
+  return `rgb(${ch(16)}, ${ch(8)}, ${ch(0)})`;
+}
+
+/**
+ * The zone the camera is looking at and how far it has faded into the next
+ * one, for the background only. Gameplay follows `g.biomeIdx` instead.
+ */
+export function biomeBlend(camY: number) {
+  const heightM = toMeters(camY + H / 2);
+  const idx = biomeIndexAt(heightM);
+  const next = BIOMES[idx + 1];
+  const t = next ? Math.min(1, Math.max(0, (heightM - (next.from - BLEND_M)) / BLEND_M)) : 0;
+  return { biome: BIOMES[idx], next: next ?? null, t };
+}
+
+/** Sky gradient, stars and scenery for the zone in view, crossfading at boundaries. */
+export function drawBiomeBackground(ctx: CanvasRenderingContext2D, camY: number, top: number, viewH: number, t: number, d: DisplayOptions) {
+  const { biome, next, t: fade } = biomeBlend(camY);
+  const sky = next ? biome.sky.map((c, i) => mixHex(c, next.sky[i], fade)) : biome.sky;
+  const grad = ctx.createLinearGradient(0, -top, 0, H);
+  grad.addColorStop(0, sky[0]);
+  grad.addColorStop(0.4, sky[1]);
+  grad.addColorStop(1, sky[2]);
+  ctx.fillStyle = grad;
+  ctx.fillRect(0, -top, W, viewH);
+
+  const stars = next ? biome.stars + (next.stars - biome.stars) * fade : biome.stars;
+  for (let i = 0; i < 40; i++) {
+    const sx = (i * 97.3 + 30) % W;
+    const sy = ((i * 137.5 + camY * 0.05 * ((i % 3) + 1)) % (viewH + 40) + viewH + 40) % (viewH + 40) - top;
+    ctx.fillStyle = `rgba(255,255,255,${(0.15 + (i % 4) * 0.08) * stars})`;
+    ctx.beginPath();
+    ctx.arc(sx, sy, 0.8 + (i % 3) * 0.4, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  for (const [b, alpha] of [[biome, 1 - fade], [next, fade]] as const) {
+    if (!b || alpha <= 0) continue;
+    ctx.save();
+    ctx.globalAlpha = alpha;
+    b.backdrop?.(ctx, camY, top, t);
+    b.ambient(ctx, camY, top, viewH, t, d);
+    ctx.restore();
+  }
+}
+
+/** The zone banner shown for a few seconds after crossing into it. */
+export function drawBiomeBanner(ctx: CanvasRenderingContext2D, g: GameState, hud: number) {
+  if (g.biomeBanner <= 0) return;
+  const biome = currentBiome(g);
+  const life = g.biomeBanner / BANNER_TICKS;
+  const alpha = Math.min(1, (1 - life) * 6, life * 4);
+  const y = H * 0.3;
+  ctx.save();
+  ctx.globalAlpha = alpha;
+  ctx.fillStyle = "rgba(0,0,0,0.45)";
+  ctx.fillRect(0, y - 34, W, biome.hazard ? 74 : 56);
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 22px sans-serif";
+  ctx.fillText(`${biome.emoji} ${biome.name}`, W / 2, y - 6 + (1 - Math.min(1, (1 - life) * 6)) * 10);
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = `${11 * hud}px monospace`;
+  ctx.fillText(`${biome.from}m`, W / 2, y + 14);
+  if (biome.hazard) {
+    ctx.fillStyle = "rgba(255,180,160,0.9)";
+    ctx.font = `bold ${11 * hud}px sans-serif`;
+    ctx.fillText(biome.hazard.label, W / 2, y + 30);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,30 @@
+export const W = 400;
+export const H = 650;
+export const EGG_R = 18;
+export const STEP_MS = 1000 / 60;
+export const MAX_FRAME_MS = 250;
+export const RESUME_TICKS = 180;
+/** Jump power at which a release counts as a perfect. */
+export const PERFECT_POWER = 99;
+
+export const STAGES = [
+  { emoji: "\u{1F95A}", name: "\uC54C", color: "#F9E4B7" },
+  { emoji: "\u{1F423}", name: "\uBCD1\uC544\uB9AC", color: "#FFEB3B" },
+  { emoji: "\u{1F425}", name: "\uC544\uAE30\uC0C8", color: "#FFC107" },
+  { emoji: "\u{1F414}", name: "\uB2ED", color: "#FF9800" },
+  { emoji: "\u{1F985}", name: "\uB3C5\uC218\uB9AC", color: "#8D6E63" },
+  { emoji: "\u{1F409}", name: "\uB4DC\uB798\uACE4", color: "#E53935" },
+  { emoji: "\u{1F525}", name: "\uD53C\uB2C9\uC2A4", color: "#FFD700" },
+];
+
+/** The stage reached with `xp`, given the XP each stage needs. */
+export function getStage(xp: number, stageXp: number[]) {
+  for (let i = stageXp.length - 1; i >= 0; i--) {
+    if (xp >= stageXp[i]) return i;
+  }
+  return 0;
+}
+
+export function toMeters(y: number) {
+  return Math.max(0, Math.floor((540 - y) / 12));
+}
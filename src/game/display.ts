@@ -0,0 +1,56 @@
+/** "system" follows the device's reduce-motion preference. */
+export type MotionSetting = "system" | "full" | "reduced";
+
+export type PlatformStyle = "standard" | "contrast" | "colorblind";
+
+/** The player's accessibility choices as saved. */
+export interface AccessibilitySettings {
+  motion: MotionSetting;
+  platformStyle: PlatformStyle;
+  largeHud: boolean;
+  /** Replaces hold-to-charge with one long press and a bar that stops itself. */
+  singleSwitch: boolean;
+}
+
+export const DEFAULT_ACCESSIBILITY: AccessibilitySettings = { motion: "system", platformStyle: "standard", largeHud: false, singleSwitch: false };
+
+export const MOTION_SETTINGS: MotionSetting[] = ["system", "full", "reduced"];
+export const PLATFORM_STYLES: PlatformStyle[] = ["standard", "contrast", "colorblind"];
+
+/** How much larger HUD text gets with the large text setting. */
+const LARGE_HUD = 1.3;
+
+/**
+ * How the renderer presents the game. None of it reaches the simulation,
+ * so it can change mid-run and replays look however the viewer likes.
+ */
+export interface DisplayOptions {
+  /** No screen flashes, shake, pulsing or flicker, and fewer particles. */
+  reducedMotion: boolean;
+  platformStyle: PlatformStyle;
+  /** Multiplies the viewport's HUD text scale. */
+  hudScale: number;
+}
+
+export const DEFAULT_DISPLAY: DisplayOptions = { reducedMotion: false, platformStyle: "standard", hudScale: 1 };
+
+export function resolveDisplay(a: AccessibilitySettings, systemReducedMotion: boolean): DisplayOptions {
+  return {
+    reducedMotion: a.motion === "reduced" || (a.motion === "system" && systemReducedMotion),
+    platformStyle: a.platformStyle,
+    hudScale: a.largeHud ? LARGE_HUD : 1,
+  };
+}
+
+/** Clock in ms for decorative animation. It stands still under reduced motion, so nothing pulses or scrolls. */
+export function animationTime(d: DisplayOptions) {
+  return d.reducedMotion ? 0 : Date.now();
+}
+
+export function isMotionSetting(value: unknown): value is MotionSetting {
+  return MOTION_SETTINGS.includes(value as MotionSetting);
+}
+
+export function isPlatformStyle(value: unknown): value is PlatformStyle {
+  return PLATFORM_STYLES.includes(value as PlatformStyle);
+}
@@ -0,0 +1,313 @@
+import { W, H, EGG_R, toMeters } from "./constants";
+import type { DisplayOptions } from "./display";
+import { burst, consumePowerUp } from "./powerups";
+import type { Random } from "./random";
+import type { Enemy, EnemyKind, GameEvent, GameState } from "./types";
+
+/**
+ * Everything an enemy kind does lives in its entry here, in the same way as
+ * `PLATFORM_TYPES`: how it enters, moves and leaves, the box it touches the
+ * egg with, what a hit does to the egg, and how it and its warning look.
+ */
+export interface EnemyType {
+  /** Emoji used for the edge warning. */
+  icon: string;
+  warnColor: string;
+  /** Half-size of the enemy's box, added to the egg's radius when testing contact. */
+  hitW: number;
+  hitH: number;
+  /** Blocks landings on platforms inside its box instead of knocking the egg about. */
+  blocksLanding?: boolean;
+  spawn: (g: GameState, rand: Random, heightM: number) => Enemy;
+  tick: (g: GameState, e: Enemy, dt: number) => void;
+  /** False while the enemy cannot touch the egg yet, e.g. during a telegraph. */
+  armed?: (e: Enemy) => boolean;
+  /** Sets the egg's velocity after a hit. `grounded` is whether it was standing. */
+  knockback?: (g: GameState, e: Enemy, grounded: boolean) => void;
+  gone: (g: GameState, e: Enemy) => boolean;
+  /** Under reduced motion nothing may flap, pulse or bob. */
+  draw: (ctx: CanvasRenderingContext2D, e: Enemy, x: number, y: number, g: GameState, d: DisplayOptions) => void;
+}
+
+export interface SpawnBand {
+  /** Height in meters where the band starts. */
+  from: number;
+  /** Ticks between spawns. */
+  interval: number;
+  weights: Partial<Record<EnemyKind, number>>;
+}
+
+const SINE_AMP = 45;
+const HAWK_TELEGRAPH = 70;
+const HAWK_SPEED = 7;
+const CLOUD_LIFE = 420;
+const CLOUD_FADE = 40;
+
+function base(kind: EnemyKind, x: number, y: number): Enemy {
+  return { kind, x, y, prevX: x, prevY: y, vx: 0, vy: 0, baseY: y, frame: 0, timer: 0, dead: false };
+}
+
+/** A flyer entering from a random side somewhere in the visible band. */
+function sideEntry(g: GameState, rand: Random, kind: EnemyKind, speed: number) {
+  const side = rand() < 0.5 ? -1 : 1;
+  const e = base(kind, side < 0 ? -30 : W + 30, g.camera.y + 80 + rand() * (H - 200));
+  e.vx = -side * speed;
+  return e;
+}
+
+function offSides(e: Enemy) {
+  return (e.vx < 0 && e.x < -50) || (e.vx > 0 && e.x > W + 50);
+}
+
+function drawFlyer(ctx: CanvasRenderingContext2D, e: Enemy, x: number, y: number, d: DisplayOptions, up: string, down: string) {
+  ctx.font = "22px serif";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.save();
+  ctx.translate(x, y);
+  // emoji face left; mirror the ones flying right
+  if (e.vx > 0) ctx.scale(-1, 1);
+  ctx.fillText(d.reducedMotion || Math.sin(e.frame) > 0 ? up : down, 0, 0);
+  ctx.restore();
+}
+
+export const ENEMY_TYPES: Record<EnemyKind, EnemyType> = {
+  bird: {
+    icon: "\u{1F426}",
+    warnColor: "rgba(255, 200, 80, 0.9)",
+    hitW: 14,
+    hitH: 8,
+    spawn: (g, rand, heightM) => sideEntry(g, rand, "bird", 1.5 + rand() * 1.2 + Math.min(2, heightM * 0.01)),
+    tick: (_g, e, dt) => {
+      e.x += e.vx * dt;
+      e.frame += dt * 0.15;
+    },
+    knockback: (g, e, grounded) => {
+      g.egg.vx = Math.sign(e.vx) * 4;
+      if (grounded) g.egg.vy = -2;
+    },
+    gone: (_g, e) => offSides(e),
+    draw: (ctx, e, x, y, _g, d) => drawFlyer(ctx, e, x, y, d, "\u{1F985}", "\u{1F426}"),
+  },
+  sine: {
+    icon: "\u{1F987}",
+    warnColor: "rgba(200, 140, 255, 0.9)",
+    hitW: 12,
+    hitH: 12,
+    spawn: (g, rand, heightM) => {
+      const e = sideEntry(g, rand, "sine", 1.3 + rand() * 0.8 + Math.min(1.5, heightM * 0.006));
+      e.frame = rand() * Math.PI * 2;
+      return e;
+    },
+    tick: (_g, e, dt) => {
+      e.x += e.vx * dt;
+      e.frame += dt * 0.06;
+      e.y = e.baseY + Math.sin(e.frame) * SINE_AMP;
+    },
+    knockback: (g, e, grounded) => {
+      g.egg.vx = Math.sign(e.vx) * 3;
+      g.egg.vy = grounded ? -3 : Math.min(g.egg.vy, -3);
+    },
+    gone: (_g, e) => offSides(e),
+    draw: (ctx, e, x, y, _g, d) => drawFlyer(ctx, e, x, y, d, "\u{1F987}", "\u{1F987}"),
+  },
+  hawk: {
+    icon: "\u26A0",
+    warnColor: "rgba(255, 80, 80, 0.95)",
+    hitW: 16,
+    hitH: 10,
+    spawn: (g, rand) => {
+      const side = rand() < 0.5 ? -1 : 1;
+      const e = base("hawk", side < 0 ? -20 : W + 20, g.camera.y - 30);
+      // aim at where the egg is now; the telegraph gives it time to move
+      const dx = g.egg.x - e.x;
+      const dy = g.egg.y - e.y;
+      const len = Math.hypot(dx, dy) || 1;
+      e.vx = (dx / len) * HAWK_SPEED;
+      e.vy = (dy / len) * HAWK_SPEED;
+      e.timer = HAWK_TELEGRAPH;
+      return e;
+    },
+    tick: (_g, e, dt) => {
+      e.frame += dt * 0.2;
+      if (e.timer > 0) {
+        e.timer -= dt;
+        return;
+      }
+      e.x += e.vx * dt;
+      e.y += e.vy * dt;
+    },
+    armed: (e) => e.timer <= 0,
+    knockback: (g, e, grounded) => {
+      g.egg.vx = e.vx * 0.6;
+      // a standing egg is swept off its ledge; one in the air is slammed down
+      g.egg.vy = grounded ? -3 : Math.max(g.egg.vy, 0) + 4;
+    },
+    gone: (g, e) => e.y > g.camera.y + H + 60 || e.x < -80 || e.x > W + 80,
+    draw: (ctx, e, x, y, _g, d) => {
+      if (e.timer > 0) {
+        const pulse = d.reducedMotion ? 0.6 : 0.3 + Math.abs(Math.sin(e.timer * 0.25)) * 0.4;
+        const len = Math.hypot(e.vx, e.vy) || 1;
+        ctx.save();
+        ctx.strokeStyle = `rgba(255, 80, 80, ${pulse})`;
+        ctx.lineWidth = 3;
+        ctx.setLineDash([10, 8]);
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + (e.vx / len) * 1000, y + (e.vy / len) * 1000);
+        ctx.stroke();
+        ctx.restore();
+      }
+      ctx.font = "26px serif";
+      ctx.textAlign = "center";
+      ctx.textBaseline = "middle";
+      ctx.save();
+      ctx.translate(x, y);
+      if (e.vx > 0) ctx.scale(-1, 1);
+      ctx.fillText("\u{1F985}", 0, 0);
+      ctx.restore();
+    },
+  },
+  cloud: {
+    icon: "\u2601",
+    warnColor: "rgba(180, 200, 230, 0.9)",
+    hitW: 55,
+    hitH: 24,
+    blocksLanding: true,
+    spawn: (g, rand) => {
+      // park over one of the next few platforms above the screen
+      const ahead = g.platforms.filter((p) => p.baseY < g.camera.y - 20 && p.baseY > g.camera.y - 260);
+      const p = ahead.length ? ahead[Math.floor(rand() * ahead.length)] : null;
+      const e = base("cloud", 60 + rand() * (W - 120), p ? p.baseY : g.camera.y - 100);
+      e.timer = CLOUD_LIFE;
+      return e;
+    },
+    tick: (_g, e, dt) => {
+      e.timer -= dt;
+      e.frame += dt * 0.03;
+    },
+    armed: (e) => e.timer > CLOUD_FADE,
+    gone: (g, e) => e.timer <= 0 || e.y > g.camera.y + H + 60,
+    draw: (ctx, e, x, y, _g, d) => {
+      const alpha = Math.min(1, e.timer / CLOUD_FADE, (CLOUD_LIFE - e.timer) / CLOUD_FADE);
+      ctx.save();
+      ctx.globalAlpha = Math.max(0, alpha) * 0.85;
+      ctx.fillStyle = "#8a93a8";
+      for (let i = -2; i <= 2; i++) {
+        ctx.beginPath();
+        const bob = d.reducedMotion ? 0 : Math.sin(e.frame + i) * 3;
+        ctx.arc(x + i * 22, y + bob - (2 - Math.abs(i)) * 6, 22 - Math.abs(i) * 3, 0, Math.PI * 2);
+        ctx.fill();
+      }
+      ctx.fillStyle = "rgba(40, 44, 60, 0.6)";
+      ctx.fillRect(x - 50, y + 6, 100, 8);
+      ctx.restore();
+    },
+  },
+};
+
+function spawnBand(heightM: number, table: SpawnBand[]) {
+  let band: SpawnBand | null = null;
+  for (const b of table) {
+    if (heightM >= b.from) band = b;
+  }
+  return band;
+}
+
+function rollKind(band: SpawnBand, rand: Random) {
+  const entries = Object.entries(band.weights) as [EnemyKind, number][];
+  const total = entries.reduce((sum, [, w]) => sum + w, 0);
+  let roll = rand() * total;
+  for (const [kind, w] of entries) {
+    roll -= w;
+    if (roll < 0) return kind;
+  }
+  return entries[entries.length - 1][0];
+}
+
+function touching(g: GameState, e: Enemy) {
+  const def = ENEMY_TYPES[e.kind];
+  return Math.abs(g.egg.x - e.x) < EGG_R + def.hitW && Math.abs(g.egg.y - e.y) < EGG_R + def.hitH;
+}
+
+/** True when a landing at `(x, y)` is covered by a blocking enemy. */
+export function landingBlocked(g: GameState, x: number, y: number) {
+  return g.enemies.some((e) => {
+    const def = ENEMY_TYPES[e.kind];
+    return def.blocksLanding && (def.armed?.(e) ?? true) &&
+      Math.abs(x - e.x) < def.hitW && Math.abs(y - e.y) < def.hitH;
+  });
+}
+
+/** Spawns from the altitude table, moves every enemy and resolves hits on the egg. */
+export function updateEnemies(g: GameState, events: GameEvent[], dt: number) {
+  const rand = g.rng.fx;
+  const { egg } = g;
+  const band = spawnBand(toMeters(g.heightReached), g.tuning.enemies);
+
+  g.enemyTimer += dt;
+  if (band && g.enemyTimer > band.interval) {
+    g.enemyTimer = 0;
+    const kind = rollKind(band, g.rng.enemies);
+    g.enemies.push(ENEMY_TYPES[kind].spawn(g, g.rng.enemies, toMeters(g.heightReached)));
+  }
+
+  for (const e of g.enemies) {
+    const def = ENEMY_TYPES[e.kind];
+    def.tick(g, e, dt);
+    if (!def.knockback || g.invulnerable > 0 || !(def.armed?.(e) ?? true) || !touching(g, e)) continue;
+    e.dead = true;
+    if (consumePowerUp(g, "shield", events)) {
+      events.push({ type: "shieldBlock", enemy: e });
+      burst(g, egg.x, egg.y, 200, 18);
+      continue;
+    }
+    const grounded = g.state === "idle" || g.state === "charging";
+    if (grounded) {
+      egg.onPlatform = null;
+      g.state = "jumping";
+    }
+    def.knockback(g, e, grounded);
+    events.push({ type: "enemyHit", enemy: e });
+    for (let i = 0; i < 6; i++) {
+      g.particles.push({
+        x: egg.x, y: egg.y,
+        vx: Math.sign(egg.vx || 1) * (rand() * 3 + 1),
+        vy: (rand() - 0.5) * 3,
+        life: 15, maxLife: 15,
+        size: 2 + rand() * 3, hue: 30,
+      });
+    }
+  }
+  g.enemies = g.enemies.filter((e) => !e.dead && !ENEMY_TYPES[e.kind].gone(g, e));
+}
+
+/**
+ * Marks enemies that are about to come into view with their icon pinned to
+ * the screen edge they will enter from. Drawn in world space.
+ */
+export function drawEnemyWarnings(ctx: CanvasRenderingContext2D, g: GameState, camY: number, top: number, t: number) {
+  const minY = camY - top + 16;
+  const maxY = camY + H - 16;
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  for (const e of g.enemies) {
+    const inView = e.x > 0 && e.x < W && e.y > minY - 16 && e.y < maxY + 16;
+    const approaching = (e.x <= 0 && e.vx > 0) || (e.x >= W && e.vx < 0) || (e.y <= minY && e.vy >= 0);
+    if (inView || !approaching) continue;
+    const def = ENEMY_TYPES[e.kind];
+    const x = Math.max(14, Math.min(W - 14, e.x));
+    const y = Math.max(minY, Math.min(maxY, e.y));
+    const pulse = 0.6 + Math.sin(t / 120) * 0.4;
+    ctx.globalAlpha = pulse;
+    ctx.fillStyle = def.warnColor;
+    ctx.beginPath();
+    ctx.arc(x, y, 12, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.globalAlpha = 1;
+    ctx.font = "13px serif";
+    ctx.fillText(def.icon, x, y + 1);
+  }
+  ctx.restore();
+}
@@ -0,0 +1,104 @@
+import { describe, expect, it } from "vitest";
+import { W, EGG_R, toMeters } from "./constants";
+import { createGame, step } from "./engine";
+import type { GameEvent, GameInput, GameState, Platform } from "./types";
+
+function ledge(y: number, x = 8, w = W - 16): Platform {
+  return {
+    x, y, prevX: x, prevY: y, baseY: y, w, h: 11,
+    speed: 0, hue: 140, type: "normal", timer: 0, phase: 0, belt: 0, landed: false, removing: false,
+  };
+}
+
+/** A game on the start ledge with one still, full-width ledge a gap above it and nothing else around. */
+function setup() {
+  const g = createGame({ seed: 1 });
+  const above = ledge(540 - g.tuning.platformGap);
+  g.platforms = [g.platforms[0], above];
+  g.items = [];
+  return { g, above };
+}
+
+function run(g: GameState, ticks: number, input: GameInput = {}) {
+  const events: GameEvent[] = [];
+  for (let i = 0; i < ticks; i++) events.push(...step(g, i === 0 ? input : {}));
+  return events;
+}
+
+/** Charges to `power` and lets go, then steps until the egg is standing again. */
+function jump(g: GameState, power: number) {
+  const events = run(g, 1, { press: true });
+  while (g.power.value < power) events.push(...run(g, 1));
+  events.push(...run(g, 1, { release: true }));
+  for (let i = 0; i < 300 && g.state === "jumping"; i++) events.push(...run(g, 1));
+  return events;
+}
+
+describe("landing", () => {
+  it("lands on the ledge above and scores its height", () => {
+    const { g, above } = setup();
+    const events = jump(g, 70);
+    const land = events.find((ev) => ev.type === "land");
+    expect(land).toMatchObject({ type: "land", platform: above, xpGain: g.tuning.xp.climb });
+    expect(g.state).toBe("idle");
+    expect(g.egg.onPlatform).toBe(above);
+    expect(g.egg.y).toBe(above.y - EGG_R);
+    expect(g.score).toBe(toMeters(above.baseY));
+  });
+
+  it("comes back down on the start ledge after a weak jump", () => {
+    const { g } = setup();
+    const start = g.platforms[0];
+    const events = jump(g, 20);
+    expect(g.egg.onPlatform).toBe(start);
+    expect(events.find((ev) => ev.type === "land")).toMatchObject({ xpGain: 0 });
+    expect(g.score).toBe(0);
+  });
+
+  it("is knocked off the ledge by a bird", () => {
+    const { g } = setup();
+    const { x, y } = g.egg;
+    g.enemies = [{ kind: "bird", x, y, prevX: x, prevY: y, vx: 0, vy: 0, baseY: y, frame: 0, timer: 0, dead: false }];
+    const events = run(g, 1);
+    expect(events.some((ev) => ev.type === "enemyHit")).toBe(true);
+    expect(g.state).toBe("jumping");
+    expect(g.egg.onPlatform).toBeNull();
+    expect(g.enemies).toHaveLength(0);
+  });
+});
+
+describe("XP decay", () => {
+  it("drains XP by the tuning's rate while standing", () => {
+    const { g } = setup();
+    g.xp = 5;
+    run(g, 100);
+    expect(g.xp).toBeCloseTo(5 - 100 * g.tuning.xp.decay);
+  });
+
+  it("never goes below zero", () => {
+    const { g } = setup();
+    g.xp = 0.01;
+    run(g, 100);
+    expect(g.xp).toBe(0);
+  });
+});
+
+describe("stages", () => {
+  it("evolves when a climb reaches the next stage's XP", () => {
+    const { g } = setup();
+    g.xp = g.tuning.stageXp[1] - 1;
+    const events = jump(g, 70);
+    expect(events).toContainEqual({ type: "stageChange", from: 0, to: 1 });
+    expect(g.stageIdx).toBe(1);
+    expect(g.maxStageIdx).toBe(1);
+  });
+
+  it("falls back a stage when decay drops XP under the threshold", () => {
+    const { g } = setup();
+    g.xp = g.tuning.stageXp[1] + 0.05;
+    g.stageIdx = 1;
+    const events = run(g, 20);
+    expect(events).toContainEqual({ type: "stageChange", from: 1, to: 0 });
+    expect(g.stageIdx).toBe(0);
+  });
+});
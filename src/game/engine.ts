@@ -0,0 +1,519 @@
+import { W, H, EGG_R, PERFECT_POWER, RESUME_TICKS, getStage, toMeters } from "./constants";
+import { tickAbilities, triggerAirAbility, tryRescue } from "./abilities";
+import { BIOMES, biomeIndexAt, currentBiome, updateBiome } from "./biomes";
+import { landingBlocked, updateEnemies } from "./enemies";
+import { PLATFORM_TYPES, dropEgg, isSolid, offLedge, rollPlatformKind } from "./platforms";
+import { MAGNET_REACH, SLOWMO_FACTOR, SPRING_BOOST, burst, consumePowerUp, hasPowerUp, spawnItem, updatePowerUps } from "./powerups";
+import { createRngStreams, randomSeed } from "./random";
+import { holdFall, updateRewind } from "./practice";
+import { offerRevive, updateRevive } from "./revive";
+import { updateTimeAttack } from "./timeAttack";
+import { TUNING_PRESETS } from "./tuning";
+import type { GameConfig, GameEvent, GameInput, GameState, Platform } from "./types";
+
+function createPlatform(g: GameState, y: number, index: number): Platform {
+  const rand = g.rng.world;
+  const heightM = toMeters(y);
+  const width = g.tuning.width;
+  const widthBase = Math.max(width.min, width.base - heightM * width.shrink);
+  const widthVariance = Math.max(width.spreadMin, width.spread - heightM * width.spreadShrink);
+  const w = widthBase + rand() * widthVariance;
+  const baseSpeed = g.tuning.speed.base + Math.min(g.tuning.speed.maxRise, heightM * g.tuning.speed.rise);
+  const zigzag = index % 2 === 0 ? 0.6 : 1.0;
+  const speed = baseSpeed * zigzag * (0.8 + rand() * 0.4) * (rand() > 0.5 ? 1 : -1);
+  const type = rollPlatformKind(heightM, rand, g.tuning.kinds);
+  const def = PLATFORM_TYPES[type];
+  const x = g.tuning.wallMargin + rand() * (W - 2 * g.tuning.wallMargin - w);
+  const p: Platform = {
+    x,
+    y,
+    prevX: x,
+    prevY: y,
+    baseY: y,
+    w,
+    h: 11,
+    speed,
+    hue: def.hue(index, BIOMES[biomeIndexAt(heightM)].palette),
+    type,
+    timer: 0,
+    phase: 0,
+    belt: 0,
+    landed: false,
+    removing: false,
+  };
+  def.init?.(p, rand);
+  return p;
+}
+
+/**
+ * Builds a fresh run: the starting ledge, the first 25 platforms and an
+ * idle egg. The returned state is plain data owned by the caller and is
+ * only ever mutated through `step`. Two games created with the same seed
+ * climb the same tower and meet the same enemies. The tuning defaults to
+ * the difficulty's stock preset.
+ */
+export function createGame(config: GameConfig = {}): GameState {
+  const seed = config.seed ?? randomSeed();
+  const difficulty = config.difficulty ?? "normal";
+  const start: Platform = {
+    x: W / 2 - 90, y: 540, prevX: W / 2 - 90, prevY: 540, baseY: 540, w: 180, h: 11,
+    speed: 0, hue: 140, type: "normal", timer: 0, phase: 0, belt: 0, landed: false, removing: false,
+  };
+  const g: GameState = {
+    state: "idle",
+    paused: false,
+    resumeTimer: 0,
+    mode: config.mode ?? "classic",
+    difficulty,
+    tuning: config.tuning ?? TUNING_PRESETS[difficulty],
+    seed,
+    rng: createRngStreams(seed),
+    egg: { x: W / 2, y: 540 - EGG_R, prevX: W / 2, prevY: 540 - EGG_R, vx: 0, vy: 0, onPlatform: null },
+    platforms: [start],
+    camera: { y: 0, prevY: 0 },
+    power: { value: 50, dir: 1, speed: 1.6 },
+    score: 0,
+    highScore: config.highScore ?? 0,
+    xp: 0,
+    xpDecayTimer: 0,
+    stageIdx: 0,
+    prevStageIdx: 0,
+    maxStageIdx: 0,
+    jumps: 0,
+    perfects: 0,
+    particles: [],
+    enemies: [],
+    enemyTimer: 0,
+    items: [],
+    powerUps: [],
+    holding: false,
+    airUses: 0,
+    abilityCooldown: 0,
+    rebirthUsed: false,
+    continues: config.continues ?? 1,
+    reviveTimer: 0,
+    reviveWaiting: false,
+    invulnerable: 0,
+    biomeIdx: 0,
+    biomeBanner: 0,
+    perfectFlash: 0,
+    evolveFlash: 0,
+    landingFx: null,
+    target: config.target ?? 0,
+    clock: 0,
+    splits: [],
+    finished: false,
+    checkpoint: start,
+    heightReached: 540,
+    highestPlatformY: 540,
+    platformIndex: 26,
+    climb: [{ x: W / 2 - 90, y: 540, w: 180, type: "normal" }],
+  };
+  for (let i = 1; i <= 25; i++) {
+    const p = createPlatform(g, 540 - i * g.tuning.platformGap, i);
+    g.platforms.push(p);
+    spawnItem(g, p);
+  }
+  g.egg.onPlatform = start;
+  return g;
+}
+
+/** True when the next `step` will advance the world rather than sit paused. */
+export function isRunning(g: GameState) {
+  return g.state !== "gameover" && !g.paused && g.resumeTimer <= 0;
+}
+
+/**
+ * Freezes the world. A charge in progress is dropped, since the press that
+ * started it will not get its release while the game is in the background.
+ * A revive gate on screen (an ad, say) already holds the offer, so it does
+ * not pause.
+ */
+export function pauseGame(g: GameState) {
+  if (g.state === "gameover" || g.paused || g.reviveWaiting) return false;
+  g.paused = true;
+  g.resumeTimer = 0;
+  dropHold(g);
+  return true;
+}
+
+/** Lets go of the button and drops a charge in progress without jumping. */
+export function dropHold(g: GameState) {
+  g.holding = false;
+  if (g.state === "charging") {
+    g.state = "idle";
+    g.power.value = 0;
+    g.power.dir = 1;
+  }
+}
+
+/** Leaves the pause screen and starts the countdown back into play. */
+export function resumeGame(g: GameState) {
+  if (!g.paused) return;
+  g.paused = false;
+  g.resumeTimer = RESUME_TICKS;
+}
+
+function snapshot(g: GameState) {
+  g.egg.prevX = g.egg.x;
+  g.egg.prevY = g.egg.y;
+  g.camera.prevY = g.camera.y;
+  for (const p of g.platforms) {
+    p.prevX = p.x;
+    p.prevY = p.y;
+  }
+  for (const e of g.enemies) {
+    e.prevX = e.x;
+    e.prevY = e.y;
+  }
+}
+
+function endRun(g: GameState, events: GameEvent[]) {
+  g.state = "gameover";
+  const newBest = g.score > g.highScore;
+  g.highScore = Math.max(g.highScore, g.score);
+  events.push({ type: "gameOver", score: g.score, highScore: g.highScore, newBest });
+}
+
+/** Ends a run from outside the simulation, as when a versus match runs out of time. */
+export function endGame(g: GameState, events: GameEvent[]) {
+  if (g.state !== "gameover") endRun(g, events);
+}
+
+function startCharging(g: GameState, events: GameEvent[]) {
+  if (g.state !== "idle") return;
+  g.power.value = 0;
+  g.power.dir = 1;
+  g.state = "charging";
+  events.push({ type: "chargeStart" });
+}
+
+function releaseJump(g: GameState, events: GameEvent[]) {
+  if (g.state !== "charging") return;
+  const rand = g.rng.fx;
+  const power = g.power.value / 100;
+  const stageBonus = 1 + g.stageIdx * g.tuning.stageJumpBonus;
+  const egg = g.egg;
+  let jumpVel = g.tuning.maxJumpVel * Math.max(0.15, power) * stageBonus;
+  if (consumePowerUp(g, "spring", events)) {
+    jumpVel *= SPRING_BOOST;
+    burst(g, egg.x, egg.y + EGG_R, 140, 14);
+  }
+  const platVx = egg.onPlatform ? egg.onPlatform.speed * 0.35 : 0;
+
+  if (egg.onPlatform) PLATFORM_TYPES[egg.onPlatform.type].leave?.(g, egg.onPlatform, events);
+
+  egg.vy = -jumpVel;
+  egg.vx = platVx;
+  egg.onPlatform = null;
+  g.state = "jumping";
+
+  const isPerfect = g.power.value >= PERFECT_POWER;
+  g.jumps++;
+  if (isPerfect) g.perfects++;
+  events.push({ type: "jump", power: g.power.value, perfect: isPerfect });
+
+  if (isPerfect) {
+    g.perfectFlash = 30;
+    g.xp += g.tuning.xp.perfect;
+    for (let i = 0; i < 24; i++) {
+      const angle = (i / 24) * Math.PI * 2;
+      const speed = 3 + rand() * 4;
+      g.particles.push({
+        x: egg.x, y: egg.y,
+        vx: Math.cos(angle) * speed,
+        vy: Math.sin(angle) * speed - 2,
+        life: 35 + rand() * 20,
+        maxLife: 55,
+        size: 3 + rand() * 5,
+        hue: 45 + rand() * 30,
+      });
+    }
+    for (let i = 0; i < 12; i++) {
+      const angle = (i / 12) * Math.PI * 2;
+      g.particles.push({
+        x: egg.x + Math.cos(angle) * 25,
+        y: egg.y + Math.sin(angle) * 25,
+        vx: Math.cos(angle) * 1.5,
+        vy: Math.sin(angle) * 1.5 - 1,
+        life: 25 + rand() * 15,
+        maxLife: 40,
+        size: 2 + rand() * 3,
+        hue: 180 + rand() * 60,
+      });
+    }
+    g.landingFx = { y: egg.y, x: egg.x, timer: 40, text: `\u2728 PERFECT! +${g.tuning.xp.perfect} XP \u2728` };
+  } else {
+    for (let i = 0; i < 6; i++) {
+      g.particles.push({
+        x: egg.x + (rand() - 0.5) * 16,
+        y: egg.y + EGG_R,
+        vx: (rand() - 0.5) * 3,
+        vy: rand() * 2 + 1,
+        life: 25 + rand() * 15,
+        maxLife: 40,
+        size: 2 + rand() * 3,
+        hue: 45,
+      });
+    }
+  }
+}
+
+/**
+ * Advances the simulation by one fixed tick after applying this tick's input,
+ * and returns everything that happened during the step. `dt` is measured in
+ * 60Hz frames and is 1 for every real tick; callers drive it from an
+ * accumulator so the outcome never depends on the display's frame rate.
+ */
+export function step(g: GameState, input: GameInput, dt = 1): GameEvent[] {
+  const events: GameEvent[] = [];
+  snapshot(g);
+  if (g.state === "gameover" || g.paused) return events;
+  if (g.resumeTimer > 0) {
+    g.resumeTimer -= dt;
+    if (g.resumeTimer <= 0) {
+      g.resumeTimer = 0;
+      events.push({ type: "resume" });
+    }
+    return events;
+  }
+  if (g.state === "fallen") {
+    if (g.mode === "practice") updateRewind(g, input, events);
+    else if (updateRevive(g, input, events, dt)) endRun(g, events);
+    return events;
+  }
+
+  if (input.press) {
+    g.holding = true;
+    if (g.state === "jumping") triggerAirAbility(g, input.side ?? 0, events);
+    else startCharging(g, events);
+  }
+  if (input.release) {
+    g.holding = false;
+    releaseJump(g, events);
+  }
+  tickAbilities(g, dt);
+
+  const rand = g.rng.fx;
+  const { egg, platforms, camera, power } = g;
+  const hazard = currentBiome(g).hazard;
+
+  if (g.state === "charging") {
+    const base = power.speed * (hazard?.charge ?? 1);
+    const speed = hasPowerUp(g, "slowmo") ? base * SLOWMO_FACTOR : base;
+    power.value += power.dir * speed * dt;
+    if (power.value >= 100) { power.value = 100; power.dir = -1; }
+    if (power.value <= 0) { power.value = 0; power.dir = 1; }
+  }
+
+  for (const p of platforms) {
+    if (p.speed === 0) continue;
+    p.x += p.speed * dt;
+    if (p.x <= 8) { p.x = 8; p.speed = Math.abs(p.speed); }
+    if (p.x + p.w >= W - 8) { p.x = W - 8 - p.w; p.speed = -Math.abs(p.speed); }
+  }
+
+  for (const p of platforms) PLATFORM_TYPES[p.type].tick?.(g, p, events, dt);
+
+  if (egg.onPlatform) {
+    PLATFORM_TYPES[egg.onPlatform.type].stand?.(g, egg.onPlatform, events, dt);
+    hazard?.stand?.(g, egg.onPlatform, dt);
+    if (!isSolid(egg.onPlatform)) dropEgg(g);
+  }
+  g.platforms = g.platforms.filter((p) => !p.removing);
+
+  updateEnemies(g, events, dt);
+
+  if ((g.state === "idle" || g.state === "charging") && g.xp > 0) {
+    g.xpDecayTimer += dt;
+    g.xp = Math.max(0, g.xp - g.tuning.xp.decay * dt);
+    const newStage = getStage(Math.floor(g.xp), g.tuning.stageXp);
+    if (newStage < g.stageIdx) {
+      events.push({ type: "stageChange", from: g.stageIdx, to: newStage });
+      for (let i = 0; i < 10; i++) {
+        g.particles.push({
+          x: g.egg.x + (rand() - 0.5) * 30,
+          y: g.egg.y + (rand() - 0.5) * 30,
+          vx: (rand() - 0.5) * 3,
+          vy: -(rand() * 2),
+          life: 20 + rand() * 15,
+          maxLife: 35,
+          size: 2 + rand() * 3,
+          hue: 0,
+        });
+      }
+    }
+    g.stageIdx = newStage;
+  }
+
+  if ((g.state === "idle" || g.state === "charging") && egg.onPlatform) {
+    const platScreenY = egg.onPlatform.y - camera.y;
+    if (platScreenY > H) {
+      dropEgg(g);
+    } else {
+      egg.x += egg.onPlatform.speed * dt;
+      egg.x = Math.max(EGG_R, Math.min(W - EGG_R, egg.x));
+      egg.y = egg.onPlatform.y - EGG_R;
+      if (offLedge(g, egg.onPlatform)) dropEgg(g);
+    }
+  }
+
+  if (g.state === "jumping") {
+    hazard?.air?.(g, dt);
+    egg.vy += g.tuning.gravity * (hazard?.gravity ?? 1) * dt;
+    egg.x += egg.vx * dt;
+    egg.y += egg.vy * dt;
+
+    if (egg.x < EGG_R) { egg.x = EGG_R; egg.vx = Math.abs(egg.vx) * 0.7; }
+    if (egg.x > W - EGG_R) { egg.x = W - EGG_R; egg.vx = -Math.abs(egg.vx) * 0.7; }
+
+    if (egg.vy < -1 && rand() > 0.5) {
+      const isPerfectTrail = g.perfectFlash > 0;
+      g.particles.push({
+        x: egg.x + (rand() - 0.5) * 10,
+        y: egg.y + EGG_R + 4,
+        vx: (rand() - 0.5) * (isPerfectTrail ? 2 : 0.5),
+        vy: rand() * 0.8 + 0.3,
+        life: isPerfectTrail ? 25 : 15 + rand() * 10,
+        maxLife: isPerfectTrail ? 35 : 25,
+        size: isPerfectTrail ? 3 + rand() * 3 : 1.5 + rand() * 2,
+        hue: isPerfectTrail ? 45 + rand() * 20 : 200,
+      });
+    }
+
+    if (egg.vy > 0) {
+      const reach = EGG_R * (hasPowerUp(g, "magnet") ? MAGNET_REACH : 0.6);
+      const eggScreenY = egg.y - camera.y;
+      if (eggScreenY < H + 10) {
+        for (const p of g.platforms) {
+          const screenY = p.y - camera.y;
+          if (screenY < -20 || screenY > H) continue;
+          if (!isSolid(p) || landingBlocked(g, egg.x, p.y)) continue;
+
+          const prevY = egg.y - egg.vy * dt;
+          if (
+            prevY + EGG_R <= p.y + 4 &&
+            egg.y + EGG_R >= p.y - 2 &&
+            egg.x + reach > p.x &&
+            egg.x - reach < p.x + p.w
+          ) {
+            // the magnet's wider reach pulls the egg back onto the ledge
+            egg.x = Math.max(p.x, Math.min(p.x + p.w, egg.x));
+            egg.y = p.y - EGG_R;
+            const landVx = egg.vx;
+            egg.vy = 0;
+            egg.vx = 0;
+            egg.onPlatform = p;
+            g.checkpoint = p;
+            g.state = "idle";
+            g.airUses = 0;
+
+            let xpGain = 0;
+            if (p.baseY < g.highestPlatformY) {
+              xpGain = g.tuning.xp.climb;
+              g.xp += xpGain;
+              g.highestPlatformY = p.baseY;
+              g.climb.push({ x: p.x, y: p.baseY, w: p.w, type: p.type });
+              g.landingFx = { y: p.y, x: egg.x, timer: 20, text: `+${xpGain} XP` };
+            } else {
+              g.landingFx = { y: p.y, x: egg.x, timer: 20, text: "SAFE" };
+            }
+
+            g.score = Math.max(g.score, toMeters(p.baseY));
+            g.xpDecayTimer = 0;
+            events.push({ type: "land", platform: p, xpGain, score: g.score });
+
+            for (let i = 0; i < 8; i++) {
+              g.particles.push({
+                x: egg.x + (rand() - 0.5) * 20,
+                y: p.y,
+                vx: (rand() - 0.5) * 4,
+                vy: -(rand() * 2 + 0.5),
+                life: 20 + rand() * 15,
+                maxLife: 35,
+                size: 2 + rand() * 3,
+                hue: p.hue,
+              });
+            }
+
+            g.prevStageIdx = g.stageIdx;
+            g.stageIdx = getStage(Math.floor(g.xp), g.tuning.stageXp);
+            if (g.stageIdx > g.prevStageIdx) {
+              events.push({ type: "stageChange", from: g.prevStageIdx, to: g.stageIdx });
+              g.evolveFlash = 72;
+              g.maxStageIdx = Math.max(g.maxStageIdx, g.stageIdx);
+              for (let i = 0; i < 20; i++) {
+                const angle = (i / 20) * Math.PI * 2;
+                g.particles.push({
+                  x: egg.x, y: egg.y,
+                  vx: Math.cos(angle) * (2 + rand() * 3),
+                  vy: Math.sin(angle) * (2 + rand() * 3),
+                  life: 30 + rand() * 20,
+                  maxLife: 50,
+                  size: 3 + rand() * 4,
+                  hue: 50,
+                });
+              }
+            }
+
+            hazard?.land?.(g, p, landVx);
+            PLATFORM_TYPES[p.type].land?.(g, p, events, landVx);
+            break;
+          }
+        }
+      }
+    }
+
+    if (egg.y > camera.y + H + 20 && !tryRescue(g, events) && !holdFall(g, events) && !offerRevive(g, events)) {
+      endRun(g, events);
+    }
+  }
+  if (isRunning(g) && updateTimeAttack(g, events, dt)) endRun(g, events);
+
+  updatePowerUps(g, events, dt);
+
+  const targetCamY = egg.y - H * 0.55;
+  if (targetCamY < camera.y) {
+    camera.y += (targetCamY - camera.y) * 0.07 * dt;
+  }
+  g.heightReached = Math.min(g.heightReached, egg.y);
+  updateBiome(g, events, dt);
+
+  let minY = Math.min(...g.platforms.map((p) => p.baseY));
+  while (minY > camera.y - 300) {
+    const newY = minY - g.tuning.platformGap;
+    const p = createPlatform(g, newY, g.platformIndex++);
+    g.platforms.push(p);
+    spawnItem(g, p);
+    minY = newY;
+  }
+  g.platforms = g.platforms.filter((p) => p.y < camera.y + H + 50);
+  g.items = g.items.filter((item) => item.y < camera.y + H + 50);
+
+  for (const p of g.particles) {
+    p.x += p.vx * dt;
+    p.y += p.vy * dt;
+    p.vy += 0.05 * dt;
+    p.life -= dt;
+  }
+  g.particles = g.particles.filter((p) => p.life > 0);
+
+  if (g.landingFx) {
+    g.landingFx.timer -= dt;
+    if (g.landingFx.timer <= 0) g.landingFx = null;
+  }
+
+  if (g.perfectFlash > 0) {
+    g.perfectFlash -= dt;
+  }
+
+  if (g.evolveFlash > 0) {
+    g.evolveFlash -= dt;
+  }
+
+  if (g.invulnerable > 0) {
+    g.invulnerable -= dt;
+  }
+
+  return events;
+}
@@ -0,0 +1,148 @@
+import { toMeters } from "./constants";
+import { PHYSICS_VERSION } from "./replay";
+import { tuningHash } from "./tuning";
+import type { GameMode, GameState } from "./types";
+
+/**
+ * Where the egg was on every recorded tick of a run, kept so later runs on
+ * the same tower can race it. Positions are whole world px, stored as
+ * zigzag varint deltas in base64 so a typical tick costs two bytes.
+ */
+export interface Ghost {
+  seed: number;
+  physics: number;
+  /** `tuningHash` of the run's tuning. */
+  tuning: number;
+  mode: GameMode;
+  score: number;
+  frames: number;
+  path: string;
+  /** `[tick, stage]` at the start and whenever the stage changed. */
+  stages: [tick: number, stage: number][];
+}
+
+export interface GhostRecorder {
+  xs: number[];
+  ys: number[];
+  stages: [number, number][];
+}
+
+/** A decoded ghost, ready to be sampled every frame. */
+export interface GhostTrack {
+  xs: Int32Array;
+  ys: Int32Array;
+  stages: [number, number][];
+}
+
+export interface GhostFrame {
+  x: number;
+  y: number;
+  stage: number;
+}
+
+export function createGhostRecorder(): GhostRecorder {
+  return { xs: [], ys: [], stages: [] };
+}
+
+/** Samples the egg after a recorded tick, in step with `recordFrame`. */
+export function recordGhostFrame(rec: GhostRecorder, g: GameState) {
+  const tick = rec.xs.length;
+  rec.xs.push(Math.round(g.egg.x));
+  rec.ys.push(Math.round(g.egg.y));
+  const last = rec.stages[rec.stages.length - 1];
+  if (!last || last[1] !== g.stageIdx) rec.stages.push([tick, g.stageIdx]);
+}
+
+function writeVarint(out: number[], value: number) {
+  let v = value >= 0 ? value * 2 : -value * 2 - 1;
+  while (v >= 0x80) {
+    out.push((v & 0x7f) | 0x80);
+    v >>>= 7;
+  }
+  out.push(v);
+}
+
+export function finishGhost(rec: GhostRecorder, g: GameState, score: number): Ghost {
+  const bytes: number[] = [];
+  let px = 0;
+  let py = 0;
+  for (let i = 0; i < rec.xs.length; i++) {
+    writeVarint(bytes, rec.xs[i] - px);
+    writeVarint(bytes, rec.ys[i] - py);
+    px = rec.xs[i];
+    py = rec.ys[i];
+  }
+  let binary = "";
+  for (const b of bytes) binary += String.fromCharCode(b);
+  return {
+    seed: g.seed,
+    physics: PHYSICS_VERSION,
+    tuning: tuningHash(g.tuning),
+    mode: g.mode,
+    score,
+    frames: rec.xs.length,
+    path: btoa(binary),
+    stages: rec.stages.slice(),
+  };
+}
+
+/** True when `ghost` was recorded on this tower with the current physics and tuning. */
+export function ghostMatches(ghost: Ghost | null, g: GameState): ghost is Ghost {
+  return !!ghost && ghost.seed === g.seed && ghost.mode === g.mode && ghost.physics === PHYSICS_VERSION &&
+    ghost.tuning === tuningHash(g.tuning);
+}
+
+export function decodeGhost(ghost: Ghost): GhostTrack {
+  const binary = atob(ghost.path);
+  const xs = new Int32Array(ghost.frames);
+  const ys = new Int32Array(ghost.frames);
+  let pos = 0;
+  const read = () => {
+    let v = 0;
+    let shift = 0;
+    let b: number;
+    do {
+      b = binary.charCodeAt(pos++);
+      v += (b & 0x7f) * 2 ** shift;
+      shift += 7;
+    } while (b & 0x80);
+    return v % 2 === 0 ? v / 2 : -(v + 1) / 2;
+  };
+  let x = 0;
+  let y = 0;
+  for (let i = 0; i < ghost.frames && pos < binary.length; i++) {
+    x += read();
+    y += read();
+    xs[i] = x;
+    ys[i] = y;
+  }
+  return { xs, ys, stages: ghost.stages };
+}
+
+/**
+ * The ghost `tick` ticks into its run, interpolating between samples.
+ * Null once the ghost's own run has ended.
+ */
+export function ghostAt(track: GhostTrack, tick: number): GhostFrame | null {
+  const last = track.xs.length - 1;
+  if (last < 0 || tick > last) return null;
+  const t = Math.max(0, tick);
+  const i = Math.floor(t);
+  const j = Math.min(last, i + 1);
+  const f = t - i;
+  let stage = 0;
+  for (const [from, s] of track.stages) {
+    if (from > i) break;
+    stage = s;
+  }
+  return {
+    x: track.xs[i] + (track.xs[j] - track.xs[i]) * f,
+    y: track.ys[i] + (track.ys[j] - track.ys[i]) * f,
+    stage,
+  };
+}
+
+/** Metres the egg is above (positive) or below the ghost. */
+export function ghostLead(g: GameState, ghost: GhostFrame) {
+  return toMeters(g.egg.y) - toMeters(ghost.y);
+}
@@ -0,0 +1,558 @@
+import { EGG_R } from "./constants";
+import { roundRect } from "./canvas";
+import { animationTime } from "./display";
+import type { DisplayOptions, PlatformStyle } from "./display";
+import type { Random } from "./random";
+import type { KindChance, Tuning } from "./tuning";
+import type { GameEvent, GameState, Platform, PlatformKind } from "./types";
+
+/**
+ * Everything a platform kind does lives in its entry here: when it spawns,
+ * what happens as the egg lands, stands and leaves, how it changes on its
+ * own each tick, and how it is drawn. The engine and renderer only call the
+ * hooks, so a new kind never needs another `type ===` branch.
+ */
+export interface PlatformType {
+  /** `palette` holds the hues of the altitude zone the platform spawns in. */
+  hue: (index: number, palette: number[]) => number;
+  /** Colour of this kind in the share card's tower silhouette. */
+  mapColor: string;
+  /** Sets up kind-specific fields after the shared ones are rolled. */
+  init?: (p: Platform, rand: Random) => void;
+  /** Runs every tick whether or not the egg is on the platform. */
+  tick?: (g: GameState, p: Platform, events: GameEvent[], dt: number) => void;
+  /** Runs every tick the egg stands on the platform. */
+  stand?: (g: GameState, p: Platform, events: GameEvent[], dt: number) => void;
+  /** Runs after a landing has been scored. `landVx` is the egg's sideways speed on impact. */
+  land?: (g: GameState, p: Platform, events: GameEvent[], landVx: number) => void;
+  /** Runs when the egg jumps off. */
+  leave?: (g: GameState, p: Platform, events: GameEvent[]) => void;
+  /** False while the egg can neither land nor stand on the platform. */
+  solid?: (p: Platform) => boolean;
+  draw: (ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, g: GameState, d: DisplayOptions) => void;
+  /** How the high-contrast and colorblind styles tell this kind apart without relying on hue. */
+  look: PlatformLook;
+}
+
+export type PlatformPattern = "none" | "stripes" | "zigzag" | "waves" | "dots" | "bars" | "checks";
+
+export interface PlatformLook {
+  /** From the Okabe-Ito palette, which stays distinct under the common colour blindnesses. */
+  color: string;
+  pattern: PlatformPattern;
+  /** Glyph drawn on the platform, such as a timed platform's seconds left. */
+  marker: (p: Platform) => string;
+  /** Steady opacity, e.g. for a blinking platform about to vanish. */
+  alpha?: (p: Platform) => number;
+}
+
+export const TIMED_TICKS = 300;
+const BLINK_ON = 150;
+const BLINK_OFF = 70;
+const BLINK_WARN = 40;
+const OSCILLATE_AMP = 22;
+const ICE_FRICTION = 0.985;
+const BELT_SPEED = 1.1;
+/** Bounce height as a share of a full jump. */
+const BOUNCE_SCALE = 0.7;
+
+function kindChance(c: KindChance, heightM: number) {
+  return heightM < c.from ? 0 : Math.min(c.max, (heightM - c.from) * c.rate);
+}
+
+function drawSlab(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number) {
+  ctx.shadowColor = `hsla(${p.hue}, 80%, 60%, 0.35)`;
+  ctx.shadowBlur = 12;
+  ctx.shadowOffsetY = 4;
+
+  const pg = ctx.createLinearGradient(px, y - 2, px, y + p.h + 2);
+  pg.addColorStop(0, `hsl(${p.hue}, 70%, 65%)`);
+  pg.addColorStop(1, `hsl(${p.hue}, 60%, 45%)`);
+  ctx.fillStyle = pg;
+  roundRect(ctx, px, y, p.w, p.h, 5);
+  ctx.fill();
+
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetY = 0;
+
+  ctx.fillStyle = `hsla(${p.hue}, 80%, 80%, 0.35)`;
+  roundRect(ctx, px + 3, y + 1, p.w - 6, 3, 1.5);
+  ctx.fill();
+}
+
+function drawTimed(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, g: GameState, d: DisplayOptions) {
+  const urgency = p.landed ? Math.max(0, p.timer / TIMED_TICKS) : 1;
+  const pulse = p.landed && !d.reducedMotion ? 0.5 + Math.sin(Date.now() / (80 + urgency * 150)) * 0.5 : 1;
+  const secs = Math.max(0, Math.ceil(p.timer / 60));
+  const th = 22;
+  const ty = y - 6;
+
+  ctx.shadowColor = `rgba(255, 60, 40, ${0.25 * pulse})`;
+  ctx.shadowBlur = 12;
+  ctx.shadowOffsetY = 3;
+
+  const pg = ctx.createLinearGradient(px, ty, px, ty + th);
+  pg.addColorStop(0, `rgba(80, 70, 90, ${0.6 + urgency * 0.4})`);
+  pg.addColorStop(0.5, `rgba(55, 45, 65, ${0.6 + urgency * 0.4})`);
+  pg.addColorStop(1, `rgba(40, 30, 50, ${0.6 + urgency * 0.4})`);
+  ctx.fillStyle = pg;
+  roundRect(ctx, px, ty, p.w, th, 6);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetY = 0;
+
+  ctx.strokeStyle = p.landed
+    ? `rgba(255, ${50 + urgency * 120}, 50, ${0.3 + pulse * 0.5})`
+    : "rgba(150, 140, 170, 0.3)";
+  ctx.lineWidth = 1.5;
+  roundRect(ctx, px, ty, p.w, th, 6);
+  ctx.stroke();
+
+  const isEggOnThis = g.egg.onPlatform === p;
+  if (p.landed) {
+    ctx.fillStyle = secs <= 2
+      ? `rgba(255, 80, 60, ${0.7 + pulse * 0.3})`
+      : `rgba(255, 220, 150, ${0.7 + pulse * 0.3})`;
+    ctx.font = "bold 14px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    if (isEggOnThis) {
+      ctx.fillText(`${secs}`, px + p.w / 2, ty + th / 2);
+    } else {
+      ctx.globalAlpha = 0.5;
+      ctx.fillText(`\u23F8${secs}`, px + p.w / 2, ty + th / 2);
+      ctx.globalAlpha = 1.0;
+    }
+  } else {
+    ctx.fillStyle = "rgba(200, 180, 220, 0.5)";
+    ctx.font = "bold 10px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(`${TIMED_TICKS / 60}`, px + p.w / 2, ty + th / 2);
+  }
+}
+
+function drawFragile(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, _g: GameState, d: DisplayOptions) {
+  const t = animationTime(d);
+  const th = 18;
+  const ty = y - 4;
+  const wobble = Math.sin(t / 200) * 1;
+
+  ctx.shadowColor = "rgba(255, 180, 50, 0.55)";
+  ctx.shadowBlur = 16;
+  ctx.shadowOffsetY = 3;
+
+  const pg = ctx.createLinearGradient(px, ty, px, ty + th);
+  pg.addColorStop(0, "#F0C060");
+  pg.addColorStop(0.15, "#E0A840");
+  pg.addColorStop(0.5, "#CC8E30");
+  pg.addColorStop(0.85, "#A06820");
+  pg.addColorStop(1, "#7A4E18");
+  ctx.fillStyle = pg;
+  roundRect(ctx, px + wobble, ty, p.w, th, 3);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetY = 0;
+
+  ctx.strokeStyle = "rgba(255, 150, 30, 0.6)";
+  ctx.lineWidth = 1.5;
+  roundRect(ctx, px + wobble, ty, p.w, th, 3);
+  ctx.stroke();
+
+  ctx.strokeStyle = "rgba(80, 45, 10, 0.25)";
+  ctx.lineWidth = 0.7;
+  for (let i = 0; i < 4; i++) {
+    const ly = ty + 3 + i * (th - 4) / 4;
+    ctx.beginPath();
+    ctx.moveTo(px + wobble + 4, ly);
+    for (let j = 0; j < p.w - 8; j += 8) {
+      ctx.quadraticCurveTo(
+        px + wobble + 4 + j + 4, ly + Math.sin(j * 0.3 + i) * 1.5,
+        px + wobble + 4 + j + 8, ly
+      );
+    }
+    ctx.stroke();
+  }
+
+  ctx.strokeStyle = "rgba(40, 15, 5, 0.6)";
+  ctx.lineWidth = 1.8;
+  const cx = px + wobble + p.w * 0.48;
+  ctx.beginPath();
+  ctx.moveTo(cx, ty + 1);
+  ctx.lineTo(cx + 3, ty + th * 0.35);
+  ctx.lineTo(cx - 3, ty + th * 0.65);
+  ctx.lineTo(cx + 1, ty + th - 1);
+  ctx.stroke();
+
+  ctx.fillStyle = "#AAA09A";
+  ctx.strokeStyle = "rgba(60, 40, 20, 0.7)";
+  ctx.lineWidth = 0.8;
+  [px + wobble + 6, px + wobble + p.w - 6].forEach((nx) => {
+    ctx.beginPath();
+    ctx.arc(nx, ty + th / 2, 2.5, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.stroke();
+  });
+
+  const labelPulse = 0.7 + Math.sin(t / 250) * 0.3;
+  ctx.fillStyle = `rgba(255, 240, 200, ${labelPulse})`;
+  ctx.font = "bold 11px monospace";
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillText("1\u00D7", px + wobble + p.w / 2, ty + th / 2);
+
+  ctx.fillStyle = `rgba(255, 200, 50, ${labelPulse})`;
+  ctx.font = "10px serif";
+  ctx.textAlign = "center";
+  ctx.fillText("\u26A0", px + wobble + p.w / 2, ty - 6);
+}
+
+function drawIce(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, _g: GameState, d: DisplayOptions) {
+  ctx.shadowColor = "rgba(150, 220, 255, 0.5)";
+  ctx.shadowBlur = 14;
+  ctx.shadowOffsetY = 3;
+  const pg = ctx.createLinearGradient(px, y - 2, px, y + p.h + 2);
+  pg.addColorStop(0, "rgba(230, 250, 255, 0.95)");
+  pg.addColorStop(1, "rgba(120, 190, 235, 0.9)");
+  ctx.fillStyle = pg;
+  roundRect(ctx, px, y, p.w, p.h, 5);
+  ctx.fill();
+  ctx.shadowBlur = 0;
+  ctx.shadowOffsetY = 0;
+
+  const glint = (animationTime(d) / 12) % (p.w + 40) - 20;
+  ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+  roundRect(ctx, px + Math.max(3, Math.min(p.w - 15, glint)), y + 1, 12, 3, 1.5);
+  ctx.fill();
+
+  ctx.fillStyle = "rgba(200, 240, 255, 0.8)";
+  for (let i = 0; i < 3; i++) {
+    ctx.beginPath();
+    ctx.moveTo(px + 10 + i * (p.w - 20) / 2, y + p.h);
+    ctx.lineTo(px + 13 + i * (p.w - 20) / 2, y + p.h + 5);
+    ctx.lineTo(px + 16 + i * (p.w - 20) / 2, y + p.h);
+    ctx.fill();
+  }
+}
+
+function drawConveyor(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, _g: GameState, d: DisplayOptions) {
+  ctx.fillStyle = "#3a3a48";
+  roundRect(ctx, px, y, p.w, p.h, 5);
+  ctx.fill();
+  ctx.strokeStyle = "rgba(255, 200, 80, 0.5)";
+  ctx.lineWidth = 1;
+  roundRect(ctx, px, y, p.w, p.h, 5);
+  ctx.stroke();
+
+  const dir = Math.sign(p.belt);
+  const offset = ((animationTime(d) / 40) * dir % 12 + 12) % 12;
+  ctx.save();
+  roundRect(ctx, px + 2, y + 1, p.w - 4, p.h - 2, 4);
+  ctx.clip();
+  ctx.strokeStyle = "rgba(255, 200, 80, 0.8)";
+  ctx.lineWidth = 1.5;
+  for (let cx = px - 12 + offset; cx < px + p.w + 12; cx += 12) {
+    ctx.beginPath();
+    ctx.moveTo(cx - 3 * dir, y + 2);
+    ctx.lineTo(cx + 2 * dir, y + p.h / 2);
+    ctx.lineTo(cx - 3 * dir, y + p.h - 2);
+    ctx.stroke();
+  }
+  ctx.restore();
+
+  ctx.fillStyle = "#777788";
+  [px + 4, px + p.w - 4].forEach((wx) => {
+    ctx.beginPath();
+    ctx.arc(wx, y + p.h / 2, p.h / 2, 0, Math.PI * 2);
+    ctx.fill();
+  });
+}
+
+function drawBlinking(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, _g: GameState, d: DisplayOptions) {
+  if (p.timer >= BLINK_ON) {
+    ctx.strokeStyle = `hsla(${p.hue}, 70%, 70%, 0.25)`;
+    ctx.lineWidth = 1;
+    ctx.setLineDash([4, 4]);
+    roundRect(ctx, px, y, p.w, p.h, 5);
+    ctx.stroke();
+    ctx.setLineDash([]);
+    return;
+  }
+  const warning = p.timer > BLINK_ON - BLINK_WARN;
+  // reduced motion dims the warning instead of strobing it
+  ctx.globalAlpha = !warning ? 1 : d.reducedMotion ? 0.5 : Math.floor(p.timer / 5) % 2 === 0 ? 0.35 : 1;
+  drawSlab(ctx, p, px, y);
+  ctx.globalAlpha = 1;
+}
+
+function drawOscillating(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number) {
+  drawSlab(ctx, p, px, y);
+  ctx.fillStyle = `hsla(${p.hue}, 80%, 85%, 0.8)`;
+  [px + 8, px + p.w - 8].forEach((ax) => {
+    ctx.beginPath();
+    ctx.moveTo(ax, y + 1);
+    ctx.lineTo(ax - 3, y + 5);
+    ctx.lineTo(ax + 3, y + 5);
+    ctx.fill();
+    ctx.beginPath();
+    ctx.moveTo(ax, y + p.h - 1);
+    ctx.lineTo(ax - 3, y + p.h - 5);
+    ctx.lineTo(ax + 3, y + p.h - 5);
+    ctx.fill();
+  });
+}
+
+function drawBouncy(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number) {
+  const squash = Math.max(0, p.timer) / 12;
+  ctx.strokeStyle = "rgba(255, 150, 210, 0.8)";
+  ctx.lineWidth = 2;
+  [px + p.w * 0.25, px + p.w * 0.75].forEach((sx) => {
+    ctx.beginPath();
+    ctx.moveTo(sx, y + p.h);
+    for (let i = 1; i <= 4; i++) ctx.lineTo(sx + (i % 2 === 0 ? -4 : 4), y + p.h + i * (3 - squash));
+    ctx.stroke();
+  });
+
+  ctx.shadowColor = "rgba(255, 100, 200, 0.5)";
+  ctx.shadowBlur = 14;
+  const pg = ctx.createLinearGradient(px, y - 4, px, y + p.h);
+  pg.addColorStop(0, "#ff9ad5");
+  pg.addColorStop(1, "#d0407f");
+  ctx.fillStyle = pg;
+  ctx.beginPath();
+  ctx.moveTo(px, y + p.h);
+  ctx.quadraticCurveTo(px + p.w / 2, y - 8 + squash * 6, px + p.w, y + p.h);
+  ctx.closePath();
+  ctx.fill();
+  ctx.shadowBlur = 0;
+}
+
+function drawPattern(ctx: CanvasRenderingContext2D, pattern: PlatformPattern, x: number, y: number, w: number, h: number) {
+  ctx.beginPath();
+  if (pattern === "stripes") {
+    for (let i = -h; i < w; i += 8) {
+      ctx.moveTo(x + i, y + h);
+      ctx.lineTo(x + i + h, y);
+    }
+  } else if (pattern === "zigzag") {
+    ctx.moveTo(x, y + h / 2);
+    for (let i = 0; i <= w; i += 6) ctx.lineTo(x + i, y + (i % 12 === 0 ? 3 : h - 3));
+  } else if (pattern === "waves") {
+    ctx.moveTo(x, y + h / 2);
+    for (let i = 0; i < w; i += 10) ctx.quadraticCurveTo(x + i + 5, y + (i % 20 === 0 ? 2 : h - 2), x + i + 10, y + h / 2);
+  } else if (pattern === "dots") {
+    for (let i = 5; i < w; i += 9) {
+      ctx.moveTo(x + i + 2, y + h / 2);
+      ctx.arc(x + i, y + h / 2, 2, 0, Math.PI * 2);
+    }
+  } else if (pattern === "bars") {
+    for (let i = 6; i < w; i += 10) {
+      ctx.moveTo(x + i, y + 2);
+      ctx.lineTo(x + i, y + h - 2);
+    }
+  } else if (pattern === "checks") {
+    for (let i = 0; i < w; i += 6) {
+      const cy = (i / 6) % 2 === 0 ? y : y + h / 2;
+      ctx.rect(x + i, cy, 6, h / 2);
+    }
+  }
+  if (pattern === "dots" || pattern === "checks") ctx.fill();
+  else ctx.stroke();
+}
+
+/**
+ * Draws any kind as a flat slab in its look's colour, with a pattern and a
+ * marker so kinds differ in shape and not only in hue. The high-contrast
+ * style also makes normal platforms white and outlines everything in white
+ * against a dimmed sky.
+ */
+export function drawAccessiblePlatform(ctx: CanvasRenderingContext2D, p: Platform, px: number, y: number, style: PlatformStyle) {
+  const look = PLATFORM_TYPES[p.type].look;
+  const contrast = style === "contrast";
+  const ty = y - 3;
+  const th = p.h + 6;
+  ctx.save();
+  if (!isSolid(p)) {
+    ctx.strokeStyle = contrast ? "#fff" : look.color;
+    ctx.lineWidth = 1.5;
+    ctx.setLineDash([4, 4]);
+    roundRect(ctx, px, ty, p.w, th, 4);
+    ctx.stroke();
+    ctx.restore();
+    return;
+  }
+  ctx.globalAlpha = look.alpha?.(p) ?? 1;
+  ctx.fillStyle = contrast && p.type === "normal" ? "#fff" : look.color;
+  roundRect(ctx, px, ty, p.w, th, 4);
+  ctx.fill();
+
+  ctx.save();
+  ctx.clip();
+  ctx.strokeStyle = "rgba(0,0,0,0.4)";
+  ctx.fillStyle = "rgba(0,0,0,0.4)";
+  ctx.lineWidth = 1.5;
+  drawPattern(ctx, look.pattern, px, ty, p.w, th);
+  ctx.restore();
+
+  ctx.strokeStyle = contrast ? "#fff" : "rgba(0,0,0,0.6)";
+  ctx.lineWidth = contrast ? 2.5 : 1.5;
+  roundRect(ctx, px, ty, p.w, th, 4);
+  ctx.stroke();
+
+  const marker = look.marker(p);
+  if (marker) {
+    ctx.font = "bold 12px monospace";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.lineWidth = 3;
+    ctx.strokeStyle = "#000";
+    ctx.strokeText(marker, px + p.w / 2, ty + th / 2);
+    ctx.fillStyle = "#fff";
+    ctx.fillText(marker, px + p.w / 2, ty + th / 2);
+  }
+  ctx.restore();
+}
+
+export const PLATFORM_TYPES: Record<PlatformKind, PlatformType> = {
+  normal: {
+    hue: (index, palette) => palette[index % palette.length],
+    mapColor: "rgba(160,200,255,0.7)",
+    draw: drawSlab,
+    look: { color: "#D9D9D9", pattern: "none", marker: () => "" },
+  },
+  timed: {
+    hue: () => 0,
+    mapColor: "rgba(255,90,70,0.85)",
+    init: (p) => { p.timer = TIMED_TICKS; },
+    land: (_g, p) => { p.landed = true; },
+    stand: (_g, p, events, dt) => {
+      const secsBefore = Math.ceil(p.timer / 60);
+      p.timer -= dt;
+      const secsLeft = Math.ceil(p.timer / 60);
+      if (secsLeft < secsBefore && secsLeft > 0) {
+        events.push({ type: "timedTick", platform: p, secondsLeft: secsLeft });
+      }
+      if (p.timer <= 0 && !p.removing) {
+        p.timer = 0;
+        p.removing = true;
+        events.push({ type: "platformExpire", platform: p });
+      }
+    },
+    draw: drawTimed,
+    look: { color: "#D55E00", pattern: "stripes", marker: (p) => `\u23F1${Math.max(0, Math.ceil(p.timer / 60))}` },
+  },
+  fragile: {
+    hue: () => 270,
+    mapColor: "rgba(240,180,80,0.85)",
+    leave: (_g, p, events) => {
+      p.removing = true;
+      events.push({ type: "platformBreak", platform: p });
+    },
+    draw: drawFragile,
+    look: { color: "#E69F00", pattern: "zigzag", marker: () => "1\u00D7" },
+  },
+  bouncy: {
+    hue: () => 320,
+    mapColor: "rgba(255,120,200,0.85)",
+    land: (g, p, events) => {
+      // carry the platform's drift so the egg comes back down on it
+      g.egg.vx = p.speed;
+      g.egg.vy = -g.tuning.maxJumpVel * BOUNCE_SCALE;
+      g.egg.onPlatform = null;
+      g.state = "jumping";
+      p.timer = 12;
+      events.push({ type: "bounce", platform: p });
+    },
+    tick: (_g, p, _events, dt) => { if (p.timer > 0) p.timer -= dt; },
+    draw: drawBouncy,
+    look: { color: "#CC79A7", pattern: "waves", marker: () => "\u21C8" },
+  },
+  ice: {
+    hue: () => 195,
+    mapColor: "rgba(170,235,255,0.9)",
+    land: (g, p, _events, landVx) => {
+      const slide = Math.abs(landVx) < 0.5 ? (p.speed >= 0 ? 0.5 : -0.5) : landVx;
+      g.egg.vx = slide;
+    },
+    stand: (g, _p, _events, dt) => {
+      g.egg.x += g.egg.vx * dt;
+      g.egg.vx *= Math.pow(ICE_FRICTION, dt);
+    },
+    draw: drawIce,
+    look: { color: "#56B4E9", pattern: "dots", marker: () => "\u2744" },
+  },
+  conveyor: {
+    hue: () => 40,
+    mapColor: "rgba(150,150,170,0.85)",
+    init: (p, rand) => {
+      p.speed *= 0.5;
+      p.belt = BELT_SPEED * (rand() > 0.5 ? 1 : -1);
+    },
+    stand: (g, p, _events, dt) => { g.egg.x += p.belt * dt; },
+    draw: drawConveyor,
+    look: { color: "#F0E442", pattern: "bars", marker: (p) => (p.belt > 0 ? "\u00BB" : "\u00AB") },
+  },
+  blinking: {
+    hue: () => 285,
+    mapColor: "rgba(200,140,255,0.8)",
+    init: (p, rand) => { p.timer = Math.floor(rand() * BLINK_ON * 0.5); },
+    tick: (_g, p, _events, dt) => { p.timer = (p.timer + dt) % (BLINK_ON + BLINK_OFF); },
+    solid: (p) => p.timer < BLINK_ON,
+    draw: drawBlinking,
+    look: {
+      color: "#0072B2",
+      pattern: "checks",
+      marker: () => "\u25CC",
+      alpha: (p) => (p.timer > BLINK_ON - BLINK_WARN ? 0.5 : 1),
+    },
+  },
+  oscillating: {
+    hue: () => 150,
+    mapColor: "rgba(120,230,170,0.85)",
+    init: (p, rand) => {
+      p.speed = 0;
+      p.phase = rand() * Math.PI * 2;
+    },
+    tick: (_g, p, _events, dt) => {
+      p.phase += dt * 0.03;
+      p.y = p.baseY + Math.sin(p.phase) * OSCILLATE_AMP;
+    },
+    draw: drawOscillating,
+    look: { color: "#009E73", pattern: "none", marker: () => "\u2195" },
+  },
+};
+
+const KINDS = Object.keys(PLATFORM_TYPES).filter((kind) => kind !== "normal") as Exclude<PlatformKind, "normal">[];
+
+/**
+ * Picks a kind for a new platform, rolling the special kinds in registry
+ * order. Rolls nothing below the first special kind's height.
+ */
+export function rollPlatformKind(heightM: number, rand: Random, kinds: Tuning["kinds"]): PlatformKind {
+  const chances = KINDS.map((kind) => kindChance(kinds[kind], heightM));
+  if (chances.every((c) => c <= 0)) return "normal";
+  const roll = rand();
+  let acc = 0;
+  for (let i = 0; i < KINDS.length; i++) {
+    acc += chances[i];
+    if (roll < acc) return KINDS[i];
+  }
+  return "normal";
+}
+
+export function isSolid(p: Platform) {
+  const solid = PLATFORM_TYPES[p.type].solid;
+  return !p.removing && (!solid || solid(p));
+}
+
+/** True once the egg's footing has slid past either end of the platform. */
+export function offLedge(g: GameState, p: Platform) {
+  return g.egg.x + EGG_R * 0.6 < p.x || g.egg.x - EGG_R * 0.6 > p.x + p.w;
+}
+
+/** Drops the egg off its platform, mid-charge or not. */
+export function dropEgg(g: GameState) {
+  g.egg.onPlatform = null;
+  g.egg.vy = 0;
+  g.state = "jumping";
+}
@@ -0,0 +1,101 @@
+import { W, EGG_R, toMeters } from "./constants";
+import type { GameEvent, GameState, Item, Platform, PowerUpKind } from "./types";
+
+export interface PowerUpDef {
+  emoji: string;
+  label: string;
+  hue: number;
+  /** Ticks the power-up stays active once collected. */
+  duration: number;
+}
+
+export const POWER_UPS: Record<PowerUpKind, PowerUpDef> = {
+  spring: { emoji: "\u{1F300}", label: "SPRING", hue: 140, duration: 600 },
+  shield: { emoji: "\u{1F6E1}", label: "SHIELD", hue: 200, duration: 900 },
+  magnet: { emoji: "\u{1F9F2}", label: "MAGNET", hue: 0, duration: 600 },
+  slowmo: { emoji: "\u23F3", label: "SLOW", hue: 270, duration: 480 },
+};
+
+const KINDS = Object.keys(POWER_UPS) as PowerUpKind[];
+
+/** Items only start appearing once the climb is under way. */
+const ITEM_MIN_HEIGHT = 30;
+const PICKUP_R = EGG_R + 14;
+
+export const SPRING_BOOST = 1.6;
+export const MAGNET_REACH = 1.6;
+export const SLOWMO_FACTOR = 0.45;
+
+/**
+ * Rolls for an item above a freshly generated platform. Uses its own RNG
+ * stream, so adding or tuning items never moves a platform.
+ */
+export function spawnItem(g: GameState, p: Platform) {
+  const rand = g.rng.items;
+  const heightM = toMeters(p.y);
+  const roll = rand();
+  const pick = rand();
+  if (heightM < ITEM_MIN_HEIGHT || p.type !== "normal") return;
+  const chance = Math.min(0.12, 0.04 + (heightM - ITEM_MIN_HEIGHT) * 0.0004);
+  if (roll >= chance) return;
+  const x = Math.max(24, Math.min(W - 24, p.x + p.w / 2));
+  g.items.push({ x, y: p.y - 44, kind: KINDS[Math.floor(pick * KINDS.length)], phase: pick * Math.PI * 2 });
+}
+
+export function hasPowerUp(g: GameState, kind: PowerUpKind) {
+  return g.powerUps.some((p) => p.kind === kind);
+}
+
+/** Removes a power-up that was used up before its time ran out. */
+export function consumePowerUp(g: GameState, kind: PowerUpKind, events: GameEvent[]) {
+  if (!hasPowerUp(g, kind)) return false;
+  g.powerUps = g.powerUps.filter((p) => p.kind !== kind);
+  events.push({ type: "powerUpEnd", kind });
+  return true;
+}
+
+export function burst(g: GameState, x: number, y: number, hue: number, count: number) {
+  const rand = g.rng.fx;
+  for (let i = 0; i < count; i++) {
+    const angle = (i / count) * Math.PI * 2;
+    const speed = 1.5 + rand() * 2.5;
+    g.particles.push({
+      x, y,
+      vx: Math.cos(angle) * speed,
+      vy: Math.sin(angle) * speed - 1,
+      life: 20 + rand() * 15,
+      maxLife: 35,
+      size: 2 + rand() * 3,
+      hue: hue + rand() * 30,
+    });
+  }
+}
+
+/**
+ * Picks up items the egg touches and counts down active power-ups.
+ * Collecting a kind that is already active restarts its timer.
+ */
+export function updatePowerUps(g: GameState, events: GameEvent[], dt: number) {
+  const { egg } = g;
+  const remaining: Item[] = [];
+  for (const item of g.items) {
+    item.phase += dt * 0.08;
+    if (Math.hypot(egg.x - item.x, egg.y - item.y) > PICKUP_R) {
+      remaining.push(item);
+      continue;
+    }
+    const def = POWER_UPS[item.kind];
+    g.powerUps = g.powerUps.filter((p) => p.kind !== item.kind);
+    g.powerUps.push({ kind: item.kind, timer: def.duration });
+    events.push({ type: "powerUp", kind: item.kind });
+    burst(g, item.x, item.y, def.hue, 16);
+    g.landingFx = { x: item.x, y: item.y + 20, timer: 30, text: `${def.emoji} ${def.label}` };
+  }
+  g.items = remaining;
+
+  for (const p of g.powerUps) {
+    p.timer -= dt;
+    if (p.timer <= 0) events.push({ type: "powerUpEnd", kind: p.kind });
+  }
+  g.powerUps = g.powerUps.filter((p) => p.timer > 0);
+}
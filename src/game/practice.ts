@@ -0,0 +1,70 @@
+import { H } from "./constants";
+import { burst } from "./powerups";
+import { addSafeLedge, placeEgg } from "./revive";
+import type { Tuning } from "./tuning";
+import type { GameEvent, GameInput, GameState } from "./types";
+
+/** What a practice run leaves in. XP never decays in practice. */
+export interface PracticeOptions {
+  enemies: boolean;
+  timed: boolean;
+  fragile: boolean;
+}
+
+export const DEFAULT_PRACTICE: PracticeOptions = { enemies: false, timed: false, fragile: false };
+
+/** Power at which the practice bar starts lighting up the perfect window. */
+export const PRACTICE_PERFECT_HINT = 94;
+
+export function practiceTuning(base: Tuning, opts: PracticeOptions): Tuning {
+  const off = { from: 0, rate: 0, max: 0 };
+  return {
+    ...base,
+    xp: { ...base.xp, decay: 0 },
+    kinds: {
+      ...base.kinds,
+      timed: opts.timed ? base.kinds.timed : off,
+      fragile: opts.fragile ? base.kinds.fragile : off,
+    },
+    enemies: opts.enemies ? base.enemies : [],
+  };
+}
+
+/**
+ * Switches practice options mid-run. Platforms already built keep their
+ * kind; enemies switched off leave the sky at once.
+ */
+export function applyPracticeOptions(g: GameState, base: Tuning, opts: PracticeOptions) {
+  g.tuning = practiceTuning(base, opts);
+  if (!opts.enemies) g.enemies = [];
+}
+
+/** Holds a practice fall until the player rewinds. Returns false outside practice. */
+export function holdFall(g: GameState, events: GameEvent[]) {
+  if (g.mode !== "practice") return false;
+  g.state = "fallen";
+  g.holding = false;
+  events.push({ type: "fall" });
+  return true;
+}
+
+/**
+ * Puts the egg back where it last landed. The platform is swapped for a
+ * still ledge of the same width, so a timer, a crack or a blink can not
+ * throw the egg straight back off; below the screen it comes up into view.
+ */
+function rewind(g: GameState, events: GameEvent[]) {
+  const cp = g.checkpoint;
+  g.platforms = g.platforms.filter((p) => p !== cp);
+  const p = addSafeLedge(g, cp.x + cp.w / 2, Math.min(cp.baseY, g.camera.y + H * 0.7), cp.w);
+  placeEgg(g, p);
+  g.checkpoint = p;
+  burst(g, g.egg.x, g.egg.y, 200, 16);
+  g.landingFx = { x: g.egg.x, y: p.y - 20, timer: 30, text: "\u23EA REWIND" };
+  events.push({ type: "rewind" });
+}
+
+/** Runs a held practice fall for one tick. */
+export function updateRewind(g: GameState, input: GameInput, events: GameEvent[]) {
+  if (input.rewind) rewind(g, events);
+}
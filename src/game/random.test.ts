@@ -0,0 +1,11 @@
+import { describe, expect, it } from "vitest";
+import { dailySeed, dateKey } from "./random";
+
+describe("dailySeed", () => {
+  it("gives the same tower to every timezone at the same moment", () => {
+    const moment = new Date(Date.UTC(2026, 0, 1, 23, 30));
+    expect(dateKey(moment)).toBe("2026-01-01");
+    expect(dailySeed(moment)).toBe(dailySeed(new Date(Date.UTC(2026, 0, 1, 0, 5))));
+    expect(dailySeed(moment)).not.toBe(dailySeed(new Date(Date.UTC(2026, 0, 2, 0, 5))));
+  });
+});
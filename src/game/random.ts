@@ -0,0 +1,57 @@
+export type Random = () => number;
+
+export interface RngStreams {
+  world: Random;
+  enemies: Random;
+  items: Random;
+  fx: Random;
+}
+
+export function mulberry32(seed: number): Random {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function hashSeed(text: string) {
+  let h = 2166136261;
+  for (let i = 0; i < text.length; i++) {
+    h ^= text.charCodeAt(i);
+    h = Math.imul(h, 16777619);
+  }
+  return h >>> 0;
+}
+
+/**
+ * Platforms, enemies, items and particles each draw from their own stream so that a
+ * burst of particles never shifts the tower layout or the enemy schedule.
+ */
+export function createRngStreams(seed: number): RngStreams {
+  return {
+    world: mulberry32(hashSeed(`${seed}:world`)),
+    enemies: mulberry32(hashSeed(`${seed}:enemies`)),
+    items: mulberry32(hashSeed(`${seed}:items`)),
+    fx: mulberry32(hashSeed(`${seed}:fx`)),
+  };
+}
+
+export function randomSeed() {
+  return Math.floor(Math.random() * 4294967296);
+}
+
+/** `YYYY-MM-DD` of the UTC day, so every timezone is on the same daily tower at once. */
+export function dateKey(date: Date = new Date()) {
+  const y = date.getUTCFullYear();
+  const m = String(date.getUTCMonth() + 1).padStart(2, "0");
+  const d = String(date.getUTCDate()).padStart(2, "0");
+  return `${y}-${m}-${d}`;
+}
+
+export function dailySeed(date: Date = new Date()) {
+  return hashSeed(`daily:${dateKey(date)}`);
+}
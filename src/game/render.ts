@@ -0,0 +1,691 @@
+import { W, H, EGG_R, PERFECT_POWER, STAGES, toMeters } from "./constants";
+import { currentAbility } from "./abilities";
+import { drawBiomeBackground, drawBiomeBanner } from "./biomes";
+import { roundRect } from "./canvas";
+import { DEFAULT_DISPLAY, animationTime } from "./display";
+import type { DisplayOptions } from "./display";
+import { ENEMY_TYPES, drawEnemyWarnings } from "./enemies";
+import { ghostLead } from "./ghost";
+import type { GhostFrame } from "./ghost";
+import { PLATFORM_TYPES, drawAccessiblePlatform } from "./platforms";
+import { PRACTICE_PERFECT_HINT } from "./practice";
+import { REVIVE_TICKS } from "./revive";
+import { MAGNET_REACH, POWER_UPS, hasPowerUp } from "./powerups";
+import { drawTimeAttackHud, drawTimeAttackResults } from "./timeAttack";
+import type { TimeAttackRecord } from "./timeAttack";
+import type { GameState } from "./types";
+import { drawVersusHud, drawVersusResults, matchOver } from "./versus";
+import type { Match } from "./versus";
+import type { Viewport } from "./viewport";
+import type { LeaderboardView } from "../leaderboard/leaderboard";
+import type { ShownToast } from "../missions/missions";
+
+/** Data drawn over the game that does not live in the simulation state. */
+export interface RenderOverlay {
+  leaderboard?: LeaderboardView | null;
+  viewport?: Viewport | null;
+  toasts?: ShownToast[];
+  /** Where the best run's egg was at this point, when racing one. */
+  ghost?: GhostFrame | null;
+  /** The time attack record as it stood before this attempt. */
+  timeAttack?: TimeAttackRecord | null;
+  display?: DisplayOptions;
+}
+
+/**
+ * Sizes the canvas backing store for the viewport and sets a transform so
+ * drawing code keeps working in world units, with y = 0 at the top of the
+ * play field. Resizing clears the canvas and resets the context state.
+ */
+export function setupCanvas(canvas: HTMLCanvasElement, vp: Viewport) {
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return null;
+  const k = vp.scale * vp.dpr;
+  canvas.width = Math.round(vp.width * vp.dpr);
+  canvas.height = Math.round(vp.height * vp.dpr);
+  canvas.style.width = vp.width + "px";
+  canvas.style.height = vp.height + "px";
+  ctx.setTransform(k, 0, 0, k, 0, vp.top * k);
+  return ctx;
+}
+
+function lerp(from: number, to: number, t: number) {
+  return from + (to - from) * t;
+}
+
+function drawLeaderboard(ctx: CanvasRenderingContext2D, lb: LeaderboardView, top: number) {
+  const x = 60;
+  const w = W - 120;
+  ctx.fillStyle = "rgba(255,255,255,0.05)";
+  roundRect(ctx, x, top, w, 140, 10);
+  ctx.fill();
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = "bold 12px monospace";
+  const title = lb.loading ? "RANKING..." : lb.myRank ? `\u{1F3C6} MY RANK #${lb.myRank}` : "\u{1F3C6} RANKING";
+  ctx.fillText(title, W / 2, top + 16);
+
+  lb.top.forEach((e, i) => {
+    const y = top + 40 + i * 22;
+    const stage = STAGES[Math.min(STAGES.length - 1, Math.max(0, e.stageIdx))];
+    ctx.font = e.isMe ? "bold 12px monospace" : "12px monospace";
+    ctx.fillStyle = e.isMe ? "#fbbf24" : "rgba(255,255,255,0.7)";
+    ctx.textAlign = "left";
+    ctx.fillText(`${i + 1}. ${stage.emoji} ${e.name}`, x + 14, y);
+    ctx.textAlign = "right";
+    ctx.fillText(`${e.score}m`, x + w - 14, y);
+  });
+}
+
+function drawItems(ctx: CanvasRenderingContext2D, g: GameState, camY: number, top: number, d: DisplayOptions) {
+  for (const item of g.items) {
+    const sy = item.y - camY;
+    if (sy < -30 - top || sy > H + 30) continue;
+    const def = POWER_UPS[item.kind];
+    // items bob and pulse on simulation time, so reduced motion has to hold them still here
+    const iy = d.reducedMotion ? item.y : item.y + Math.sin(item.phase) * 4;
+    const glow = d.reducedMotion ? 0.6 : 0.5 + Math.sin(item.phase * 2) * 0.2;
+
+    ctx.fillStyle = `hsla(${def.hue}, 90%, 60%, ${glow * 0.35})`;
+    ctx.beginPath();
+    ctx.arc(item.x, iy, 17, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.strokeStyle = `hsla(${def.hue}, 90%, 75%, ${glow})`;
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    ctx.font = "18px serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(def.emoji, item.x, iy);
+  }
+}
+
+/** Effects drawn around the egg for each active power-up, in egg-local space. */
+function drawEggPowerUps(ctx: CanvasRenderingContext2D, g: GameState, d: DisplayOptions) {
+  for (const p of g.powerUps) {
+    const hue = POWER_UPS[p.kind].hue;
+    // blink during the last two seconds so the player sees it running out; reduced motion fades it instead
+    const ending = p.timer < 120;
+    if (ending && !d.reducedMotion && Math.floor(p.timer / 8) % 2 === 0) continue;
+    ctx.globalAlpha = ending && d.reducedMotion ? 0.5 : 1;
+    if (p.kind === "shield") {
+      const pulse = 0.5 + Math.sin(animationTime(d) / 150) * 0.2;
+      ctx.fillStyle = `hsla(${hue}, 90%, 60%, ${pulse * 0.2})`;
+      ctx.strokeStyle = `hsla(${hue}, 90%, 75%, ${pulse})`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      ctx.arc(0, 0, EGG_R * 1.5, 0, Math.PI * 2);
+      ctx.fill();
+      ctx.stroke();
+    } else if (p.kind === "magnet") {
+      ctx.strokeStyle = `hsla(${hue}, 90%, 65%, 0.45)`;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([3, 5]);
+      ctx.beginPath();
+      ctx.ellipse(0, EGG_R, EGG_R * MAGNET_REACH * 1.6, 6, 0, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    } else if (p.kind === "spring") {
+      ctx.strokeStyle = `hsl(${hue}, 80%, 60%)`;
+      ctx.lineWidth = 2;
+      ctx.beginPath();
+      for (let i = 0; i <= 4; i++) {
+        const zx = i % 2 === 0 ? -7 : 7;
+        if (i === 0) ctx.moveTo(zx, EGG_R);
+        else ctx.lineTo(zx, EGG_R + i * 2.5);
+      }
+      ctx.stroke();
+    }
+  }
+  ctx.globalAlpha = 1;
+}
+
+/** One chip per active power-up under the top HUD line, with its time left. */
+function drawPowerUpHud(ctx: CanvasRenderingContext2D, g: GameState, top: number, hud: number) {
+  const chipW = 44 * hud;
+  const chipH = 18 * hud;
+  ctx.save();
+  ctx.textBaseline = "middle";
+  g.powerUps.forEach((p, i) => {
+    const def = POWER_UPS[p.kind];
+    const x = 12 + i * (chipW + 6);
+    const y = 32 - top;
+    const left = Math.max(0, p.timer / def.duration);
+
+    ctx.fillStyle = "rgba(10, 10, 30, 0.7)";
+    roundRect(ctx, x, y, chipW, chipH, 6);
+    ctx.fill();
+    ctx.fillStyle = `hsla(${def.hue}, 85%, 60%, 0.45)`;
+    roundRect(ctx, x, y + chipH - 3, chipW * left, 3, 1.5);
+    ctx.fill();
+
+    ctx.font = `${11 * hud}px serif`;
+    ctx.textAlign = "left";
+    ctx.fillText(def.emoji, x + 4, y + chipH / 2);
+    ctx.fillStyle = `hsl(${def.hue}, 85%, 75%)`;
+    ctx.font = `bold ${9 * hud}px monospace`;
+    ctx.textAlign = "right";
+    ctx.fillText(`${Math.ceil(p.timer / 60)}s`, x + chipW - 4, y + chipH / 2);
+  });
+  ctx.restore();
+}
+
+/** The current stage's ability under the height counter, dimmed while it is spent. */
+function drawAbilityHud(ctx: CanvasRenderingContext2D, g: GameState, top: number, hud: number) {
+  const ability = currentAbility(g);
+  if (!ability) return;
+  const spent = ability.kind === "rebirth" ? g.rebirthUsed
+    : ability.kind === "fireBreath" ? g.abilityCooldown > 0
+    : ability.airPress ? g.airUses > 0
+    : false;
+  ctx.fillStyle = spent ? "rgba(255,255,255,0.2)" : STAGES[g.stageIdx].color;
+  ctx.font = `bold ${9 * hud}px monospace`;
+  ctx.textAlign = "right";
+  ctx.fillText(`${ability.icon} ${ability.label}${ability.kind === "rebirth" && spent ? " \u2715" : ""}`, W - 12, 36 - top);
+}
+
+/** Mission and achievement toasts, stacked under the top HUD line. */
+function drawToasts(ctx: CanvasRenderingContext2D, toasts: ShownToast[], top: number, hud: number, d: DisplayOptions) {
+  const w = Math.min(W - 16, 250 * hud);
+  const h = 36 * hud;
+  ctx.save();
+  ctx.textBaseline = "middle";
+  toasts.forEach((t, i) => {
+    const slide = d.reducedMotion ? 1 : Math.min(1, t.age / 0.08);
+    const alpha = Math.min(1, (1 - t.age) / 0.15);
+    const x = (W - w) / 2;
+    const y = 58 - top + i * (h + 6) - (1 - slide) * 20;
+    ctx.globalAlpha = alpha * slide;
+    ctx.fillStyle = "rgba(10, 10, 30, 0.85)";
+    roundRect(ctx, x, y, w, h, 10);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(251,191,36,0.6)";
+    ctx.lineWidth = 1.5;
+    ctx.stroke();
+
+    ctx.font = `${18 * hud}px serif`;
+    ctx.textAlign = "center";
+    ctx.fillText(t.icon, x + 22 * hud, y + h / 2);
+    ctx.textAlign = "left";
+    ctx.fillStyle = "#fbbf24";
+    ctx.font = `bold ${9 * hud}px monospace`;
+    ctx.fillText(t.title, x + 42 * hud, y + h * 0.3);
+    ctx.fillStyle = "#fff";
+    ctx.font = `bold ${11 * hud}px sans-serif`;
+    ctx.fillText(t.text, x + 42 * hud, y + h * 0.68);
+  });
+  ctx.restore();
+}
+
+function drawReviveOffer(ctx: CanvasRenderingContext2D, g: GameState, top: number, viewH: number, hud: number) {
+  ctx.fillStyle = "rgba(0,0,0,0.7)";
+  ctx.fillRect(0, -top, W, viewH);
+
+  const cx = W / 2;
+  const cy = H / 2 - 20;
+  const frac = Math.max(0, g.reviveTimer / REVIVE_TICKS);
+  ctx.lineWidth = 6;
+  ctx.strokeStyle = "rgba(255,255,255,0.12)";
+  ctx.beginPath();
+  ctx.arc(cx, cy, 44, 0, Math.PI * 2);
+  ctx.stroke();
+  ctx.strokeStyle = "#fbbf24";
+  ctx.beginPath();
+  ctx.arc(cx, cy, 44, -Math.PI / 2, -Math.PI / 2 + frac * Math.PI * 2);
+  ctx.stroke();
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 34px monospace";
+  ctx.fillText(g.reviveWaiting ? "\u{1F4FA}" : `${Math.ceil(g.reviveTimer / 60)}`, cx, cy + 12);
+
+  ctx.font = "bold 22px monospace";
+  ctx.fillText("CONTINUE?", cx, cy - 70);
+
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = `bold ${12 * hud}px monospace`;
+  ctx.fillText(`${STAGES[g.stageIdx].emoji} ${g.score}m \u00B7 XP ${Math.floor(g.xp)} kept`, cx, cy + 80);
+
+  ctx.fillStyle = "rgba(255,255,255,0.5)";
+  ctx.font = `${12 * hud}px monospace`;
+  ctx.fillText(g.reviveWaiting ? "watching ad..." : "TAP or SPACE to watch an ad", cx, cy + 110);
+}
+
+function drawRewindPrompt(ctx: CanvasRenderingContext2D, g: GameState, top: number, viewH: number, hud: number) {
+  ctx.fillStyle = "rgba(0,0,0,0.55)";
+  ctx.fillRect(0, -top, W, viewH);
+
+  const cx = W / 2;
+  const cy = H / 2 - 20;
+  ctx.textAlign = "center";
+  ctx.font = "44px serif";
+  ctx.fillText("\u23EA", cx, cy);
+
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 22px monospace";
+  ctx.fillText("OOPS!", cx, cy - 50);
+
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = `bold ${12 * hud}px monospace`;
+  ctx.fillText(`${STAGES[g.stageIdx].emoji} ${g.score}m \u00B7 XP ${Math.floor(g.xp)}`, cx, cy + 45);
+
+  ctx.fillStyle = "rgba(255,255,255,0.5)";
+  ctx.font = `${12 * hud}px monospace`;
+  ctx.fillText("TAP or SPACE to rewind", cx, cy + 75);
+}
+
+/**
+ * Draws the game as it looks `interp` of the way between the previous and
+ * the current simulation tick, so motion stays smooth when the display runs
+ * faster or slower than the fixed 60Hz step.
+ */
+export function renderGame(ctx: CanvasRenderingContext2D, g: GameState, interp = 1, overlay: RenderOverlay = {}) {
+  const { egg, platforms, camera, power } = g;
+  const camY = lerp(camera.prevY, camera.y, interp);
+  const top = overlay.viewport?.top ?? 0;
+  const d = overlay.display ?? DEFAULT_DISPLAY;
+  const hud = (overlay.viewport?.hud ?? 1) * d.hudScale;
+  const viewH = H + top;
+  const t = animationTime(d);
+
+  drawBiomeBackground(ctx, camY, top, viewH, t, d);
+  if (d.platformStyle === "contrast") {
+    // dim the sky so platforms stand out against every zone
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(0, -top, W, viewH);
+  }
+
+  if (g.perfectFlash > 0 && !d.reducedMotion) {
+    const flashAlpha = Math.min(0.5, g.perfectFlash / 20);
+    const flashGrad = ctx.createRadialGradient(W / 2, H / 2, 0, W / 2, H / 2, W);
+    flashGrad.addColorStop(0, `rgba(255, 230, 100, ${flashAlpha})`);
+    flashGrad.addColorStop(0.5, `rgba(255, 180, 50, ${flashAlpha * 0.5})`);
+    flashGrad.addColorStop(1, "rgba(255, 100, 30, 0)");
+    ctx.fillStyle = flashGrad;
+    ctx.fillRect(0, -top, W, viewH);
+  }
+
+  const heightDisplay = toMeters(g.heightReached);
+  ctx.fillStyle = "rgba(255,255,255,0.12)";
+  ctx.font = `bold ${11 * hud}px monospace`;
+  ctx.textAlign = "right";
+  ctx.fillText(`${heightDisplay}m`, W - 12, 20 - top);
+
+  if (overlay.ghost && g.state !== "gameover") {
+    const lead = ghostLead(g, overlay.ghost);
+    const counterW = ctx.measureText(`${heightDisplay}m`).width;
+    ctx.fillStyle = lead >= 0 ? "rgba(74, 222, 128, 0.8)" : "rgba(248, 113, 113, 0.8)";
+    ctx.font = `bold ${9 * hud}px monospace`;
+    ctx.fillText(lead >= 0 ? `+${lead}m ahead` : `${lead}m behind`, W - 20 - counterW, 20 - top);
+  }
+
+  if (g.mode === "daily") {
+    ctx.fillStyle = "rgba(251,191,36,0.35)";
+    ctx.font = `bold ${10 * hud}px monospace`;
+    ctx.textAlign = "left";
+    ctx.fillText("\u{1F4C5} DAILY TOWER", 12, 20 - top);
+  } else if (g.mode === "practice") {
+    ctx.fillStyle = "rgba(134,239,172,0.4)";
+    ctx.font = `bold ${10 * hud}px monospace`;
+    ctx.textAlign = "left";
+    ctx.fillText("\u{1F9D8} PRACTICE", 12, 20 - top);
+  }
+
+  if ((g.state === "idle" || g.state === "charging") && g.xp > 0 && g.xpDecayTimer > 120 && g.tuning.xp.decay > 0) {
+    const warnAlpha = 0.3 + Math.sin(t / 200) * 0.3;
+    ctx.fillStyle = `rgba(255, 80, 80, ${warnAlpha})`;
+    ctx.font = `bold ${10 * hud}px monospace`;
+    ctx.textAlign = "center";
+    ctx.fillText("\u26A0 XP DECAYING...", W / 2, 18 - top);
+  }
+
+  ctx.save();
+  ctx.translate(0, -camY);
+
+  for (const p of platforms) {
+    const py = lerp(p.prevY, p.y, interp);
+    const sy = py - camY;
+    if (sy < -20 - top || sy > H + 20) continue;
+    const px = lerp(p.prevX, p.x, interp);
+    if (d.platformStyle === "standard") PLATFORM_TYPES[p.type].draw(ctx, p, px, py, g, d);
+    else drawAccessiblePlatform(ctx, p, px, py, d.platformStyle);
+  }
+
+  for (const e of g.enemies) {
+    const ey = lerp(e.prevY, e.y, interp);
+    const esy = ey - camY;
+    if (esy < -40 - top || esy > H + 40) continue;
+    ENEMY_TYPES[e.kind].draw(ctx, e, lerp(e.prevX, e.x, interp), ey, g, d);
+  }
+  drawEnemyWarnings(ctx, g, camY, top, t);
+
+  drawItems(ctx, g, camY, top, d);
+
+  const ghost = overlay.ghost;
+  if (ghost && g.state !== "gameover") {
+    ctx.save();
+    ctx.globalAlpha = 0.3;
+    ctx.font = `${EGG_R * 2.2}px serif`;
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText(STAGES[ghost.stage].emoji, ghost.x, ghost.y - 1);
+    ctx.restore();
+  }
+
+  // reduced motion keeps one particle in three
+  for (let i = 0; i < g.particles.length; i += d.reducedMotion ? 3 : 1) {
+    const p = g.particles[i];
+    const alpha = Math.max(0, p.life / p.maxLife);
+    ctx.fillStyle = `hsla(${p.hue}, 80%, 70%, ${alpha * 0.8})`;
+    ctx.beginPath();
+    ctx.arc(p.x, p.y, p.size * alpha, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  if (g.landingFx) {
+    const fx = g.landingFx;
+    const isPerfectFx = fx.text.includes("PERFECT");
+    const maxTimer = isPerfectFx ? 40 : 20;
+    const a = Math.min(1, Math.max(0, fx.timer / maxTimer));
+
+    if (isPerfectFx) {
+      ctx.save();
+      ctx.shadowColor = `rgba(255, 200, 50, ${a * 0.8})`;
+      ctx.shadowBlur = 20;
+      ctx.fillStyle = `rgba(255, 230, 80, ${a})`;
+      ctx.font = "bold 18px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(fx.text, fx.x, fx.y - 30 + (1 - a) * -25);
+      ctx.restore();
+    } else {
+      ctx.fillStyle = `rgba(255, 230, 100, ${a})`;
+      ctx.font = "bold 14px monospace";
+      ctx.textAlign = "center";
+      ctx.fillText(fx.text, fx.x, fx.y - 25 + (1 - a) * -15);
+    }
+  }
+
+  const bobble = g.state === "idle" ? Math.sin(t / 350) * 3
+    : g.state === "charging" ? Math.sin(t / 40) * 2 : 0;
+  const stretch = g.state === "jumping" && egg.vy < -3 ? 0.82
+    : g.state === "jumping" && egg.vy > 3 ? 1.18
+    : 1;
+
+  ctx.save();
+  ctx.translate(lerp(egg.prevX, egg.x, interp), lerp(egg.prevY, egg.y, interp) + bobble);
+
+  if (g.evolveFlash > 0) {
+    ctx.save();
+    const glowAlpha = 0.3 + Math.sin(t / 80) * 0.25;
+    ctx.shadowColor = `rgba(255, 215, 0, ${glowAlpha})`;
+    ctx.shadowBlur = 40;
+    ctx.fillStyle = `rgba(255, 215, 0, ${glowAlpha * 0.4})`;
+    ctx.beginPath();
+    ctx.arc(0, 0, EGG_R * 2.2, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+
+  drawEggPowerUps(ctx, g, d);
+  ctx.scale(1 / stretch, stretch);
+  // flicker while enemies pass through after a continue
+  ctx.globalAlpha = g.invulnerable <= 0 ? 1.0 : d.reducedMotion ? 0.6 : Math.floor(g.invulnerable / 6) % 2 === 0 ? 0.35 : 1.0;
+  ctx.shadowBlur = 0;
+  ctx.shadowColor = "transparent";
+  ctx.shadowOffsetX = 0;
+  ctx.shadowOffsetY = 0;
+  const currentEmoji = STAGES[g.stageIdx].emoji;
+  ctx.font = `${EGG_R * 2.2}px serif`;
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+  ctx.fillStyle = "#ffffff";
+  ctx.fillText(currentEmoji, 0, -1);
+
+  ctx.restore();
+  ctx.restore();
+
+  drawPowerUpHud(ctx, g, top, hud);
+  drawAbilityHud(ctx, g, top, hud);
+  drawBiomeBanner(ctx, g, hud);
+  if (g.mode === "timeAttack") drawTimeAttackHud(ctx, g, overlay.timeAttack ?? null, top, hud);
+  if (overlay.toasts?.length) drawToasts(ctx, overlay.toasts, top, hud, d);
+
+  if (g.state === "idle" || g.state === "charging") {
+    const barW = W - 80;
+    const barH = 20;
+    const barX = 40;
+    const barY = H - 58;
+    const pv = power.value;
+    const isMax = pv >= PERFECT_POWER;
+    const maxPulse = isMax ? 0.6 + Math.sin(t / 80) * 0.4 : 0;
+
+    ctx.fillStyle = isMax
+      ? `rgba(255, 60, 40, ${0.25 + maxPulse * 0.15})`
+      : "rgba(30, 40, 80, 0.85)";
+    roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
+    ctx.fill();
+    ctx.strokeStyle = isMax
+      ? `rgba(255, 80, 50, ${0.5 + maxPulse * 0.5})`
+      : hasPowerUp(g, "slowmo") ? "rgba(180, 120, 255, 0.7)" : "rgba(100, 140, 255, 0.3)";
+    ctx.lineWidth = 1.5;
+    roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
+    ctx.stroke();
+
+    if (isMax) {
+      ctx.shadowColor = `rgba(255, 60, 40, ${maxPulse})`;
+      ctx.shadowBlur = 20;
+      roundRect(ctx, barX - 8, barY - 26, barW + 16, barH + 46, 14);
+      ctx.stroke();
+      ctx.shadowBlur = 0;
+    }
+
+    if (isMax) {
+      ctx.fillStyle = `rgba(255, 100, 80, ${0.7 + maxPulse * 0.3})`;
+      ctx.font = `bold ${10 * hud}px monospace`;
+      ctx.textAlign = "center";
+      ctx.fillText("\u26A1 MAX POWER! RELEASE! \u26A1", W / 2, barY - 9);
+    } else {
+      ctx.fillStyle = g.state === "charging" ? "rgba(255,220,80,0.85)" : "rgba(180,200,255,0.6)";
+      ctx.font = `bold ${9 * hud}px monospace`;
+      ctx.textAlign = "center";
+      ctx.fillText(
+        g.state === "charging" ? "\u26A1 CHARGING... RELEASE!" : "\u23B5 HOLD SPACE",
+        W / 2, barY - 9
+      );
+    }
+
+    const trackGrad = ctx.createLinearGradient(barX, barY, barX, barY + barH);
+    trackGrad.addColorStop(0, "rgba(40, 50, 90, 0.9)");
+    trackGrad.addColorStop(0.5, "rgba(30, 35, 70, 0.9)");
+    trackGrad.addColorStop(1, "rgba(20, 25, 55, 0.9)");
+    ctx.fillStyle = trackGrad;
+    roundRect(ctx, barX, barY, barW, barH, 10);
+    ctx.fill();
+    ctx.strokeStyle = "rgba(100, 130, 200, 0.25)";
+    ctx.lineWidth = 1;
+    roundRect(ctx, barX, barY, barW, barH, 10);
+    ctx.stroke();
+
+    const fillW = (pv / 100) * barW;
+    const barGrad = ctx.createLinearGradient(barX, barY, barX + barW, barY);
+    barGrad.addColorStop(0, "#22efb5");
+    barGrad.addColorStop(0.35, "#40e070");
+    barGrad.addColorStop(0.55, "#ffe040");
+    barGrad.addColorStop(0.75, "#ff8c20");
+    barGrad.addColorStop(0.9, "#ff4444");
+    barGrad.addColorStop(1, "#ff2020");
+    ctx.fillStyle = barGrad;
+
+    if (isMax) {
+      ctx.shadowColor = `rgba(255, 60, 40, ${0.5 + maxPulse * 0.5})`;
+      ctx.shadowBlur = 25;
+    } else {
+      const glowColor = pv > 70 ? "rgba(255,140,30,0.4)" : "rgba(50,230,150,0.4)";
+      ctx.shadowColor = glowColor;
+      ctx.shadowBlur = 12;
+    }
+    roundRect(ctx, barX, barY, Math.max(8, fillW), barH, 10);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    ctx.fillStyle = "rgba(255,255,255,0.2)";
+    roundRect(ctx, barX + 2, barY + 2, Math.max(4, fillW - 4), barH * 0.35, 6);
+    ctx.fill();
+
+    const edgeColor = pv > 85 ? "#ff4444" : pv > 60 ? "#ff8c20" : "#22efb5";
+    ctx.shadowColor = edgeColor;
+    ctx.shadowBlur = 15;
+    ctx.fillStyle = "#ffffff";
+    ctx.beginPath();
+    ctx.arc(barX + fillW, barY + barH / 2, isMax ? 6 : 4, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.shadowBlur = 0;
+
+    const s1 = barX + barW * 0.6;
+    const s2 = barX + barW * 0.85;
+    ctx.fillStyle = "rgba(255, 255, 100, 0.08)";
+    roundRect(ctx, s1, barY, s2 - s1, barH, 0);
+    ctx.fill();
+
+    ctx.strokeStyle = "rgba(255,255,255,0.3)";
+    ctx.lineWidth = 1;
+    ctx.setLineDash([2, 3]);
+    [s1, s2].forEach((sx) => {
+      ctx.beginPath();
+      ctx.moveTo(sx, barY - 2);
+      ctx.lineTo(sx, barY + barH + 2);
+      ctx.stroke();
+    });
+    ctx.setLineDash([]);
+
+    if (g.mode === "practice") {
+      // the perfect window is only the last 1%, too thin to see coming, so
+      // practice lights up the run-in to it and draws the window itself wider
+      const hx = barX + barW * (PRACTICE_PERFECT_HINT / 100);
+      const end = barX + barW;
+      const px = Math.min(barX + barW * 0.99, end - 8);
+      ctx.fillStyle = `rgba(251, 191, 36, ${pv >= PRACTICE_PERFECT_HINT ? 0.3 : 0.12})`;
+      roundRect(ctx, hx, barY, px - hx, barH, 0);
+      ctx.fill();
+      ctx.fillStyle = `rgba(255, 230, 120, ${isMax ? 0.6 + maxPulse * 0.4 : 0.5})`;
+      ctx.shadowColor = "rgba(251, 191, 36, 0.9)";
+      ctx.shadowBlur = isMax ? 16 : 8;
+      roundRect(ctx, px, barY - 4, end - px, barH + 8, 3);
+      ctx.fill();
+      ctx.shadowBlur = 0;
+      ctx.fillStyle = "#fbbf24";
+      ctx.font = `bold ${8 * hud}px monospace`;
+      ctx.textAlign = "right";
+      ctx.fillText("PERFECT", barX + barW, barY + barH + 12);
+    }
+
+    if (isMax) {
+      ctx.fillStyle = `rgba(255, 100, 80, ${0.8 + maxPulse * 0.2})`;
+      ctx.font = `bold ${14 * hud}px monospace`;
+    } else {
+      ctx.fillStyle = "rgba(220,230,255,0.8)";
+      ctx.font = `bold ${11 * hud}px monospace`;
+    }
+    ctx.textAlign = "center";
+    ctx.fillText(`${Math.floor(pv)}%`, W / 2, barY + barH + 17);
+  }
+
+  if (g.state === "gameover" && g.mode === "timeAttack") {
+    ctx.fillStyle = "rgba(0,0,0,0.75)";
+    ctx.fillRect(0, -top, W, viewH);
+    drawTimeAttackResults(ctx, g, overlay.timeAttack ?? null, hud);
+  } else if (g.state === "gameover" && g.mode === "versus") {
+    ctx.fillStyle = "rgba(0,0,0,0.5)";
+    ctx.fillRect(0, -top, W, viewH);
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 32px monospace";
+    ctx.textAlign = "center";
+    ctx.fillText(`OUT \u00B7 ${g.score}m`, W / 2, (H - top) / 2);
+  } else if (g.state === "gameover") {
+    ctx.fillStyle = "rgba(0,0,0,0.75)";
+    ctx.fillRect(0, -top, W, viewH);
+
+    const finalStage = STAGES[g.stageIdx];
+
+    ctx.font = "60px serif";
+    ctx.textAlign = "center";
+    ctx.fillText(finalStage.emoji, W / 2, H / 2 - 55);
+
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 22px monospace";
+    ctx.fillText("GAME OVER", W / 2, H / 2 + 5);
+
+    ctx.fillStyle = "#fbbf24";
+    ctx.font = "bold 14px monospace";
+    ctx.fillText(`${finalStage.name} \u00B7 ${g.score}m \u00B7 XP ${Math.floor(g.xp)}`, W / 2, H / 2 + 35);
+
+    if (g.highScore > 0) {
+      ctx.fillStyle = "rgba(255,255,255,0.35)";
+      ctx.font = `${11 * hud}px monospace`;
+      ctx.fillText(`${g.mode === "daily" ? "DAILY BEST" : "BEST"}: ${g.highScore}m`, W / 2, H / 2 + 58);
+    }
+
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = `${12 * hud}px monospace`;
+    ctx.fillText("TAP or SPACE to retry", W / 2, H / 2 + 95);
+
+    const lb = overlay.leaderboard;
+    if (lb && (lb.loading || lb.top.length > 0)) drawLeaderboard(ctx, lb, H / 2 + 120);
+  }
+
+  if (g.state === "fallen") {
+    if (g.mode === "practice") drawRewindPrompt(ctx, g, top, viewH, hud);
+    else drawReviveOffer(ctx, g, top, viewH, hud);
+  }
+
+  if (g.paused) {
+    ctx.fillStyle = "rgba(0,0,0,0.7)";
+    ctx.fillRect(0, -top, W, viewH);
+
+    ctx.fillStyle = "#fff";
+    ctx.font = "bold 22px monospace";
+    ctx.textAlign = "center";
+    ctx.fillText("\u23F8 PAUSED", W / 2, H / 2);
+
+    ctx.fillStyle = "rgba(255,255,255,0.5)";
+    ctx.font = `${12 * hud}px monospace`;
+    ctx.fillText("TAP or SPACE to resume", W / 2, H / 2 + 35);
+  } else if (g.resumeTimer > 0) {
+    const secs = Math.ceil(g.resumeTimer / 60);
+    const t = g.resumeTimer / 60 - (secs - 1);
+    ctx.fillStyle = "rgba(0,0,0,0.35)";
+    ctx.fillRect(0, -top, W, viewH);
+
+    ctx.fillStyle = `rgba(251, 191, 36, ${0.4 + t * 0.6})`;
+    ctx.font = `bold ${40 + t * 24}px monospace`;
+    ctx.textAlign = "center";
+    ctx.fillText(`${secs}`, W / 2, H / 2);
+  }
+}
+
+/**
+ * Draws every player of a match side by side. Each half is the full play
+ * field at half size, with the sky above stretched so it still fills the
+ * canvas height; HUD text is enlarged to stay readable.
+ */
+export function renderVersus(ctx: CanvasRenderingContext2D, m: Match, interp: number, vp: Viewport, display = DEFAULT_DISPLAY) {
+  const { top, hud } = vp;
+  const half = W / m.players.length;
+  const k = half / W;
+  const view = { ...vp, top: (H + top) / k - H, hud: (hud / k) * 0.75 };
+  m.players.forEach((g, i) => {
+    ctx.save();
+    ctx.beginPath();
+    ctx.rect(i * half, -top, half, H + top);
+    ctx.clip();
+    ctx.translate(i * half, -top);
+    ctx.scale(k, k);
+    ctx.translate(0, view.top);
+    renderGame(ctx, g, interp, { viewport: view, display });
+    ctx.restore();
+  });
+  drawVersusHud(ctx, m, top, hud * display.hudScale);
+  if (matchOver(m)) drawVersusResults(ctx, m, top, hud * display.hudScale);
+}
@@ -0,0 +1,105 @@
+import { describe, expect, it } from "vitest";
+import { createGame, isRunning, resumeGame, step } from "./engine";
+import { createPlayback, createRecorder, decodeReplay, encodeReplay, finishRecording, recordFrame, recordPause, seekPlayback } from "./replay";
+import type { Recorder } from "./replay";
+import type { GameInput, GameState } from "./types";
+
+/** Steps the way the game loop does: only ticks that advance the world are recorded. */
+function tick(g: GameState, rec: Recorder, input: GameInput = {}) {
+  if (isRunning(g)) recordFrame(rec, input);
+  step(g, input);
+}
+
+/** Charges and jumps on a fixed rhythm; `pauseAt` pauses for a second partway through a charge. */
+function play(seed: number, ticks: number, pauseAt: number[] = []) {
+  const g = createGame({ seed });
+  const rec = createRecorder(g);
+  for (let t = 0; t < ticks && g.state !== "gameover"; t++) {
+    if (pauseAt.includes(t)) {
+      recordPause(rec, g);
+      for (let i = 0; i < 60; i++) tick(g, rec);
+      resumeGame(g);
+      while (!isRunning(g)) tick(g, rec);
+    }
+    tick(g, rec, t % 80 === 0 ? { press: true } : t % 80 === 50 ? { release: true } : {});
+  }
+  return { g, replay: decodeReplay(encodeReplay(finishRecording(rec, g.score))) };
+}
+
+function playBack(replay: ReturnType<typeof play>["replay"]) {
+  const pb = createPlayback(replay);
+  seekPlayback(pb, replay.frames);
+  return pb.game;
+}
+
+describe("replay", () => {
+  it("survives an encode/decode round trip unchanged", () => {
+    const { replay } = play(7, 2000);
+    expect(decodeReplay(encodeReplay(replay))).toEqual(replay);
+  });
+
+  it("plays back to the same run every time", () => {
+    const { g, replay } = play(7, 2000);
+    const first = playBack(replay);
+    const second = playBack(replay);
+    expect(first.score).toBe(g.score);
+    expect(second.score).toBe(g.score);
+    expect(second.egg.x).toBe(first.egg.x);
+    expect(second.egg.y).toBe(first.egg.y);
+  });
+
+  it("lands on the same tick after seeking back", () => {
+    const { g, replay } = play(3, 2000);
+    const pb = createPlayback(replay);
+    seekPlayback(pb, replay.frames);
+    seekPlayback(pb, 100);
+    seekPlayback(pb, replay.frames);
+    expect(pb.game.score).toBe(g.score);
+    expect(pb.game.egg.y).toBe(g.egg.y);
+  });
+
+  it("plays back a run paused mid-charge", () => {
+    const { g, replay } = play(1, 3000, [30, 990, 1630]);
+    const back = playBack(replay);
+    expect(back.state).toBe(g.state);
+    expect(back.score).toBe(g.score);
+    expect(back.jumps).toBe(g.jumps);
+    expect(back.egg.x).toBe(g.egg.x);
+    expect(back.egg.y).toBe(g.egg.y);
+  });
+});
+
+describe("decodeReplay", () => {
+  function withInputs(inputs: unknown) {
+    const { replay } = play(1, 200);
+    return JSON.stringify({ ...replay, inputs });
+  }
+
+  it("rejects text that is not JSON", () => {
+    expect(() => decodeReplay("not a replay")).toThrow("Replay file is not valid JSON");
+  });
+
+  it("rejects another physics version", () => {
+    const { replay } = play(1, 200);
+    expect(() => decodeReplay(JSON.stringify({ ...replay, physics: 1 }))).toThrow("physics v1");
+  });
+
+  it("rejects an input that is not a pair", () => {
+    expect(() => decodeReplay(withInputs([[0, "p"], "r"]))).toThrow("Replay input 1 is not a [frame, action] pair");
+  });
+
+  it("rejects a frame that is not a whole tick", () => {
+    expect(() => decodeReplay(withInputs([["0", "p"]]))).toThrow('Replay input 0 has an invalid frame: "0"');
+    expect(() => decodeReplay(withInputs([[1.5, "p"]]))).toThrow("Replay input 0 has an invalid frame: 1.5");
+    expect(() => decodeReplay(withInputs([[-1, "p"]]))).toThrow("Replay input 0 has an invalid frame: -1");
+  });
+
+  it("rejects frames that go back or past the end", () => {
+    expect(() => decodeReplay(withInputs([[10, "p"], [5, "r"]]))).toThrow("Replay input 1 has an invalid frame: 5");
+    expect(() => decodeReplay(withInputs([[10000, "p"]]))).toThrow("Replay input 0 has an invalid frame: 10000");
+  });
+
+  it("rejects an unknown action", () => {
+    expect(() => decodeReplay(withInputs([[0, "jump"]]))).toThrow('Replay input 0 has an unknown action: "jump"');
+  });
+});
@@ -0,0 +1,254 @@
+import { createGame, dropHold, pauseGame, step } from "./engine";
+import { applyPracticeOptions, practiceTuning } from "./practice";
+import type { PracticeOptions } from "./practice";
+import { TUNING_PRESETS, applyTuningPatch, isDifficulty } from "./tuning";
+import type { Difficulty, Tuning } from "./tuning";
+import type { GameEvent, GameInput, GameMode, GameState } from "./types";
+
+export const REPLAY_VERSION = 6;
+export const PHYSICS_VERSION = 8;
+
+/**
+ * `p` is a press, `pl`/`pr` a press on the left/right half, `r` a release.
+ * `cw`/`ca`/`cr` answer the continue offer with wait/accept/resume, `rw`
+ * rewinds after a practice fall, `oe`/`ot`/`of` switch the practice
+ * enemies/timed/fragile option and `ps` is a pause, which lets go of the
+ * button and drops a charge.
+ */
+export type ReplayInput = [frame: number, action: ReplayAction];
+type ReplayAction = (typeof REPLAY_ACTIONS)[number];
+
+const REPLAY_ACTIONS = ["p", "pl", "pr", "r", "cw", "ca", "cr", "rw", "oe", "ot", "of", "ps"] as const;
+
+const REVIVE_CODES = { wait: "cw", accept: "ca", resume: "cr" } as const;
+const PRACTICE_CODES = { enemies: "oe", timed: "ot", fragile: "of" } as const;
+
+/**
+ * A run is fully described by its seed, its tuning and the ticks on which
+ * the player pressed or released. The simulation runs on a fixed 60Hz step,
+ * so the tick count is all that is needed to replay it exactly.
+ */
+export interface Replay {
+  version: number;
+  physics: number;
+  seed: number;
+  mode: GameMode;
+  difficulty: Difficulty;
+  tuning: Tuning;
+  /** Time attack finish height, 0 for other modes. */
+  target: number;
+  /** Continue offers the run started with; time attack gets none. */
+  continues: number;
+  /** Practice options at the start, with `tuning` the preset they were applied to. Null outside practice. */
+  practice: PracticeOptions | null;
+  score: number;
+  inputs: ReplayInput[];
+  frames: number;
+}
+
+export interface Recorder {
+  seed: number;
+  mode: GameMode;
+  difficulty: Difficulty;
+  tuning: Tuning;
+  target: number;
+  continues: number;
+  practice: PracticeOptions | null;
+  inputs: ReplayInput[];
+  frames: number;
+}
+
+export interface Playback {
+  replay: Replay;
+  game: GameState;
+  frame: number;
+  cursor: number;
+  /** The practice options in effect at `frame`. */
+  practice: PracticeOptions | null;
+}
+
+/** Practice runs pass the preset and options they were built from, since toggles can change the tuning later. */
+export function createRecorder(g: GameState, practice?: { base: Tuning; options: PracticeOptions }): Recorder {
+  return {
+    seed: g.seed,
+    mode: g.mode,
+    difficulty: g.difficulty,
+    tuning: practice?.base ?? g.tuning,
+    target: g.target,
+    continues: g.continues,
+    practice: practice ? { ...practice.options } : null,
+    inputs: [],
+    frames: 0,
+  };
+}
+
+export function recordFrame(rec: Recorder, input: GameInput) {
+  if (input.press) rec.inputs.push([rec.frames, input.side ? (input.side < 0 ? "pl" : "pr") : "p"]);
+  if (input.release) rec.inputs.push([rec.frames, "r"]);
+  if (input.revive) rec.inputs.push([rec.frames, REVIVE_CODES[input.revive]]);
+  if (input.rewind) rec.inputs.push([rec.frames, "rw"]);
+  rec.frames++;
+}
+
+/**
+ * Pauses the run. What the pause drops is recorded against the next tick,
+ * the first one played after the pause, so playback drops it too.
+ */
+export function recordPause(rec: Recorder, g: GameState) {
+  if (!pauseGame(g)) return false;
+  rec.inputs.push([rec.frames, "ps"]);
+  return true;
+}
+
+/**
+ * Switches a practice option mid-run. The switch is recorded against the
+ * next tick, which is also the first one it affects when played back.
+ */
+export function togglePracticeOption(rec: Recorder, g: GameState, options: PracticeOptions, key: keyof PracticeOptions) {
+  applyPracticeOptions(g, rec.tuning, options);
+  rec.inputs.push([rec.frames, PRACTICE_CODES[key]]);
+}
+
+export function finishRecording(rec: Recorder, score: number): Replay {
+  return {
+    version: REPLAY_VERSION,
+    physics: PHYSICS_VERSION,
+    seed: rec.seed,
+    mode: rec.mode,
+    difficulty: rec.difficulty,
+    tuning: rec.tuning,
+    target: rec.target,
+    continues: rec.continues,
+    practice: rec.practice,
+    score,
+    inputs: rec.inputs.slice(),
+    frames: rec.frames,
+  };
+}
+
+export function encodeReplay(replay: Replay) {
+  return JSON.stringify(replay);
+}
+
+export function decodeReplay(text: string): Replay {
+  let data: Partial<Replay>;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error("Replay file is not valid JSON");
+  }
+  if (!data || typeof data !== "object") throw new Error("Replay file is empty");
+  if (data.version !== REPLAY_VERSION) throw new Error(`Unsupported replay version: ${data.version}`);
+  if (data.physics !== PHYSICS_VERSION) {
+    throw new Error(`Replay was recorded with physics v${data.physics}, this build runs v${PHYSICS_VERSION}`);
+  }
+  if (typeof data.seed !== "number" || typeof data.frames !== "number" || !Array.isArray(data.inputs)) {
+    throw new Error("Replay file is missing seed, frames or inputs");
+  }
+  if (!Number.isInteger(data.frames) || data.frames < 0) throw new Error(`Replay has an invalid frame count: ${data.frames}`);
+  checkInputs(data.inputs, data.frames);
+  const difficulty = isDifficulty(data.difficulty) ? data.difficulty : "normal";
+  const { tuning, errors } = applyTuningPatch(TUNING_PRESETS[difficulty], data.tuning ?? {}, "tuning");
+  if (errors.length) throw new Error(`Replay has an invalid tuning: ${errors[0]}`);
+  return {
+    version: data.version,
+    physics: data.physics,
+    seed: data.seed,
+    mode: data.mode === "daily" || data.mode === "practice" || data.mode === "timeAttack" ? data.mode : "classic",
+    difficulty,
+    tuning,
+    target: typeof data.target === "number" ? data.target : 0,
+    continues: typeof data.continues === "number" ? Math.max(0, Math.floor(data.continues)) : 1,
+    practice: data.mode === "practice" && data.practice && typeof data.practice === "object"
+      ? { enemies: data.practice.enemies === true, timed: data.practice.timed === true, fragile: data.practice.fragile === true }
+      : null,
+    score: typeof data.score === "number" ? data.score : 0,
+    inputs: data.inputs,
+    frames: data.frames,
+  };
+}
+
+/** Playback walks the inputs in order, so frames must be whole ticks that never go back or past the end. */
+function checkInputs(inputs: unknown[], frames: number) {
+  let last = 0;
+  inputs.forEach((entry, i) => {
+    if (!Array.isArray(entry) || entry.length !== 2) throw new Error(`Replay input ${i} is not a [frame, action] pair`);
+    const [frame, action] = entry;
+    if (!Number.isInteger(frame) || frame < last || frame > frames) {
+      throw new Error(`Replay input ${i} has an invalid frame: ${JSON.stringify(frame)}`);
+    }
+    if (!REPLAY_ACTIONS.includes(action)) throw new Error(`Replay input ${i} has an unknown action: ${JSON.stringify(action)}`);
+    last = frame;
+  });
+}
+
+export function replayLength(replay: Replay) {
+  return replay.frames;
+}
+
+function replayGame(replay: Replay) {
+  return createGame({
+    seed: replay.seed,
+    mode: replay.mode,
+    difficulty: replay.difficulty,
+    tuning: replay.practice ? practiceTuning(replay.tuning, replay.practice) : replay.tuning,
+    target: replay.target,
+    continues: replay.continues,
+  });
+}
+
+export function createPlayback(replay: Replay): Playback {
+  return {
+    replay,
+    game: replayGame(replay),
+    frame: 0,
+    cursor: 0,
+    practice: replay.practice && { ...replay.practice },
+  };
+}
+
+/** Advances the playback by one recorded tick. */
+export function stepPlayback(pb: Playback): GameEvent[] {
+  const { replay } = pb;
+  if (pb.frame >= replay.frames) return [];
+  const input: GameInput = {};
+  while (pb.cursor < replay.inputs.length && replay.inputs[pb.cursor][0] === pb.frame) {
+    const action = replay.inputs[pb.cursor][1];
+    if (action === "r") {
+      input.release = true;
+    } else if (action === "rw") {
+      input.rewind = true;
+    } else if (action === "ps") {
+      dropHold(pb.game);
+    } else if (action === "oe" || action === "ot" || action === "of") {
+      if (pb.practice) {
+        const key = action === "oe" ? "enemies" : action === "ot" ? "timed" : "fragile";
+        pb.practice = { ...pb.practice, [key]: !pb.practice[key] };
+        applyPracticeOptions(pb.game, replay.tuning, pb.practice);
+      }
+    } else if (action === "cw" || action === "ca" || action === "cr") {
+      input.revive = action === "cw" ? "wait" : action === "ca" ? "accept" : "resume";
+    } else {
+      input.press = true;
+      if (action !== "p") input.side = action === "pl" ? -1 : 1;
+    }
+    pb.cursor++;
+  }
+  pb.frame++;
+  return step(pb.game, input);
+}
+
+/**
+ * Moves the playback to `frame`. The simulation can only run forward, so
+ * seeking backwards rebuilds the game from the seed and fast-forwards.
+ */
+export function seekPlayback(pb: Playback, frame: number) {
+  const target = Math.max(0, Math.min(frame, pb.replay.frames));
+  if (target < pb.frame) {
+    pb.game = replayGame(pb.replay);
+    pb.frame = 0;
+    pb.cursor = 0;
+    pb.practice = pb.replay.practice && { ...pb.replay.practice };
+  }
+  while (pb.frame < target) stepPlayback(pb);
+}
@@ -0,0 +1,139 @@
+import { STAGES } from "./constants";
+import { roundRect } from "./canvas";
+import { PLATFORM_TYPES } from "./platforms";
+import type { ClimbStep, GameMode, GameState } from "./types";
+
+export const CARD_W = 720;
+export const CARD_H = 960;
+
+const MODE_LABELS: Record<GameMode, string> = {
+  classic: "\u{1F95A} CLASSIC",
+  daily: "\u{1F4C5} DAILY TOWER",
+  practice: "\u{1F9D8} PRACTICE",
+  timeAttack: "\u23F1 TIME ATTACK",
+  versus: "\u2694 VERSUS",
+};
+
+export interface ResultSummary {
+  mode: GameMode;
+  score: number;
+  xp: number;
+  stageIdx: number;
+  climb: ClimbStep[];
+  date: Date;
+}
+
+export function summarizeResult(g: GameState, date: Date = new Date()): ResultSummary {
+  return {
+    mode: g.mode,
+    score: g.score,
+    xp: Math.floor(g.xp),
+    stageIdx: g.stageIdx,
+    climb: g.climb.slice(),
+    date,
+  };
+}
+
+/** The player's own calendar date; the UTC `dateKey` is only for seeding the daily tower. */
+function localDate(date: Date) {
+  const m = String(date.getMonth() + 1).padStart(2, "0");
+  const d = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${m}-${d}`;
+}
+
+function drawTower(ctx: CanvasRenderingContext2D, climb: ClimbStep[], x: number, y: number, w: number, h: number) {
+  ctx.fillStyle = "rgba(255,255,255,0.04)";
+  roundRect(ctx, x, y, w, h, 18);
+  ctx.fill();
+
+  if (climb.length === 0) return;
+  const bottom = Math.max(...climb.map((s) => s.y));
+  const top = Math.min(...climb.map((s) => s.y));
+  const span = Math.max(1, bottom - top);
+  const pad = 24;
+  const sx = (w - pad * 2) / 400;
+  const sy = Math.min(1, (h - pad * 2) / span);
+  const px = (v: number) => x + pad + v * sx;
+  const py = (v: number) => y + h - pad - (bottom - v) * sy;
+
+  ctx.strokeStyle = "rgba(251,191,36,0.35)";
+  ctx.lineWidth = 2;
+  ctx.setLineDash([4, 6]);
+  ctx.beginPath();
+  climb.forEach((s, i) => {
+    const cx = px(s.x + s.w / 2);
+    const cy = py(s.y) - 6;
+    if (i === 0) ctx.moveTo(cx, cy);
+    else ctx.lineTo(cx, cy);
+  });
+  ctx.stroke();
+  ctx.setLineDash([]);
+
+  for (const s of climb) {
+    ctx.fillStyle = PLATFORM_TYPES[s.type].mapColor;
+    roundRect(ctx, px(s.x), py(s.y), Math.max(6, s.w * sx), 6, 3);
+    ctx.fill();
+  }
+}
+
+/** Draws the shareable result card onto a fresh offscreen canvas. */
+export function renderResultCard(summary: ResultSummary) {
+  const canvas = document.createElement("canvas");
+  canvas.width = CARD_W;
+  canvas.height = CARD_H;
+  const ctx = canvas.getContext("2d");
+  if (!ctx) return canvas;
+
+  const bg = ctx.createLinearGradient(0, 0, 0, CARD_H);
+  bg.addColorStop(0, "#070714");
+  bg.addColorStop(0.5, "#0d0d24");
+  bg.addColorStop(1, "#1c1440");
+  ctx.fillStyle = bg;
+  ctx.fillRect(0, 0, CARD_W, CARD_H);
+
+  for (let i = 0; i < 60; i++) {
+    ctx.fillStyle = `rgba(255,255,255,${0.1 + (i % 4) * 0.07})`;
+    ctx.beginPath();
+    ctx.arc((i * 157.3) % CARD_W, (i * 241.7) % CARD_H, 1 + (i % 3) * 0.6, 0, Math.PI * 2);
+    ctx.fill();
+  }
+
+  const stage = STAGES[summary.stageIdx];
+  ctx.textAlign = "center";
+  ctx.textBaseline = "middle";
+
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = "900 44px 'Noto Sans KR', sans-serif";
+  ctx.fillText("\uC810\uD504\uC5D0\uADF8", CARD_W / 2, 80);
+
+  ctx.font = "150px serif";
+  ctx.fillText(stage.emoji, 200, 330);
+  ctx.fillStyle = stage.color;
+  ctx.font = "bold 40px 'Noto Sans KR', sans-serif";
+  ctx.fillText(stage.name, 200, 460);
+
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 96px monospace";
+  ctx.fillText(`${summary.score}m`, 200, 580);
+  ctx.fillStyle = "#a78bfa";
+  ctx.font = "bold 30px monospace";
+  ctx.fillText(`XP ${summary.xp}`, 200, 650);
+
+  drawTower(ctx, summary.climb, 400, 160, 270, 560);
+
+  ctx.fillStyle = "rgba(255,255,255,0.45)";
+  ctx.font = "26px monospace";
+  ctx.fillText(`${MODE_LABELS[summary.mode]} \u00B7 ${localDate(summary.date)}`, CARD_W / 2, CARD_H - 100);
+
+  return canvas;
+}
+
+export function resultCardBlob(summary: ResultSummary) {
+  const canvas = renderResultCard(summary);
+  return new Promise<Blob>((resolve, reject) => {
+    canvas.toBlob((blob) => {
+      if (blob) resolve(blob);
+      else reject(new Error("Could not encode the result card"));
+    }, "image/png");
+  });
+}
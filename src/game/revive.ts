@@ -0,0 +1,96 @@
+import { W, H, EGG_R } from "./constants";
+import { burst } from "./powerups";
+import type { GameEvent, GameInput, GameState, Platform } from "./types";
+
+/** How long the continue offer stays up. */
+export const REVIVE_TICKS = 300;
+/** Taps this soon after the fall are the jump the player was already making. */
+const REVIVE_GRACE = 30;
+const INVULNERABLE_TICKS = 180;
+const SAFE_W = 150;
+
+/**
+ * Puts a fall on hold with a continue offer if the run has one left.
+ * Returns false when the fall should end the run straight away.
+ */
+export function offerRevive(g: GameState, events: GameEvent[]) {
+  if (g.continues <= 0) return false;
+  g.continues--;
+  g.state = "fallen";
+  g.reviveTimer = REVIVE_TICKS;
+  g.reviveWaiting = false;
+  g.holding = false;
+  events.push({ type: "reviveOffer" });
+  return true;
+}
+
+/** Whether a tap right now should go to the host's revive gate. */
+export function canRequestRevive(g: GameState) {
+  return g.state === "fallen" && !g.paused && g.resumeTimer <= 0 &&
+    !g.reviveWaiting && g.reviveTimer <= REVIVE_TICKS - REVIVE_GRACE;
+}
+
+/**
+ * Adds a still ledge `w` wide centred near `cx` at height `y`. Ledges it
+ * would overlap are dropped.
+ */
+export function addSafeLedge(g: GameState, cx: number, y: number, w: number) {
+  const x = Math.max(8, Math.min(W - 8 - w, cx - w / 2));
+  const p: Platform = {
+    x, y, prevX: x, prevY: y, baseY: y, w, h: 11,
+    speed: 0, hue: 140, type: "normal", timer: 0, phase: 0, belt: 0, landed: false, removing: false,
+  };
+  g.platforms = g.platforms.filter((other) => Math.abs(other.baseY - y) >= g.tuning.platformGap / 2);
+  g.platforms.push(p);
+  return p;
+}
+
+/** Stands the egg still in the middle of `p`, ready to charge. */
+export function placeEgg(g: GameState, p: Platform) {
+  const { egg } = g;
+  egg.x = p.x + p.w / 2;
+  egg.y = p.y - EGG_R;
+  egg.prevX = egg.x;
+  egg.prevY = egg.y;
+  egg.vx = 0;
+  egg.vy = 0;
+  egg.onPlatform = p;
+  g.state = "idle";
+  g.airUses = 0;
+  g.power.value = 0;
+  g.power.dir = 1;
+}
+
+/**
+ * Puts the egg back on a fresh, still ledge in the lower part of the screen.
+ * XP, stage and power-ups carry over.
+ */
+function respawn(g: GameState, events: GameEvent[]) {
+  const p = addSafeLedge(g, g.egg.x, g.camera.y + H * 0.7, SAFE_W);
+  placeEgg(g, p);
+  const { egg } = g;
+  g.invulnerable = INVULNERABLE_TICKS;
+  burst(g, egg.x, egg.y, 45, 24);
+  g.landingFx = { x: egg.x, y: p.y - 20, timer: 40, text: "\u2764 CONTINUE!" };
+  events.push({ type: "revive" });
+}
+
+/**
+ * Runs the continue offer for one tick. Returns true once it has run out
+ * and the run should end.
+ */
+export function updateRevive(g: GameState, input: GameInput, events: GameEvent[], dt: number) {
+  if (input.revive === "accept") {
+    respawn(g, events);
+    return false;
+  }
+  if (input.revive === "wait") g.reviveWaiting = true;
+  if (input.revive === "resume") g.reviveWaiting = false;
+  if (g.reviveWaiting) return false;
+
+  const before = Math.ceil(g.reviveTimer / 60);
+  g.reviveTimer -= dt;
+  const after = Math.ceil(g.reviveTimer / 60);
+  if (after < before && after > 0) events.push({ type: "reviveTick", secondsLeft: after });
+  return g.reviveTimer <= 0;
+}
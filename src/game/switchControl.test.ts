@@ -0,0 +1,103 @@
+import { describe, expect, it } from "vitest";
+import { createGame, pauseGame, step } from "./engine";
+import { AUTO_STOP_POWER, LONG_PRESS_TICKS, createSwitchControl, pressSwitch, releaseSwitch, switchInput } from "./switchControl";
+import type { SwitchControl } from "./switchControl";
+import type { GameInput, GameState } from "./types";
+
+function setup() {
+  const g = createGame({ seed: 1 });
+  g.enemies = [];
+  g.items = [];
+  return { g, s: createSwitchControl() };
+}
+
+/** Steps `ticks` ticks and returns the input the switch sent on each. */
+function run(g: GameState, s: SwitchControl, ticks: number) {
+  const inputs: GameInput[] = [];
+  for (let i = 0; i < ticks; i++) {
+    const input = switchInput(s, g);
+    inputs.push(input);
+    step(g, input);
+  }
+  return inputs;
+}
+
+/** Holds the switch until the charge starts. */
+function charge(g: GameState, s: SwitchControl) {
+  pressSwitch(s);
+  run(g, s, LONG_PRESS_TICKS + 1);
+  releaseSwitch(s);
+}
+
+describe("switch control", () => {
+  it("ignores a tap shorter than a long press", () => {
+    const { g, s } = setup();
+    pressSwitch(s);
+    run(g, s, LONG_PRESS_TICKS - 1);
+    releaseSwitch(s);
+    run(g, s, 60);
+    expect(g.state).toBe("idle");
+  });
+
+  it("starts a charge once held long enough, and only once", () => {
+    const { g, s } = setup();
+    pressSwitch(s);
+    const inputs = run(g, s, LONG_PRESS_TICKS + 60);
+    expect(inputs.filter((input) => input.press)).toHaveLength(1);
+    expect(inputs[LONG_PRESS_TICKS - 1]).toEqual({ press: true });
+    expect(g.state).toBe("charging");
+  });
+
+  it("keeps charging when the switch is let go", () => {
+    const { g, s } = setup();
+    charge(g, s);
+    run(g, s, 5);
+    expect(g.state).toBe("charging");
+  });
+
+  it("jumps at the power the second press stops on", () => {
+    const { g, s } = setup();
+    charge(g, s);
+    run(g, s, 10);
+    const power = g.power.value;
+    pressSwitch(s);
+    expect(run(g, s, 1)).toEqual([{ release: true }]);
+    expect(g.state).toBe("jumping");
+    expect(g.power.value).toBe(power);
+  });
+
+  it("stops by itself on the way down, short of a perfect", () => {
+    const { g, s } = setup();
+    charge(g, s);
+    let power = 0;
+    for (let i = 0; i < 600 && g.state === "charging"; i++) {
+      power = g.power.value;
+      run(g, s, 1);
+    }
+    expect(g.state).toBe("jumping");
+    expect(power).toBeLessThanOrEqual(AUTO_STOP_POWER);
+    expect(power).toBeGreaterThan(AUTO_STOP_POWER - 5);
+  });
+
+  it("passes a press in the air through with its side", () => {
+    const { g, s } = setup();
+    charge(g, s);
+    pressSwitch(s, -1);
+    run(g, s, 1);
+    releaseSwitch(s);
+    run(g, s, 1);
+    pressSwitch(s, 1);
+    expect(run(g, s, 1)).toEqual([{ press: true, side: 1 }]);
+    releaseSwitch(s);
+    expect(run(g, s, 1)).toEqual([{ release: true }]);
+  });
+
+  it("does not count a hold while paused", () => {
+    const { g, s } = setup();
+    pauseGame(g);
+    pressSwitch(s);
+    run(g, s, LONG_PRESS_TICKS * 2);
+    expect(s.held).toBe(0);
+    expect(g.state).toBe("idle");
+  });
+});
@@ -0,0 +1,82 @@
+import { isRunning } from "./engine";
+import type { GameInput, GameState } from "./types";
+
+/** Ticks the switch must stay down before a charge starts, so a tremor or a brush never jumps. */
+export const LONG_PRESS_TICKS = 24;
+/** Where the bar stops on its way back down when the player has not stopped it. */
+export const AUTO_STOP_POWER = 90;
+
+/**
+ * Single-switch play: hold the switch to start a charge, then let go. A
+ * second press stops the bar wherever it is, so a perfect takes the same
+ * timing as with hold-to-charge. Left alone, the bar sweeps up once and
+ * stops by itself on the way down. In the air the switch works as a plain
+ * tap for abilities.
+ */
+export interface SwitchControl {
+  down: boolean;
+  /** Ticks the switch has been down, counted only while the game runs. */
+  held: number;
+  /** The current press already did something and must be let go first. */
+  used: boolean;
+  side: number;
+  /** Edges not yet turned into input. */
+  pressed: boolean;
+  released: boolean;
+}
+
+export function createSwitchControl(): SwitchControl {
+  return { down: false, held: 0, used: false, side: 0, pressed: false, released: false };
+}
+
+export function pressSwitch(s: SwitchControl, side = 0) {
+  if (s.down) return;
+  s.down = true;
+  s.held = 0;
+  s.used = false;
+  s.side = side;
+  s.pressed = true;
+}
+
+export function releaseSwitch(s: SwitchControl) {
+  if (!s.down) return;
+  s.down = false;
+  s.released = true;
+}
+
+/**
+ * Turns the switch into this tick's press and release. Only the result
+ * reaches the simulation, so replays of switch runs play back like any other.
+ */
+export function switchInput(s: SwitchControl, g: GameState, dt = 1): GameInput {
+  const pressed = s.pressed;
+  const released = s.released;
+  s.pressed = false;
+  s.released = false;
+  if (!isRunning(g)) return {};
+  if (s.down) s.held += dt;
+
+  if (g.state === "jumping") {
+    const input: GameInput = {};
+    if (pressed) {
+      s.used = true;
+      input.press = true;
+      if (s.side) input.side = s.side;
+    }
+    // letting go ends a glide
+    if (released) input.release = true;
+    return input;
+  }
+  if (g.state === "charging") {
+    if (pressed || (g.power.dir < 0 && g.power.value <= AUTO_STOP_POWER)) {
+      s.used = true;
+      return { release: true };
+    }
+    return {};
+  }
+  if (g.state === "idle" && s.down && !s.used && s.held >= LONG_PRESS_TICKS) {
+    s.used = true;
+    return { press: true };
+  }
+  return {};
+}
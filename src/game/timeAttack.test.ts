@@ -0,0 +1,93 @@
+import { describe, expect, it } from "vitest";
+import { createGame } from "./engine";
+import { formatDelta, formatTime, mergeTimeAttack, splitCount, splitMeters, updateTimeAttack } from "./timeAttack";
+import type { GameEvent, GameState } from "./types";
+
+function attempt(target: number) {
+  const g = createGame({ seed: 1, mode: "timeAttack", target });
+  g.jumps = 1;
+  return g;
+}
+
+/** Runs the clock `ticks` ticks, then climbs to `score`. */
+function climb(g: GameState, ticks: number, score: number) {
+  const events: GameEvent[] = [];
+  for (let i = 0; i < ticks; i++) updateTimeAttack(g, events, 1);
+  g.score = score;
+  const done = updateTimeAttack(g, events, 1);
+  return { events, done };
+}
+
+describe("checkpoints", () => {
+  it("ends the last checkpoint at the target", () => {
+    expect(splitCount(100)).toBe(4);
+    expect(splitCount(110)).toBe(5);
+    expect(splitMeters(110, 3)).toBe(100);
+    expect(splitMeters(110, 4)).toBe(110);
+  });
+
+  it("leaves the clock stopped until the first charge", () => {
+    const g = createGame({ seed: 1, mode: "timeAttack", target: 100 });
+    updateTimeAttack(g, [], 1);
+    expect(g.clock).toBe(0);
+  });
+
+  it("takes every checkpoint a jump passes at once", () => {
+    const g = attempt(100);
+    const { events, done } = climb(g, 99, 60);
+    expect(done).toBe(false);
+    expect(g.splits).toEqual([100, 100]);
+    expect(events).toEqual([
+      { type: "split", index: 0, ticks: 100 },
+      { type: "split", index: 1, ticks: 100 },
+    ]);
+  });
+
+  it("finishes at the target", () => {
+    const g = attempt(100);
+    climb(g, 99, 60);
+    const { events, done } = climb(g, 49, 100);
+    expect(done).toBe(true);
+    expect(g.finished).toBe(true);
+    expect(g.splits).toEqual([100, 100, 150, 150]);
+    expect(events[events.length - 1]).toEqual({ type: "finish", ticks: 150 });
+  });
+});
+
+describe("mergeTimeAttack", () => {
+  it("starts a record from the first attempt, finished or not", () => {
+    const g = attempt(100);
+    climb(g, 99, 30);
+    expect(mergeTimeAttack(null, g)).toEqual({ best: null, splits: [100] });
+  });
+
+  it("keeps the faster of each checkpoint and finish", () => {
+    const g = attempt(100);
+    climb(g, 79, 60);
+    climb(g, 99, 100);
+    const record = { best: 150, splits: [100, 120, 130, 150] };
+    expect(mergeTimeAttack(record, g)).toEqual({ best: 150, splits: [80, 80, 130, 150] });
+  });
+
+  it("replaces the best with a faster finish", () => {
+    const g = attempt(100);
+    climb(g, 59, 100);
+    expect(mergeTimeAttack({ best: 150, splits: [100, 120, 130, 150] }, g)).toEqual({ best: 60, splits: [60, 60, 60, 60] });
+  });
+});
+
+describe("split times", () => {
+  it("formats a tick count as minutes, seconds and hundredths", () => {
+    expect(formatTime(0)).toBe("0:00.00");
+    expect(formatTime(75)).toBe("0:01.25");
+    expect(formatTime(4344)).toBe("1:12.40");
+  });
+
+  it("drops the minutes from a short delta and signs it", () => {
+    expect(formatDelta(-75)).toBe("-1.25");
+    expect(formatDelta(75)).toBe("+1.25");
+    expect(formatDelta(0)).toBe("+0.00");
+    expect(formatDelta(-660)).toBe("-11.00");
+    expect(formatDelta(4344)).toBe("+1:12.40");
+  });
+});
@@ -0,0 +1,160 @@
+import { W, H } from "./constants";
+import { hashSeed } from "./random";
+import type { GameEvent, GameState } from "./types";
+
+export const TIME_ATTACK_TARGETS = [100, 250];
+/** Meters between checkpoints. */
+export const SPLIT_EVERY = 25;
+
+/** Best times for one target, in ticks. */
+export interface TimeAttackRecord {
+  /** Fastest finish, or null before the first one. */
+  best: number | null;
+  /** Fastest time to each checkpoint over all attempts, finished or not. */
+  splits: number[];
+}
+
+/** Every attempt at a target climbs this tower. */
+export function timeAttackSeed(target: number) {
+  return hashSeed(`timeattack:${target}`);
+}
+
+export function splitCount(target: number) {
+  return Math.ceil(target / SPLIT_EVERY);
+}
+
+/** Meters at checkpoint `i`; the last one is the target itself. */
+export function splitMeters(target: number, i: number) {
+  return Math.min(target, (i + 1) * SPLIT_EVERY);
+}
+
+/**
+ * Runs the clock and records checkpoints. The clock starts with the first
+ * charge and only counts ticks the world advanced, so pauses never cost
+ * time. Returns true once the target is reached and the run should end.
+ */
+export function updateTimeAttack(g: GameState, events: GameEvent[], dt: number) {
+  if (g.target <= 0) return false;
+  if (g.jumps > 0 || g.state === "charging") g.clock += dt;
+  const count = splitCount(g.target);
+  while (g.splits.length < count && splitMeters(g.target, g.splits.length) <= g.score) {
+    g.splits.push(g.clock);
+    events.push({ type: "split", index: g.splits.length - 1, ticks: g.clock });
+  }
+  if (g.score < g.target) return false;
+  g.finished = true;
+  events.push({ type: "finish", ticks: g.clock });
+  return true;
+}
+
+/** Folds an attempt into the record: faster checkpoints and a faster finish replace the old ones. */
+export function mergeTimeAttack(record: TimeAttackRecord | null, g: GameState): TimeAttackRecord {
+  const splits = (record?.splits ?? []).slice();
+  g.splits.forEach((t, i) => {
+    if (splits[i] === undefined || t < splits[i]) splits[i] = t;
+  });
+  const best = g.finished && (record?.best == null || g.clock < record.best) ? g.clock : record?.best ?? null;
+  return { best, splits };
+}
+
+/** `m:ss.cc` for a tick count. */
+export function formatTime(ticks: number) {
+  const cs = Math.round((Math.abs(ticks) / 60) * 100);
+  const m = Math.floor(cs / 6000);
+  const s = Math.floor(cs / 100) % 60;
+  return `${m}:${String(s).padStart(2, "0")}.${String(cs % 100).padStart(2, "0")}`;
+}
+
+/** A split delta such as `-1.25` or `+0:12.40`; negative is ahead of the best. */
+export function formatDelta(ticks: number) {
+  const text = formatTime(ticks);
+  return `${ticks < 0 ? "-" : "+"}${text.startsWith("0:") ? text.slice(2).replace(/^0(?=\d)/, "") : text}`;
+}
+
+const AHEAD = "#4ade80";
+const BEHIND = "#f87171";
+/** How long a checkpoint's split stays up. */
+const SPLIT_SHOW_TICKS = 150;
+
+/** The run clock in the top-left corner and the last checkpoint's split against the best. */
+export function drawTimeAttackHud(ctx: CanvasRenderingContext2D, g: GameState, best: TimeAttackRecord | null, top: number, hud: number) {
+  ctx.save();
+  ctx.textAlign = "left";
+  ctx.fillStyle = "rgba(255,255,255,0.85)";
+  ctx.font = `bold ${13 * hud}px monospace`;
+  const clock = `\u23F1 ${formatTime(g.clock)}`;
+  ctx.fillText(clock, 12, 22 - top);
+  const clockW = ctx.measureText(clock).width;
+  ctx.fillStyle = "rgba(255,255,255,0.35)";
+  ctx.font = `${9 * hud}px monospace`;
+  ctx.fillText(`/ ${g.target}m`, 18 + clockW, 22 - top);
+
+  const i = g.splits.length - 1;
+  const t = g.splits[i];
+  if (t !== undefined && g.clock - t < SPLIT_SHOW_TICKS && !g.finished) {
+    const ref = best?.splits[i];
+    ctx.textAlign = "center";
+    ctx.globalAlpha = Math.min(1, (SPLIT_SHOW_TICKS - (g.clock - t)) / 30);
+    ctx.fillStyle = "rgba(10, 10, 30, 0.75)";
+    ctx.fillRect(W / 2 - 90 * hud, H * 0.2 - 16 * hud, 180 * hud, 30 * hud);
+    ctx.fillStyle = ref === undefined ? "#fff" : t <= ref ? AHEAD : BEHIND;
+    ctx.font = `bold ${13 * hud}px monospace`;
+    const delta = ref === undefined ? "" : `  ${formatDelta(t - ref)}`;
+    ctx.fillText(`${splitMeters(g.target, i)}m ${formatTime(t)}${delta}`, W / 2, H * 0.2 + 4 * hud);
+  }
+  ctx.restore();
+}
+
+/** The game over screen of a time attack: the finish time and every checkpoint against the best. */
+export function drawTimeAttackResults(ctx: CanvasRenderingContext2D, g: GameState, best: TimeAttackRecord | null, hud: number) {
+  const cx = W / 2;
+  let y = H / 2 - 160;
+  ctx.save();
+  ctx.textAlign = "center";
+  ctx.fillStyle = "#fff";
+  ctx.font = "bold 22px monospace";
+  ctx.fillText(g.finished ? "\u{1F3C1} FINISH!" : `DNF \u00B7 ${g.score}m`, cx, y);
+
+  y += 38;
+  ctx.fillStyle = "#fbbf24";
+  ctx.font = "bold 30px monospace";
+  ctx.fillText(g.finished ? formatTime(g.clock) : "--:--.--", cx, y);
+
+  y += 22;
+  ctx.font = `${11 * hud}px monospace`;
+  if (g.finished && (best?.best == null || g.clock < best.best)) {
+    ctx.fillStyle = AHEAD;
+    ctx.fillText(best?.best == null ? "FIRST FINISH!" : `NEW RECORD! ${formatDelta(g.clock - best.best)}`, cx, y);
+  } else if (best?.best != null) {
+    ctx.fillStyle = "rgba(255,255,255,0.35)";
+    ctx.fillText(`BEST ${formatTime(best.best)}`, cx, y);
+  }
+
+  y += 30;
+  const rowH = 20 * hud;
+  for (let i = 0; i < splitCount(g.target); i++, y += rowH) {
+    const t = g.splits[i];
+    const ref = best?.splits[i];
+    ctx.font = `${11 * hud}px monospace`;
+    ctx.fillStyle = t === undefined ? "rgba(255,255,255,0.25)" : "rgba(255,255,255,0.75)";
+    ctx.textAlign = "right";
+    ctx.fillText(`${splitMeters(g.target, i)}m`, cx - 95, y);
+    ctx.textAlign = "left";
+    ctx.fillText(t === undefined ? "--" : formatTime(t), cx - 80, y);
+    if (t === undefined) continue;
+    const prev = i > 0 ? g.splits[i - 1] : 0;
+    ctx.fillStyle = "rgba(255,255,255,0.35)";
+    ctx.fillText(`(${formatTime(t - prev)})`, cx - 5, y);
+    if (ref !== undefined) {
+      ctx.fillStyle = t <= ref ? AHEAD : BEHIND;
+      ctx.textAlign = "right";
+      ctx.fillText(formatDelta(t - ref), cx + 150, y);
+    }
+  }
+
+  ctx.textAlign = "center";
+  ctx.fillStyle = "rgba(255,255,255,0.5)";
+  ctx.font = `${12 * hud}px monospace`;
+  ctx.fillText("TAP or SPACE to retry", cx, y + 20);
+  ctx.restore();
+}
@@ -0,0 +1,72 @@
+import { describe, expect, it } from "vitest";
+import { W } from "./constants";
+import { TUNING_PRESETS, parseTuningOverride, validateTuning } from "./tuning";
+
+describe("parseTuningOverride", () => {
+  it("applies a valid patch over its preset only", () => {
+    const { presets, errors } = parseTuningOverride({ hard: { gravity: 0.3, xp: { decay: 0.015 } } });
+    expect(errors).toEqual([]);
+    expect(presets.hard.gravity).toBe(0.3);
+    expect(presets.hard.xp).toEqual({ ...TUNING_PRESETS.hard.xp, decay: 0.015 });
+    expect(presets.normal).toBe(TUNING_PRESETS.normal);
+  });
+
+  it("rejects something that is not an object", () => {
+    expect(parseTuningOverride([]).errors).toEqual(["tuning override must be a JSON object"]);
+  });
+
+  it("names an unknown difficulty", () => {
+    expect(parseTuningOverride({ expert: {} }).errors).toEqual(["expert is not a difficulty (easy, normal, hard)"]);
+  });
+
+  it("names unknown keys and values of the wrong type", () => {
+    const { errors } = parseTuningOverride({ normal: { gravty: 0.3, xp: { decay: "fast" }, width: 120, stageXp: 5 } });
+    expect(errors).toEqual([
+      "normal.gravty is not a tuning value",
+      'normal.xp.decay must be a number, got "fast"',
+      "normal.width must be an object",
+      "normal.stageXp must be an array",
+    ]);
+  });
+
+  it("rejects the whole file when one difficulty is wrong", () => {
+    const { presets, errors } = parseTuningOverride({ easy: { gravity: 0.25 }, hard: { gravity: -1 } });
+    expect(errors).toContain("hard.gravity must be greater than 0, got -1");
+    expect(presets).toBe(TUNING_PRESETS);
+  });
+});
+
+describe("validateTuning", () => {
+  it("accepts every shipped preset", () => {
+    for (const t of Object.values(TUNING_PRESETS)) expect(validateTuning(t, "preset")).toEqual([]);
+  });
+
+  it("rejects a jump too weak to clear the gap", () => {
+    const t = { ...TUNING_PRESETS.normal, gravity: 1 };
+    expect(validateTuning(t, "normal")).toContain("normal: a full jump rises 66px, too little to clear platformGap 80");
+  });
+
+  it("rejects platforms wider than the screen allows", () => {
+    const t = { ...TUNING_PRESETS.normal, wallMargin: W };
+    expect(validateTuning(t, "normal")).toContain(`normal: the widest platform plus twice wallMargin is more than the ${W}px screen`);
+  });
+
+  it("rejects platform chances that add up to more than 1", () => {
+    const kinds = Object.fromEntries(Object.entries(TUNING_PRESETS.normal.kinds).map(([k, c]) => [k, { ...c, max: 0.9 }]));
+    const t = { ...TUNING_PRESETS.normal, kinds } as typeof TUNING_PRESETS.normal;
+    expect(validateTuning(t, "normal").some((e) => e.startsWith("normal.kinds: the max chances add up to"))).toBe(true);
+  });
+
+  it("checks the stage XP list", () => {
+    const normal = TUNING_PRESETS.normal;
+    expect(validateTuning({ ...normal, stageXp: [0, 1] }, "normal")[0]).toMatch(/^normal\.stageXp must list \d+ values/);
+    expect(validateTuning({ ...normal, stageXp: normal.stageXp.map((xp) => xp + 1) }, "normal")).toEqual(["normal.stageXp must start at 0"]);
+    expect(validateTuning({ ...normal, stageXp: normal.stageXp.map(() => 0) }, "normal")).toEqual(["normal.stageXp must be increasing numbers"]);
+  });
+
+  it("names an unknown enemy in a spawn band", () => {
+    const { errors } = parseTuningOverride({ normal: { enemies: [{ from: 0, interval: 100, weights: { dragon: 1 } }] } });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatch(/^normal\.enemies\[0\]\.weights\.dragon is not an enemy \(/);
+  });
+});
@@ -0,0 +1,264 @@
+import { W, STAGES } from "./constants";
+import { ENEMY_TYPES } from "./enemies";
+import type { SpawnBand } from "./enemies";
+import { hashSeed } from "./random";
+import type { PlatformKind } from "./types";
+
+export type Difficulty = "easy" | "normal" | "hard";
+
+export const DIFFICULTIES: Difficulty[] = ["easy", "normal", "hard"];
+
+/** Spawn chance of a platform kind: 0 below `from`, then `rate` per meter up to `max`. */
+export interface KindChance {
+  from: number;
+  rate: number;
+  max: number;
+}
+
+/**
+ * Every balance number the simulation reads. A run keeps the tuning it was
+ * created with in its state, so replays and ghosts carry it along.
+ */
+export interface Tuning {
+  gravity: number;
+  maxJumpVel: number;
+  /** Each stage adds this fraction of `maxJumpVel` to every jump. */
+  stageJumpBonus: number;
+  /** Vertical distance between platforms, in px. */
+  platformGap: number;
+  /**
+   * Platforms are `base - shrink * m` wide at `m` meters, never under `min`,
+   * plus up to `spread - spreadShrink * m` (at least `spreadMin`) at random.
+   */
+  width: { base: number; shrink: number; min: number; spread: number; spreadShrink: number; spreadMin: number };
+  /** Closest a platform is placed to either wall, in px. */
+  wallMargin: number;
+  /**
+   * Platforms drift at `base + rise * m` px per tick at `m` meters, the rise
+   * capped at `maxRise`, before each platform's own variation.
+   */
+  speed: { base: number; rise: number; maxRise: number };
+  /** Rolled in registry order; whatever is left over is a normal platform. */
+  kinds: Record<Exclude<PlatformKind, "normal">, KindChance>;
+  xp: {
+    /** For landing on a new highest platform. */
+    climb: number;
+    perfect: number;
+    /** Lost per tick while standing. */
+    decay: number;
+  };
+  /** XP needed for each entry of `STAGES`. */
+  stageXp: number[];
+  /** What enemies appear at each altitude and how often. Below the first band the sky is clear. */
+  enemies: SpawnBand[];
+}
+
+const NORMAL: Tuning = {
+  gravity: 0.28,
+  maxJumpVel: 11.5,
+  stageJumpBonus: 0.12,
+  platformGap: 80,
+  width: { base: 130, shrink: 0.35, min: 50, spread: 25, spreadShrink: 0.08, spreadMin: 10 },
+  wallMargin: 30,
+  speed: { base: 0.6, rise: 0.008, maxRise: 1.2 },
+  kinds: {
+    timed: { from: 15, rate: 0.003, max: 0.18 },
+    fragile: { from: 15, rate: 0.002, max: 0.15 },
+    bouncy: { from: 20, rate: 0.001, max: 0.05 },
+    ice: { from: 30, rate: 0.0015, max: 0.08 },
+    conveyor: { from: 45, rate: 0.0015, max: 0.08 },
+    blinking: { from: 60, rate: 0.001, max: 0.07 },
+    oscillating: { from: 75, rate: 0.0012, max: 0.08 },
+  },
+  xp: { climb: 3, perfect: 5, decay: 0.008 },
+  stageXp: [0, 15, 40, 75, 120, 180, 260],
+  enemies: [
+    { from: 40, interval: 500, weights: { bird: 1 } },
+    { from: 80, interval: 350, weights: { bird: 3, sine: 1 } },
+    { from: 130, interval: 250, weights: { bird: 3, sine: 2, cloud: 1 } },
+    { from: 200, interval: 170, weights: { bird: 2, sine: 2, hawk: 1, cloud: 1 } },
+    { from: 300, interval: 120, weights: { bird: 2, sine: 2, hawk: 2, cloud: 1 } },
+  ],
+};
+
+function scaleKinds(kinds: Tuning["kinds"], k: number): Tuning["kinds"] {
+  const out = { ...kinds };
+  for (const kind of Object.keys(out) as (keyof Tuning["kinds"])[]) {
+    out[kind] = { ...out[kind], rate: out[kind].rate * k, max: out[kind].max * k };
+  }
+  return out;
+}
+
+function scaleIntervals(bands: SpawnBand[], k: number) {
+  return bands.map((b) => ({ ...b, interval: Math.round(b.interval * k) }));
+}
+
+export const TUNING_PRESETS: Record<Difficulty, Tuning> = {
+  easy: {
+    ...NORMAL,
+    width: { ...NORMAL.width, base: 150, min: 65 },
+    kinds: scaleKinds(NORMAL.kinds, 0.6),
+    xp: { ...NORMAL.xp, decay: 0.005 },
+    enemies: scaleIntervals(NORMAL.enemies, 1.5),
+  },
+  normal: NORMAL,
+  hard: {
+    ...NORMAL,
+    platformGap: 88,
+    width: { ...NORMAL.width, base: 115, min: 42 },
+    kinds: scaleKinds(NORMAL.kinds, 1.4),
+    xp: { ...NORMAL.xp, decay: 0.012 },
+    enemies: scaleIntervals(NORMAL.enemies, 0.7),
+  },
+};
+
+export function isDifficulty(value: unknown): value is Difficulty {
+  return DIFFICULTIES.includes(value as Difficulty);
+}
+
+/** Short fingerprint of a tuning, so records made under different numbers never mix. */
+export function tuningHash(t: Tuning) {
+  return hashSeed(JSON.stringify(t));
+}
+
+/** True for the shipped normal numbers, the only ones that count for the leaderboard. */
+export function isStandardTuning(t: Tuning) {
+  return tuningHash(t) === tuningHash(NORMAL);
+}
+
+function isRecord(value: unknown): value is Record<string, unknown> {
+  return typeof value === "object" && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Copies `patch` over `base` key by key. Keys `base` does not have and
+ * values of the wrong type are reported and skipped; arrays replace the
+ * base array whole and are checked by `validateTuning`.
+ */
+function merge(base: unknown, patch: unknown, path: string, errors: string[]): unknown {
+  if (Array.isArray(base)) {
+    if (Array.isArray(patch)) return patch;
+    errors.push(`${path} must be an array`);
+    return base;
+  }
+  if (typeof base === "number") {
+    if (typeof patch === "number" && Number.isFinite(patch)) return patch;
+    errors.push(`${path} must be a number, got ${JSON.stringify(patch)}`);
+    return base;
+  }
+  if (!isRecord(base)) return base;
+  if (!isRecord(patch)) {
+    errors.push(`${path} must be an object`);
+    return base;
+  }
+  const out: Record<string, unknown> = { ...base };
+  for (const key of Object.keys(patch)) {
+    if (!(key in base)) errors.push(`${path}.${key} is not a tuning value`);
+    else out[key] = merge(base[key], patch[key], `${path}.${key}`, errors);
+  }
+  return out;
+}
+
+/** Checks the ranges and shapes a merged tuning must have to give a playable game. */
+export function validateTuning(t: Tuning, path: string): string[] {
+  const errors: string[] = [];
+  const positive = (value: number, at: string) => {
+    if (!(value > 0)) errors.push(`${path}.${at} must be greater than 0, got ${value}`);
+  };
+  const atLeast = (value: number, min: number, at: string) => {
+    if (!(value >= min)) errors.push(`${path}.${at} must be at least ${min}, got ${value}`);
+  };
+  positive(t.gravity, "gravity");
+  positive(t.maxJumpVel, "maxJumpVel");
+  atLeast(t.stageJumpBonus, 0, "stageJumpBonus");
+  positive(t.platformGap, "platformGap");
+  const apex = (t.maxJumpVel * t.maxJumpVel) / (2 * t.gravity);
+  if (apex < t.platformGap * 1.2) {
+    errors.push(`${path}: a full jump rises ${Math.round(apex)}px, too little to clear platformGap ${t.platformGap}`);
+  }
+  positive(t.width.min, "width.min");
+  atLeast(t.width.base, t.width.min, "width.base");
+  atLeast(t.width.shrink, 0, "width.shrink");
+  atLeast(t.width.spreadMin, 0, "width.spreadMin");
+  atLeast(t.width.spread, t.width.spreadMin, "width.spread");
+  atLeast(t.width.spreadShrink, 0, "width.spreadShrink");
+  atLeast(t.wallMargin, 0, "wallMargin");
+  if (t.width.base + t.width.spread + 2 * t.wallMargin > W) {
+    errors.push(`${path}: the widest platform plus twice wallMargin is more than the ${W}px screen`);
+  }
+  atLeast(t.speed.base, 0, "speed.base");
+  atLeast(t.speed.rise, 0, "speed.rise");
+  atLeast(t.speed.maxRise, 0, "speed.maxRise");
+
+  let total = 0;
+  for (const [kind, c] of Object.entries(t.kinds)) {
+    atLeast(c.from, 0, `kinds.${kind}.from`);
+    atLeast(c.rate, 0, `kinds.${kind}.rate`);
+    if (!(c.max >= 0 && c.max <= 1)) errors.push(`${path}.kinds.${kind}.max must be between 0 and 1, got ${c.max}`);
+    total += c.max;
+  }
+  if (total > 1) errors.push(`${path}.kinds: the max chances add up to ${total.toFixed(2)}, more than 1`);
+
+  atLeast(t.xp.climb, 0, "xp.climb");
+  atLeast(t.xp.perfect, 0, "xp.perfect");
+  atLeast(t.xp.decay, 0, "xp.decay");
+
+  if (t.stageXp.length !== STAGES.length) {
+    errors.push(`${path}.stageXp must list ${STAGES.length} values, one per stage, got ${t.stageXp.length}`);
+  } else if (t.stageXp[0] !== 0) {
+    errors.push(`${path}.stageXp must start at 0`);
+  } else if (!t.stageXp.every((xp, i) => typeof xp === "number" && (i === 0 || xp > t.stageXp[i - 1]))) {
+    errors.push(`${path}.stageXp must be increasing numbers`);
+  }
+
+  t.enemies.forEach((band, i) => {
+    const at = `enemies[${i}]`;
+    if (!isRecord(band) || typeof band.from !== "number" || typeof band.interval !== "number" || !isRecord(band.weights)) {
+      errors.push(`${path}.${at} must be { from, interval, weights }`);
+      return;
+    }
+    if (i > 0 && !(band.from > t.enemies[i - 1].from)) errors.push(`${path}.${at}.from must be above the previous band's`);
+    positive(band.interval, `${at}.interval`);
+    const weights = Object.entries(band.weights);
+    for (const [kind, w] of weights) {
+      if (!(kind in ENEMY_TYPES)) errors.push(`${path}.${at}.weights.${kind} is not an enemy (${Object.keys(ENEMY_TYPES).join(", ")})`);
+      else if (typeof w !== "number" || !(w >= 0)) errors.push(`${path}.${at}.weights.${kind} must be a number of at least 0`);
+    }
+    if (!weights.some(([, w]) => typeof w === "number" && w > 0)) errors.push(`${path}.${at}.weights needs at least one weight above 0`);
+  });
+  return errors;
+}
+
+/**
+ * Applies a designer override to `base`. Returns the result and everything
+ * wrong with the patch; callers should ignore the result when there are
+ * errors, since skipped values can leave it half applied.
+ */
+export function applyTuningPatch(base: Tuning, patch: unknown, path: string) {
+  const errors: string[] = [];
+  const tuning = merge(base, patch, path, errors) as Tuning;
+  errors.push(...validateTuning(tuning, path));
+  return { tuning, errors };
+}
+
+/**
+ * Reads an override file: an object with any of `easy`, `normal` and
+ * `hard`, each holding only the values to change, e.g.
+ * `{ "hard": { "gravity": 0.3, "xp": { "decay": 0.015 } } }`.
+ * Any error rejects the whole file so a typo never ships half a balance.
+ */
+export function parseTuningOverride(data: unknown): { presets: Record<Difficulty, Tuning>; errors: string[] } {
+  if (!isRecord(data)) return { presets: TUNING_PRESETS, errors: ["tuning override must be a JSON object"] };
+  const presets = { ...TUNING_PRESETS };
+  const errors: string[] = [];
+  for (const key of Object.keys(data)) {
+    if (!isDifficulty(key)) {
+      errors.push(`${key} is not a difficulty (${DIFFICULTIES.join(", ")})`);
+      continue;
+    }
+    const result = applyTuningPatch(TUNING_PRESETS[key], data[key], key);
+    presets[key] = result.tuning;
+    errors.push(...result.errors);
+  }
+  return { presets: errors.length ? TUNING_PRESETS : presets, errors };
+}
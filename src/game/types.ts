@@ -0,0 +1,222 @@
+import type { RngStreams } from "./random";
+import type { Difficulty, Tuning } from "./tuning";
+
+export type PlatformKind = "normal" | "timed" | "fragile" | "bouncy" | "ice" | "conveyor" | "blinking" | "oscillating";
+
+export interface Platform {
+  x: number;
+  y: number;
+  prevX: number;
+  prevY: number;
+  /** Rest height; `y` only differs from it while the platform oscillates. */
+  baseY: number;
+  w: number;
+  h: number;
+  speed: number;
+  hue: number;
+  type: PlatformKind;
+  timer: number;
+  phase: number;
+  /** Conveyor push applied to a standing egg, in px per tick. */
+  belt: number;
+  landed: boolean;
+  removing: boolean;
+}
+
+export interface Particle {
+  x: number;
+  y: number;
+  vx: number;
+  vy: number;
+  life: number;
+  maxLife: number;
+  size: number;
+  hue: number;
+}
+
+export type EnemyKind = "bird" | "sine" | "hawk" | "cloud";
+
+export interface Enemy {
+  kind: EnemyKind;
+  x: number;
+  y: number;
+  prevX: number;
+  prevY: number;
+  vx: number;
+  vy: number;
+  /** Flight line the sine flyer weaves around. */
+  baseY: number;
+  frame: number;
+  /** The hawk's telegraph, the cloud's remaining life. */
+  timer: number;
+  dead: boolean;
+}
+
+export interface LandingFx {
+  y: number;
+  x: number;
+  timer: number;
+  text: string;
+}
+
+export interface Egg {
+  x: number;
+  y: number;
+  prevX: number;
+  prevY: number;
+  vx: number;
+  vy: number;
+  onPlatform: Platform | null;
+}
+
+export type PowerUpKind = "spring" | "shield" | "magnet" | "slowmo";
+
+/** A collectible floating in the world, waiting to be picked up. */
+export interface Item {
+  x: number;
+  y: number;
+  kind: PowerUpKind;
+  phase: number;
+}
+
+/** A collected power-up; it wears off when `timer` reaches zero. */
+export interface ActivePowerUp {
+  kind: PowerUpKind;
+  timer: number;
+}
+
+export type AbilityKind = "nudge" | "doubleJump" | "groundPound" | "glide" | "fireBreath" | "rebirth";
+
+export interface ClimbStep {
+  x: number;
+  y: number;
+  w: number;
+  type: PlatformKind;
+}
+
+/** `fallen` holds the run on the continue offer between the fall and game over. */
+export type GamePhase = "idle" | "charging" | "jumping" | "fallen" | "gameover";
+
+export type GameMode = "classic" | "daily" | "practice" | "timeAttack" | "versus";
+
+export type BiomeKind = "farm" | "clouds" | "storm" | "stratosphere" | "space";
+
+export interface GameState {
+  state: GamePhase;
+  paused: boolean;
+  resumeTimer: number;
+  mode: GameMode;
+  difficulty: Difficulty;
+  tuning: Tuning;
+  seed: number;
+  rng: RngStreams;
+  egg: Egg;
+  platforms: Platform[];
+  camera: { y: number; prevY: number };
+  power: { value: number; dir: number; speed: number };
+  score: number;
+  highScore: number;
+  xp: number;
+  xpDecayTimer: number;
+  stageIdx: number;
+  prevStageIdx: number;
+  maxStageIdx: number;
+  jumps: number;
+  perfects: number;
+  particles: Particle[];
+  enemies: Enemy[];
+  enemyTimer: number;
+  items: Item[];
+  powerUps: ActivePowerUp[];
+  /** Whether the jump button is currently held down. */
+  holding: boolean;
+  /** Air abilities used since the egg last stood on a platform. */
+  airUses: number;
+  abilityCooldown: number;
+  rebirthUsed: boolean;
+  /** Continue offers left this run. */
+  continues: number;
+  /** Ticks left on the continue offer while `fallen`. */
+  reviveTimer: number;
+  /** The host is showing its revive gate, so the offer countdown is on hold. */
+  reviveWaiting: boolean;
+  /** Ticks left during which enemies pass through the egg. */
+  invulnerable: number;
+  /** Index into `BIOMES` of the highest zone reached. */
+  biomeIdx: number;
+  /** Ticks left on the zone banner. */
+  biomeBanner: number;
+  perfectFlash: number;
+  evolveFlash: number;
+  landingFx: LandingFx | null;
+  /** Time attack finish height in meters; 0 in every other mode. */
+  target: number;
+  /** Ticks since the first charge of a time attack. */
+  clock: number;
+  /** Clock at each time attack checkpoint reached so far. */
+  splits: number[];
+  finished: boolean;
+  /** The platform the egg last landed on, where a practice rewind returns to. */
+  checkpoint: Platform;
+  heightReached: number;
+  highestPlatformY: number;
+  platformIndex: number;
+  climb: ClimbStep[];
+}
+
+export interface GameConfig {
+  highScore?: number;
+  mode?: GameMode;
+  seed?: number;
+  difficulty?: Difficulty;
+  /** Finish height for time attack runs. */
+  target?: number;
+  /** Overrides the difficulty's preset, e.g. with a designer's rebalance. */
+  tuning?: Tuning;
+  /** Continue offers per run. Defaults to one. */
+  continues?: number;
+}
+
+/**
+ * Answers to the continue offer. `wait` holds the countdown while the host
+ * decides, `accept` respawns the egg, `resume` restarts the countdown after
+ * the host declined.
+ */
+export type ReviveAction = "wait" | "accept" | "resume";
+
+export interface GameInput {
+  press?: boolean;
+  release?: boolean;
+  /** Which half of the screen the press came from: -1 left, 1 right. */
+  side?: number;
+  revive?: ReviveAction;
+  /** Back to the last platform after a practice fall. */
+  rewind?: boolean;
+}
+
+export type GameEvent =
+  | { type: "chargeStart" }
+  | { type: "jump"; power: number; perfect: boolean }
+  | { type: "platformBreak"; platform: Platform }
+  | { type: "platformExpire"; platform: Platform }
+  | { type: "timedTick"; platform: Platform; secondsLeft: number }
+  | { type: "land"; platform: Platform; xpGain: number; score: number }
+  | { type: "bounce"; platform: Platform }
+  | { type: "stageChange"; from: number; to: number }
+  | { type: "biomeChange"; from: number; to: number }
+  | { type: "enemyHit"; enemy: Enemy }
+  | { type: "shieldBlock"; enemy: Enemy }
+  | { type: "enemyScorched"; enemy: Enemy }
+  | { type: "ability"; kind: AbilityKind }
+  | { type: "powerUp"; kind: PowerUpKind }
+  | { type: "powerUpEnd"; kind: PowerUpKind }
+  | { type: "reviveOffer" }
+  | { type: "reviveTick"; secondsLeft: number }
+  | { type: "revive" }
+  | { type: "fall" }
+  | { type: "split"; index: number; ticks: number }
+  | { type: "finish"; ticks: number }
+  | { type: "rewind" }
+  | { type: "timeUp" }
+  | { type: "gameOver"; score: number; highScore: number; newBest: boolean }
+  | { type: "resume" };
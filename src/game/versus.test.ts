@@ -0,0 +1,85 @@
+import { describe, expect, it } from "vitest";
+import { endGame } from "./engine";
+import { createMatch, formatClock, matchOver, matchWinner, pauseMatch, resumeMatch, stepMatch } from "./versus";
+import type { GameEvent } from "./types";
+
+/** A short match with player 1 holding a charge from the first tick. */
+function started(limit: number) {
+  const m = createMatch({ seed: 1 });
+  m.limit = limit;
+  stepMatch(m, [{ press: true }]);
+  return m;
+}
+
+function run(m: ReturnType<typeof createMatch>, ticks: number) {
+  const events: GameEvent[][] = [[], []];
+  for (let i = 0; i < ticks; i++) stepMatch(m, []).forEach((ev, p) => events[p].push(...ev));
+  return events;
+}
+
+describe("match clock", () => {
+  it("waits for the first charge", () => {
+    const m = createMatch({ seed: 1 });
+    run(m, 100);
+    expect(m.clock).toBe(0);
+    expect(formatClock(m)).toBe("1:30");
+  });
+
+  it("stands still while the match is paused", () => {
+    const m = started(600);
+    run(m, 10);
+    expect(pauseMatch(m)).toBe(true);
+    run(m, 100);
+    expect(m.clock).toBe(10);
+    resumeMatch(m);
+    run(m, 300);
+    stepMatch(m, [{ press: true }]);
+    run(m, 10);
+    expect(m.clock).toBeGreaterThan(10);
+  });
+});
+
+describe("time up", () => {
+  it("stops every player still climbing", () => {
+    const m = started(60);
+    const events = run(m, 60);
+    expect(m.clock).toBe(60);
+    expect(matchOver(m)).toBe(true);
+    for (const ev of events) {
+      expect(ev.filter((e) => e.type === "timeUp")).toHaveLength(1);
+      expect(ev.some((e) => e.type === "gameOver")).toBe(true);
+    }
+    expect(formatClock(m)).toBe("0:00");
+  });
+
+  it("leaves a player who already fell alone", () => {
+    const m = started(60);
+    endGame(m.players[1], []);
+    const events = run(m, 60);
+    expect(events[0].some((e) => e.type === "timeUp")).toBe(true);
+    expect(events[1]).toEqual([]);
+  });
+
+  it("is not over while one player is still in", () => {
+    const m = started(600);
+    endGame(m.players[1], []);
+    run(m, 10);
+    expect(matchOver(m)).toBe(false);
+  });
+});
+
+describe("matchWinner", () => {
+  it("picks the higher climber", () => {
+    const m = createMatch({ seed: 1 });
+    m.players[0].score = 40;
+    m.players[1].score = 55;
+    expect(matchWinner(m)).toBe(1);
+  });
+
+  it("calls a tie a draw", () => {
+    const m = createMatch({ seed: 1 });
+    m.players[0].score = 40;
+    m.players[1].score = 40;
+    expect(matchWinner(m)).toBeNull();
+  });
+});
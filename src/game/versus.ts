@@ -0,0 +1,129 @@
+import { W, H } from "./constants";
+import { createGame, endGame, isRunning, pauseGame, resumeGame, step } from "./engine";
+import { randomSeed } from "./random";
+import type { GameConfig, GameEvent, GameInput, GameState } from "./types";
+
+export const VERSUS_PLAYERS = 2;
+/** A match is called after 90 seconds of play. */
+export const VERSUS_TICKS = 90 * 60;
+export const PLAYER_COLORS = ["#60a5fa", "#f472b6"];
+
+/** Two eggs climbing copies of the same tower side by side. */
+export interface Match {
+  players: GameState[];
+  /** Ticks played since the first charge of either player. */
+  clock: number;
+  limit: number;
+}
+
+/** Every player gets the same seed and tuning, and no continues. */
+export function createMatch(config: GameConfig = {}): Match {
+  const seed = config.seed ?? randomSeed();
+  const players: GameState[] = [];
+  for (let i = 0; i < VERSUS_PLAYERS; i++) {
+    players.push(createGame({ ...config, mode: "versus", seed, continues: 0, highScore: 0 }));
+  }
+  return { players, clock: 0, limit: VERSUS_TICKS };
+}
+
+export function matchOver(m: Match) {
+  return m.players.every((p) => p.state === "gameover");
+}
+
+export function matchPaused(m: Match) {
+  return m.players.some((p) => p.paused);
+}
+
+/** Pauses every player still in. Returns false when nobody was. */
+export function pauseMatch(m: Match) {
+  let paused = false;
+  for (const p of m.players) paused = pauseGame(p) || paused;
+  return paused;
+}
+
+export function resumeMatch(m: Match) {
+  for (const p of m.players) resumeGame(p);
+}
+
+/**
+ * Steps every player with their own input and returns their events in
+ * player order. When time runs out, whoever is still climbing is stopped
+ * where they stand.
+ */
+export function stepMatch(m: Match, inputs: GameInput[], dt = 1): GameEvent[][] {
+  const started = m.players.some((p) => p.jumps > 0 || p.state === "charging");
+  if (started && m.players.some(isRunning)) m.clock += dt;
+  const events = m.players.map((p, i) => step(p, inputs[i] ?? {}, dt));
+  if (m.clock >= m.limit) {
+    m.players.forEach((p, i) => {
+      if (p.state === "gameover") return;
+      events[i].push({ type: "timeUp" });
+      endGame(p, events[i]);
+    });
+  }
+  return events;
+}
+
+/** Index of the higher climber, or null for a draw. */
+export function matchWinner(m: Match) {
+  const best = Math.max(...m.players.map((p) => p.score));
+  const leaders = m.players.filter((p) => p.score === best);
+  return leaders.length === 1 ? m.players.indexOf(leaders[0]) : null;
+}
+
+/** The player whose charge and music the single audio channel should follow. */
+export function leadPlayer(m: Match) {
+  return m.players.find((p) => p.state === "charging")
+    ?? m.players.find((p) => p.state !== "gameover")
+    ?? m.players[0];
+}
+
+/** Seconds left in the match as `m:ss`. */
+export function formatClock(m: Match) {
+  const secs = Math.max(0, Math.ceil((m.limit - m.clock) / 60));
+  return `${Math.floor(secs / 60)}:${String(secs % 60).padStart(2, "0")}`;
+}
+
+/** The divider and a tag over each half, in full canvas units. */
+export function drawVersusHud(ctx: CanvasRenderingContext2D, m: Match, top: number, hud: number) {
+  ctx.save();
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(W / 2 - 1, -top, 2, H + top);
+  ctx.font = `bold ${11 * hud}px monospace`;
+  ctx.textAlign = "left";
+  for (let i = 0; i < m.players.length; i++) {
+    ctx.fillStyle = PLAYER_COLORS[i];
+    ctx.fillText(`P${i + 1}`, 8 + (i * W) / 2, 44 - top);
+  }
+  ctx.restore();
+}
+
+/** The result over both halves once every player is out. */
+export function drawVersusResults(ctx: CanvasRenderingContext2D, m: Match, top: number, hud: number) {
+  const winner = matchWinner(m);
+  const cy = (H - top) / 2;
+  ctx.save();
+  ctx.fillStyle = "rgba(0,0,0,0.6)";
+  ctx.fillRect(0, -top, W, H + top);
+  ctx.textAlign = "center";
+
+  ctx.fillStyle = winner === null ? "#fff" : PLAYER_COLORS[winner];
+  ctx.font = "bold 28px monospace";
+  ctx.fillText(winner === null ? "DRAW" : `P${winner + 1} WINS!`, W / 2, cy - 30);
+
+  ctx.font = "bold 16px monospace";
+  m.players.forEach((p, i) => {
+    ctx.fillStyle = PLAYER_COLORS[i];
+    ctx.fillText(`P${i + 1} ${p.score}m`, W / 4 + (i * W) / 2, cy + 10);
+  });
+
+  if (m.clock >= m.limit) {
+    ctx.fillStyle = "rgba(255,255,255,0.45)";
+    ctx.font = `${11 * hud}px monospace`;
+    ctx.fillText("TIME UP", W / 2, cy + 36);
+  }
+  ctx.fillStyle = "rgba(255,255,255,0.5)";
+  ctx.font = `${12 * hud}px monospace`;
+  ctx.fillText("TAP or SPACE for a rematch", W / 2, cy + 64);
+  ctx.restore();
+}
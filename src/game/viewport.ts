@@ -0,0 +1,42 @@
+import { W, H } from "./constants";
+
+/** How much extra sky a tall screen may reveal above the play field, in world px. */
+const MAX_TOP = 200;
+/** Upper bound on HUD text enlargement when the field is scaled down. */
+const MAX_HUD_SCALE = 1.5;
+
+/**
+ * Maps the fixed W x H play field onto the space available on screen. The
+ * simulation never sees this: the field is scaled uniformly to fit, and any
+ * leftover height on tall screens shows more of the tower above it instead
+ * of empty bars.
+ */
+export interface Viewport {
+  /** CSS size of the canvas. */
+  width: number;
+  height: number;
+  dpr: number;
+  /** CSS px per world px. */
+  scale: number;
+  /** Extra world px visible above the play field. */
+  top: number;
+  /** Font multiplier that keeps HUD text at least its nominal CSS size. */
+  hud: number;
+}
+
+export function fitViewport(availW: number, availH: number, dpr = window.devicePixelRatio || 1): Viewport {
+  const scale = Math.max(0.25, Math.min(availW / W, availH / H));
+  const top = Math.min(MAX_TOP, Math.max(0, Math.floor(availH / scale - H)));
+  return {
+    width: Math.floor(W * scale),
+    height: Math.floor((H + top) * scale),
+    dpr,
+    scale,
+    top,
+    hud: Math.min(MAX_HUD_SCALE, Math.max(1, 1 / scale)),
+  };
+}
+
+export function sameViewport(a: Viewport | null, b: Viewport) {
+  return !!a && a.width === b.width && a.height === b.height && a.dpr === b.dpr;
+}
@@ -0,0 +1,40 @@
+import { isTossApp } from "../platform/toss";
+import { createMockLeaderboard } from "./mock";
+import { createTossLeaderboard } from "./toss";
+
+export interface LeaderboardEntry {
+  name: string;
+  score: number;
+  stageIdx: number;
+  isMe: boolean;
+}
+
+export interface LeaderboardBackend {
+  submitScore(score: number, stageIdx: number): Promise<void>;
+  fetchTop(n: number): Promise<LeaderboardEntry[]>;
+  fetchMyRank(): Promise<number | null>;
+  /** Opens the host's own leaderboard screen, where one exists. */
+  open?(): Promise<void>;
+}
+
+export interface LeaderboardView {
+  top: LeaderboardEntry[];
+  myRank: number | null;
+  loading: boolean;
+}
+
+export function getLeaderboardBackend(): LeaderboardBackend {
+  if (isTossApp()) return createTossLeaderboard();
+  let storage: Storage | null = null;
+  try {
+    storage = window.localStorage;
+  } catch {
+    storage = null;
+  }
+  return createMockLeaderboard(storage);
+}
+
+export async function loadLeaderboardView(backend: LeaderboardBackend, n = 5): Promise<LeaderboardView> {
+  const [top, myRank] = await Promise.all([backend.fetchTop(n), backend.fetchMyRank()]);
+  return { top, myRank, loading: false };
+}
@@ -0,0 +1,50 @@
+import { describe, expect, it } from "vitest";
+import { loadLeaderboardView } from "./leaderboard";
+import { createMockLeaderboard } from "./mock";
+
+function memoryStorage() {
+  const items = new Map<string, string>();
+  return {
+    getItem: (key: string) => items.get(key) ?? null,
+    setItem: (key: string, value: string) => void items.set(key, value),
+  };
+}
+
+describe("mock leaderboard", () => {
+  it("has no rank for the player before a score is sent", async () => {
+    const board = createMockLeaderboard(null);
+    expect(await board.fetchMyRank()).toBeNull();
+    expect((await board.fetchTop(10)).some((e) => e.isMe)).toBe(false);
+  });
+
+  it("ranks the player's score among the rivals", async () => {
+    const board = createMockLeaderboard(null);
+    await board.submitScore(100, 3);
+    const top = await board.fetchTop(10);
+    expect(top.map((e) => e.score)).toEqual([312, 214, 158, 100, 96, 41, 12]);
+    expect(top[3]).toMatchObject({ score: 100, stageIdx: 3, isMe: true });
+    expect(await board.fetchMyRank()).toBe(4);
+  });
+
+  it("keeps only the best score", async () => {
+    const board = createMockLeaderboard(null);
+    await board.submitScore(100, 3);
+    await board.submitScore(50, 2);
+    expect((await board.fetchTop(10)).find((e) => e.isMe)).toMatchObject({ score: 100, stageIdx: 3 });
+  });
+
+  it("puts the player ahead of a rival on a tie", async () => {
+    const board = createMockLeaderboard(null);
+    await board.submitScore(158, 4);
+    expect(await board.fetchMyRank()).toBe(3);
+  });
+
+  it("remembers the best across boards sharing a storage", async () => {
+    const storage = memoryStorage();
+    await createMockLeaderboard(storage).submitScore(400, 7);
+    const view = await loadLeaderboardView(createMockLeaderboard(storage), 3);
+    expect(view.myRank).toBe(1);
+    expect(view.top).toHaveLength(3);
+    expect(view.top[0]).toMatchObject({ score: 400, isMe: true });
+  });
+});
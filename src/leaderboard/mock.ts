@@ -0,0 +1,65 @@
+import type { LeaderboardBackend, LeaderboardEntry } from "./leaderboard";
+
+const KEY = "jump-egg:mock-leaderboard";
+
+const RIVALS: Omit<LeaderboardEntry, "isMe">[] = [
+  { name: "\uAF2C\uAF2C\uB300\uC7A5", score: 312, stageIdx: 6 },
+  { name: "\uD558\uB298\uBCD1\uC544\uB9AC", score: 214, stageIdx: 5 },
+  { name: "\uC810\uD504\uC655", score: 158, stageIdx: 4 },
+  { name: "\uB2EC\uAC40\uD504\uB77C\uC774", score: 96, stageIdx: 3 },
+  { name: "\uC0B6\uC740\uACC4\uB780", score: 41, stageIdx: 2 },
+  { name: "\uB178\uB978\uC790", score: 12, stageIdx: 1 },
+];
+
+interface MyBest {
+  score: number;
+  stageIdx: number;
+}
+
+/**
+ * Development stand-in for a real leaderboard: a fixed set of rivals plus the
+ * local player's best. Pass `null` to keep everything in memory (tests).
+ */
+export function createMockLeaderboard(storage: Pick<Storage, "getItem" | "setItem"> | null): LeaderboardBackend {
+  let memory: MyBest | null = null;
+
+  function readMine(): MyBest | null {
+    if (!storage) return memory;
+    try {
+      const raw = storage.getItem(KEY);
+      return raw ? (JSON.parse(raw) as MyBest) : null;
+    } catch {
+      return null;
+    }
+  }
+
+  function writeMine(best: MyBest) {
+    memory = best;
+    try {
+      storage?.setItem(KEY, JSON.stringify(best));
+    } catch {
+      // fall back to the in-memory copy
+    }
+  }
+
+  function ranked(): LeaderboardEntry[] {
+    const entries: LeaderboardEntry[] = RIVALS.map((r) => ({ ...r, isMe: false }));
+    const mine = readMine();
+    if (mine) entries.push({ name: "\uB098", score: mine.score, stageIdx: mine.stageIdx, isMe: true });
+    return entries.sort((a, b) => b.score - a.score || Number(b.isMe) - Number(a.isMe));
+  }
+
+  return {
+    async submitScore(score, stageIdx) {
+      const mine = readMine();
+      if (!mine || score > mine.score) writeMine({ score, stageIdx });
+    },
+    async fetchTop(n) {
+      return ranked().slice(0, n);
+    },
+    async fetchMyRank() {
+      const idx = ranked().findIndex((e) => e.isMe);
+      return idx < 0 ? null : idx + 1;
+    },
+  };
+}
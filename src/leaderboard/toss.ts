@@ -0,0 +1,25 @@
+import { openGameCenterLeaderboard, submitGameCenterLeaderBoardScore } from "@apps-in-toss/web-framework";
+import type { LeaderboardBackend } from "./leaderboard";
+
+/**
+ * Toss game center. The bridge accepts scores and can open the native
+ * leaderboard, but does not expose rankings to the WebView, so the in-game
+ * list stays empty and points players at `open()` instead.
+ */
+export function createTossLeaderboard(): LeaderboardBackend {
+  return {
+    async submitScore(score) {
+      const res = await submitGameCenterLeaderBoardScore({ score: String(score) });
+      if (res && res.statusCode !== "SUCCESS") {
+        throw new Error(`Leaderboard submit failed: ${res.statusCode}`);
+      }
+    },
+    async fetchTop() {
+      return [];
+    },
+    async fetchMyRank() {
+      return null;
+    },
+    open: () => openGameCenterLeaderboard(),
+  };
+}
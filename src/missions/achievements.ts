@@ -0,0 +1,23 @@
+import type { LifetimeStats } from "../storage/save";
+import type { RunStats } from "./missions";
+
+export interface AchievementDef {
+  id: string;
+  icon: string;
+  text: string;
+  /** `stats` are the lifetime totals from before the run in flight. */
+  check: (run: RunStats, stats: LifetimeStats, missionsDone: number) => boolean;
+}
+
+/** Permanent unlocks, listed in the order they are shown. */
+export const ACHIEVEMENTS: AchievementDef[] = [
+  { id: "first50", icon: "\u{1F331}", text: "\uCCAB 50m", check: (r) => r.score >= 50 },
+  { id: "sky200", icon: "\u2601", text: "200m \uB3CC\uD30C", check: (r) => r.score >= 200 },
+  { id: "space400", icon: "\u{1F680}", text: "400m \uB3CC\uD30C", check: (r) => r.score >= 400 },
+  { id: "phoenix", icon: "\u{1F525}", text: "\uD53C\uB2C9\uC2A4 \uC9C4\uD654", check: (r) => r.maxStage >= 6 },
+  { id: "untouched", icon: "\u{1F6E1}", text: "\uC801\uC5D0\uAC8C \uB9DE\uC9C0 \uC54A\uACE0 150m", check: (r) => r.hits === 0 && r.score >= 150 },
+  { id: "comeback", icon: "\u2764", text: "\uC774\uC5B4\uD558\uAE30 \uD6C4 \uCD5C\uACE0 \uAE30\uB85D", check: (r, s) => r.revived && r.score > s.bestHeight && s.bestHeight > 0 },
+  { id: "perfect100", icon: "\u{1F4AF}", text: "PERFECT \uB204\uC801 100\uBC88", check: (r, s) => s.totalPerfects + r.perfects >= 100 },
+  { id: "jumps1000", icon: "\u{1F95A}", text: "\uC810\uD504 \uB204\uC801 1000\uBC88", check: (r, s) => s.totalJumps + r.jumps >= 1000 },
+  { id: "missions10", icon: "\u{1F3C5}", text: "\uBBF8\uC158 10\uAC1C \uC644\uB8CC", check: (_r, _s, done) => done >= 10 },
+];
@@ -0,0 +1,255 @@
+import type { GameEvent, GameState } from "../game/types";
+import type { LifetimeStats } from "../storage/save";
+import { ACHIEVEMENTS } from "./achievements";
+
+/** What the current run has done so far, folded from its events. */
+export interface RunStats {
+  score: number;
+  maxStage: number;
+  jumps: number;
+  perfects: number;
+  hits: number;
+  fragileUsed: boolean;
+  timedHeld: boolean;
+  powerUps: number;
+  bounces: number;
+  abilities: number;
+  revived: boolean;
+}
+
+export interface MissionDef {
+  id: string;
+  icon: string;
+  text: string;
+  goal: number;
+  /** `run` missions must be done within one run, `total` ones add up across runs. */
+  scope: "run" | "total";
+  value: (run: RunStats) => number;
+}
+
+/** The rotation order. Three are active at a time; a completed one makes room for the next. */
+export const MISSIONS: MissionDef[] = [
+  { id: "perfect5", icon: "\u2728", text: "\uD55C \uD310\uC5D0 PERFECT 5\uBC88", goal: 5, scope: "run", value: (r) => r.perfects },
+  { id: "clean100", icon: "\u{1F494}", text: "\uC77C\uD68C\uC6A9 \uBC1C\uD310 \uC5C6\uC774 100m", goal: 100, scope: "run", value: (r) => (r.fragileUsed ? 0 : r.score) },
+  { id: "eagle", icon: "\u{1F985}", text: "\uB3C5\uC218\uB9AC\uAE4C\uC9C0 \uC9C4\uD654", goal: 1, scope: "run", value: (r) => (r.maxStage >= 4 ? 1 : 0) },
+  { id: "birds3", icon: "\u{1F426}", text: "\uD55C \uD310\uC5D0 \uC801\uC5D0\uAC8C 3\uBC88 \uB9DE\uACE0 \uBC84\uD2F0\uAE30", goal: 3, scope: "run", value: (r) => r.hits },
+  { id: "timed1", icon: "\u23F1", text: "\uC2DC\uD55C\uBD80 \uBC1C\uD310\uC5D0\uC11C 1\uCD08\uAE4C\uC9C0 \uBC84\uD2F0\uAE30", goal: 1, scope: "run", value: (r) => (r.timedHeld ? 1 : 0) },
+  { id: "jumps200", icon: "\u{1F998}", text: "\uC810\uD504 \uB204\uC801 200\uBC88", goal: 200, scope: "total", value: (r) => r.jumps },
+  { id: "height150", icon: "\u{1F4CF}", text: "\uD55C \uD310\uC5D0 150m", goal: 150, scope: "run", value: (r) => r.score },
+  { id: "powerups5", icon: "\u{1F381}", text: "\uD30C\uC6CC\uC5C5 \uB204\uC801 5\uAC1C", goal: 5, scope: "total", value: (r) => r.powerUps },
+  { id: "bounce10", icon: "\u{1F7E2}", text: "\uD1B5\uD1B5 \uBC1C\uD310 \uB204\uC801 10\uBC88", goal: 10, scope: "total", value: (r) => r.bounces },
+  { id: "ability10", icon: "\u{1F300}", text: "\uC9C4\uD654 \uB2A5\uB825 \uB204\uC801 10\uBC88", goal: 10, scope: "total", value: (r) => r.abilities },
+  { id: "perfect30", icon: "\u{1F31F}", text: "PERFECT \uB204\uC801 30\uBC88", goal: 30, scope: "total", value: (r) => r.perfects },
+  { id: "dragon", icon: "\u{1F409}", text: "\uB4DC\uB798\uACE4\uAE4C\uC9C0 \uC9C4\uD654", goal: 1, scope: "run", value: (r) => (r.maxStage >= 5 ? 1 : 0) },
+];
+
+const ACTIVE_COUNT = 3;
+
+/** Mission and achievement progress as stored in the save. */
+export interface MissionSave {
+  /** Ids of the missions on offer, in display order. */
+  active: string[];
+  /** Best single-run value for `run` missions, running total for `total` ones. */
+  progress: Record<string, number>;
+  /** Index into `MISSIONS` the rotation picks the next mission from. */
+  cursor: number;
+  completed: number;
+  /** Ids of unlocked achievements. */
+  achievements: string[];
+}
+
+export interface Toast {
+  icon: string;
+  title: string;
+  text: string;
+  /** `Date.now()` when the toast was raised. */
+  born: number;
+}
+
+export type ShownToast = Toast & { age: number };
+
+/** Tracks one run against the missions and achievements it started with. */
+export interface MissionRun {
+  save: MissionSave;
+  stats: LifetimeStats;
+  run: RunStats;
+  done: string[];
+  unlocked: string[];
+  toasts: Toast[];
+}
+
+const TOAST_MS = 2600;
+
+const byId = new Map(MISSIONS.map((m) => [m.id, m]));
+
+export function missionDef(id: string) {
+  return byId.get(id);
+}
+
+export function defaultMissionSave(): MissionSave {
+  return {
+    active: MISSIONS.slice(0, ACTIVE_COUNT).map((m) => m.id),
+    progress: {},
+    cursor: ACTIVE_COUNT,
+    completed: 0,
+    achievements: [],
+  };
+}
+
+function nextMission(active: string[], cursor: number) {
+  for (let i = 0; i < MISSIONS.length; i++) {
+    const id = MISSIONS[(cursor + i) % MISSIONS.length].id;
+    if (!active.includes(id)) return { id, cursor: (cursor + i + 1) % MISSIONS.length };
+  }
+  return null;
+}
+
+/** Drops unknown ids and tops the active list back up to three. */
+export function sanitizeMissionSave(raw: unknown): MissionSave {
+  if (!raw || typeof raw !== "object") return defaultMissionSave();
+  const data = raw as Partial<MissionSave>;
+  const progress: Record<string, number> = {};
+  for (const [id, value] of Object.entries(data.progress ?? {})) {
+    if (byId.has(id) && typeof value === "number" && Number.isFinite(value)) progress[id] = value;
+  }
+  const active = Array.isArray(data.active)
+    ? [...new Set(data.active.filter((id) => byId.has(id)))].slice(0, ACTIVE_COUNT)
+    : [];
+  let cursor = typeof data.cursor === "number" ? Math.abs(Math.floor(data.cursor)) % MISSIONS.length : 0;
+  while (active.length < ACTIVE_COUNT) {
+    const next = nextMission(active, cursor);
+    if (!next) break;
+    active.push(next.id);
+    cursor = next.cursor;
+  }
+  const achievements = Array.isArray(data.achievements)
+    ? data.achievements.filter((id) => ACHIEVEMENTS.some((a) => a.id === id))
+    : [];
+  return {
+    active,
+    progress,
+    cursor,
+    completed: typeof data.completed === "number" ? Math.max(0, data.completed) : 0,
+    achievements,
+  };
+}
+
+export function createMissionRun(save: MissionSave, stats: LifetimeStats): MissionRun {
+  return {
+    save,
+    stats,
+    run: {
+      score: 0, maxStage: 0, jumps: 0, perfects: 0, hits: 0, fragileUsed: false,
+      timedHeld: false, powerUps: 0, bounces: 0, abilities: 0, revived: false,
+    },
+    done: [],
+    unlocked: [],
+    toasts: [],
+  };
+}
+
+/** Progress toward `def`, counting the run in flight when there is one. */
+export function missionProgress(save: MissionSave, def: MissionDef, run?: RunStats) {
+  const saved = save.progress[def.id] ?? 0;
+  if (!run) return Math.min(def.goal, saved);
+  const value = def.scope === "run" ? Math.max(saved, def.value(run)) : saved + def.value(run);
+  return Math.min(def.goal, value);
+}
+
+function foldEvent(run: RunStats, ev: GameEvent, g: GameState) {
+  switch (ev.type) {
+    case "jump":
+      run.jumps++;
+      if (ev.perfect) run.perfects++;
+      break;
+    case "land":
+      if (ev.platform.type === "fragile") run.fragileUsed = true;
+      break;
+    case "timedTick":
+      if (ev.secondsLeft === 1 && g.egg.onPlatform === ev.platform) run.timedHeld = true;
+      break;
+    case "enemyHit":
+      run.hits++;
+      break;
+    case "powerUp":
+      run.powerUps++;
+      break;
+    case "bounce":
+      run.bounces++;
+      break;
+    case "ability":
+      run.abilities++;
+      break;
+    case "revive":
+      run.revived = true;
+      break;
+  }
+}
+
+/**
+ * Folds one step's events into the run and raises a toast for every mission
+ * or achievement that completes. Returns the new toasts.
+ */
+export function trackMissions(mr: MissionRun, g: GameState, events: GameEvent[], now = Date.now()) {
+  const { run } = mr;
+  for (const ev of events) foldEvent(run, ev, g);
+  run.score = g.score;
+  run.maxStage = Math.max(run.maxStage, g.maxStageIdx);
+
+  const raised: Toast[] = [];
+  for (const id of mr.save.active) {
+    const def = byId.get(id);
+    if (!def || mr.done.includes(id) || missionProgress(mr.save, def, run) < def.goal) continue;
+    mr.done.push(id);
+    raised.push({ icon: def.icon, title: "MISSION CLEAR", text: def.text, born: now });
+  }
+  const missionsDone = mr.save.completed + mr.done.length;
+  for (const a of ACHIEVEMENTS) {
+    if (mr.save.achievements.includes(a.id) || mr.unlocked.includes(a.id)) continue;
+    if (!a.check(run, mr.stats, missionsDone)) continue;
+    mr.unlocked.push(a.id);
+    raised.push({ icon: a.icon, title: "ACHIEVEMENT", text: a.text, born: now });
+  }
+  mr.toasts = mr.toasts.filter((t) => now - t.born < TOAST_MS).concat(raised);
+  return raised;
+}
+
+/** Toasts still on screen at `now`, oldest first, with their age in 0..1. */
+export function visibleToasts(mr: MissionRun, now = Date.now()): ShownToast[] {
+  return mr.toasts
+    .filter((t) => now - t.born < TOAST_MS)
+    .map((t) => ({ ...t, age: (now - t.born) / TOAST_MS }));
+}
+
+/**
+ * Writes the finished run back into the saved progress. Completed missions
+ * rotate out for the next ones in line.
+ */
+export function finishMissionRun(mr: MissionRun): MissionSave {
+  const { save, run } = mr;
+  const progress = { ...save.progress };
+  for (const id of save.active) {
+    const def = byId.get(id);
+    if (def) progress[id] = missionProgress(save, def, run);
+  }
+  let active = save.active.slice();
+  let cursor = save.cursor;
+  for (const id of mr.done) {
+    delete progress[id];
+    const rest = active.filter((other) => other !== id);
+    const next = nextMission(active, cursor);
+    if (next) {
+      active = active.map((other) => (other === id ? next.id : other));
+      cursor = next.cursor;
+    } else {
+      active = rest;
+    }
+  }
+  return {
+    active,
+    progress,
+    cursor,
+    completed: save.completed + mr.done.length,
+    achievements: save.achievements.concat(mr.unlocked),
+  };
+}
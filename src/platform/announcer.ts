@@ -0,0 +1,38 @@
+import { STAGES } from "../game/constants";
+import type { GameEvent } from "../game/types";
+
+/** Heights announced along the way, in meters. */
+export const MILESTONE_EVERY = 50;
+
+/** Screen reader announcements for a run, spoken through an ARIA live region. */
+export interface Announcer {
+  /** The highest milestone announced so far. */
+  milestone: number;
+}
+
+export function createAnnouncer(): Announcer {
+  return { milestone: 0 };
+}
+
+/** What the live region should say for a game event, or null to stay quiet. */
+export function announcementFor(a: Announcer, ev: GameEvent): string | null {
+  switch (ev.type) {
+    case "land": {
+      const parts: string[] = [];
+      const milestone = Math.floor(ev.score / MILESTONE_EVERY) * MILESTONE_EVERY;
+      if (milestone > a.milestone) {
+        a.milestone = milestone;
+        parts.push(`${milestone}m \uB3CC\uD30C`);
+      }
+      if (ev.platform.type === "timed") parts.push(`\uC2DC\uD55C\uBD80 \uBC1C\uD310 ${Math.ceil(ev.platform.timer / 60)}\uCD08`);
+      else if (ev.platform.type === "fragile") parts.push("\uC77C\uD68C\uC6A9 \uBC1C\uD310");
+      return parts.length ? parts.join(", ") : null;
+    }
+    case "stageChange":
+      return ev.to > ev.from ? `\uC9C4\uD654! ${STAGES[ev.to].name}` : null;
+    case "gameOver":
+      return `\uAC8C\uC784 \uC624\uBC84, ${ev.score}m${ev.newBest ? ", \uCD5C\uACE0 \uAE30\uB85D" : ""}. \uB204\uB974\uBA74 \uB2E4\uC2DC \uC2DC\uC791`;
+    default:
+      return null;
+  }
+}
@@ -0,0 +1,56 @@
+import { generateHapticFeedback } from "@apps-in-toss/web-framework";
+import type { HapticFeedbackType } from "@apps-in-toss/web-framework";
+import type { GameEvent } from "../game/types";
+import { isTossApp } from "./toss";
+
+export interface Haptics {
+  enabled: boolean;
+  supported: boolean;
+}
+
+export function createHaptics(enabled: boolean): Haptics {
+  return { enabled, supported: isTossApp() };
+}
+
+function feedbackFor(ev: GameEvent): HapticFeedbackType | null {
+  switch (ev.type) {
+    case "chargeStart":
+      return "tickWeak";
+    case "jump":
+      return ev.perfect ? "basicMedium" : null;
+    case "land":
+      return "tap";
+    case "bounce":
+      return "tickMedium";
+    case "enemyHit":
+      return "error";
+    case "shieldBlock":
+      return "wiggle";
+    case "powerUp":
+      return "success";
+    case "enemyScorched":
+      return "softMedium";
+    case "ability":
+      return ev.kind === "rebirth" ? "confetti" : ev.kind === "groundPound" ? "basicMedium" : "tickWeak";
+    case "reviveTick":
+      return "tickWeak";
+    case "revive":
+      return "success";
+    case "rewind":
+      return "tickWeak";
+    case "stageChange":
+      return ev.to > ev.from ? "confetti" : null;
+    default:
+      return null;
+  }
+}
+
+/** Plays the haptic for a game event. Outside the Toss app this is a no-op. */
+export function hapticForEvent(h: Haptics, ev: GameEvent) {
+  if (!h.enabled || !h.supported) return;
+  const type = feedbackFor(ev);
+  if (!type) return;
+  generateHapticFeedback({ type }).catch(() => {
+    h.supported = false;
+  });
+}
@@ -0,0 +1,41 @@
+import { graniteEvent, onVisibilityChangedByTransparentServiceWeb } from "@apps-in-toss/web-framework";
+import { isTossApp } from "./toss";
+
+export interface LifecycleHandlers {
+  onBackground: () => void;
+  onBack: () => void;
+}
+
+/**
+ * Reports when the game leaves the foreground: the tab is hidden, the window
+ * loses focus, or (inside Toss) the app goes to the background or the
+ * hardware back button is pressed. Returns an unsubscribe function.
+ */
+export function subscribeLifecycle({ onBackground, onBack }: LifecycleHandlers) {
+  const cleanups: (() => void)[] = [];
+
+  function onVisibility() {
+    if (document.hidden) onBackground();
+  }
+  document.addEventListener("visibilitychange", onVisibility);
+  window.addEventListener("blur", onBackground);
+  cleanups.push(() => {
+    document.removeEventListener("visibilitychange", onVisibility);
+    window.removeEventListener("blur", onBackground);
+  });
+
+  if (isTossApp()) {
+    try {
+      cleanups.push(graniteEvent.addEventListener("backEvent", { onEvent: onBack }));
+      cleanups.push(onVisibilityChangedByTransparentServiceWeb({
+        options: { callbackId: "jump-egg-lifecycle" },
+        onEvent: (isVisible) => { if (!isVisible) onBackground(); },
+        onError: () => {},
+      }));
+    } catch {
+      // older Toss builds without these bridges still get the DOM events above
+    }
+  }
+
+  return () => cleanups.forEach((cleanup) => cleanup());
+}
@@ -0,0 +1,14 @@
+const QUERY = "(prefers-reduced-motion: reduce)";
+
+/**
+ * Reports the device's reduce-motion preference now and whenever the
+ * player changes it. Returns an unsubscribe function.
+ */
+export function subscribeReducedMotion(onChange: (reduce: boolean) => void) {
+  if (typeof window.matchMedia !== "function") return () => {};
+  const query = window.matchMedia(QUERY);
+  const listener = () => onChange(query.matches);
+  onChange(query.matches);
+  query.addEventListener("change", listener);
+  return () => query.removeEventListener("change", listener);
+}
@@ -0,0 +1,31 @@
+import { SafeAreaInsets } from "@apps-in-toss/web-framework";
+import { isTossApp } from "./toss";
+
+export interface Insets {
+  top: number;
+  right: number;
+  bottom: number;
+  left: number;
+}
+
+export const NO_INSETS: Insets = { top: 0, right: 0, bottom: 0, left: 0 };
+
+/**
+ * Reports the notch and home-indicator insets from the Toss bridge. Browsers
+ * expose these through CSS `env(safe-area-inset-*)` instead, so outside Toss
+ * this only ever reports zeros. Returns an unsubscribe function.
+ */
+export function subscribeSafeArea(onChange: (insets: Insets) => void) {
+  if (!isTossApp()) return () => {};
+  try {
+    onChange(SafeAreaInsets.get());
+    return SafeAreaInsets.subscribe({ onEvent: onChange });
+  } catch {
+    return () => {};
+  }
+}
+
+/** CSS padding for one edge: the larger of the bridge and CSS insets, plus `base`. */
+export function insetPadding(insets: Insets, edge: keyof Insets, base: number) {
+  return `calc(${base}px + max(${insets[edge]}px, env(safe-area-inset-${edge}, 0px)))`;
+}
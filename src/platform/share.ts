@@ -0,0 +1,44 @@
+import { saveBase64Data, share } from "@apps-in-toss/web-framework";
+import { isTossApp } from "./toss";
+
+export function downloadBlob(blob: Blob, fileName: string) {
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement("a");
+  a.href = url;
+  a.download = fileName;
+  a.click();
+  URL.revokeObjectURL(url);
+}
+
+function toBase64(blob: Blob) {
+  return new Promise<string>((resolve, reject) => {
+    const reader = new FileReader();
+    reader.onload = () => resolve(String(reader.result).split(",")[1] ?? "");
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Shares an image. Inside Toss the image is saved to the device and the
+ * message goes through the native share sheet (which only takes text); in a
+ * browser the Web Share API is used when it accepts files, otherwise the
+ * image is downloaded.
+ */
+export async function shareImage(blob: Blob, fileName: string, message: string) {
+  if (isTossApp()) {
+    await saveBase64Data({ data: await toBase64(blob), fileName, mimeType: blob.type });
+    await share({ message });
+    return;
+  }
+  const file = new File([blob], fileName, { type: blob.type });
+  if (typeof navigator.canShare === "function" && navigator.canShare({ files: [file] })) {
+    try {
+      await navigator.share({ files: [file], text: message });
+      return;
+    } catch (err) {
+      if ((err as Error).name === "AbortError") return;
+    }
+  }
+  downloadBlob(blob, fileName);
+}
@@ -0,0 +1,8 @@
+/**
+ * True when the page runs inside the Toss app WebView. The bridge calls from
+ * `@apps-in-toss/web-framework` reject (or throw) in a plain browser, so every
+ * native feature checks this first and falls back to a web implementation.
+ */
+export function isTossApp() {
+  return typeof window !== "undefined" && "ReactNativeWebView" in window;
+}
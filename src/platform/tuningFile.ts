@@ -0,0 +1,26 @@
+import { TUNING_PRESETS, parseTuningOverride } from "../game/tuning";
+import type { Difficulty, Tuning } from "../game/tuning";
+
+const TUNING_URL = import.meta.env.VITE_TUNING_URL ?? `${import.meta.env.BASE_URL}tuning.json`;
+
+/**
+ * Loads the designers' override file once at startup. Without one the
+ * stock presets are used; a broken one is reported in the console in full
+ * and ignored, so the game always starts.
+ */
+export async function loadTuningPresets(): Promise<Record<Difficulty, Tuning>> {
+  let data: unknown;
+  try {
+    const res = await fetch(TUNING_URL, { cache: "no-store" });
+    if (!res.ok) return TUNING_PRESETS;
+    data = await res.json();
+  } catch {
+    // a missing file can come back as the app's index page instead of a 404
+    return TUNING_PRESETS;
+  }
+  const { presets, errors } = parseTuningOverride(data);
+  if (errors.length) {
+    console.error(`${TUNING_URL} was ignored:\n${errors.map((e) => `  - ${e}`).join("\n")}`);
+  }
+  return presets;
+}
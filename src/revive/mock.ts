@@ -0,0 +1,8 @@
+import type { ReviveProvider } from "./revive";
+
+/** Development stand-in for a rewarded ad: a short wait that always pays out. */
+export function createMockRewardedAd(durationMs = 1500): ReviveProvider {
+  return {
+    requestRevive: () => new Promise((resolve) => setTimeout(() => resolve(true), durationMs)),
+  };
+}
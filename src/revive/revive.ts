@@ -0,0 +1,31 @@
+import { isTossApp } from "../platform/toss";
+import { createMockRewardedAd } from "./mock";
+import { createTossRewardedAd } from "./toss";
+
+/**
+ * Gates the one continue a run gets. The game only asks; whatever the host
+ * shows in between (a rewarded ad, a purchase, nothing) is up to it.
+ */
+export interface ReviveProvider {
+  /** Resolves true if the player earned the continue. */
+  requestRevive(): Promise<boolean>;
+}
+
+let override: ReviveProvider | null = null;
+
+/** Lets the host app plug in its own gate. Pass `null` to go back to the default. */
+export function setReviveProvider(provider: ReviveProvider | null) {
+  override = provider;
+}
+
+/**
+ * The gate to use, or null when there is none and runs get no continue.
+ * Inside Toss that is a build without an ad group, which must not hand out
+ * free continues; the mock is only for development outside the app.
+ */
+export function getReviveProvider(): ReviveProvider | null {
+  if (override) return override;
+  if (!isTossApp()) return createMockRewardedAd();
+  const adGroupId = import.meta.env.VITE_REVIVE_AD_GROUP_ID;
+  return adGroupId ? createTossRewardedAd(adGroupId) : null;
+}
@@ -0,0 +1,33 @@
+import { loadFullScreenAd, showFullScreenAd } from "@apps-in-toss/web-framework";
+import type { ReviveProvider } from "./revive";
+
+/**
+ * Toss rewarded ad. The continue is granted only once the ad reports
+ * `userEarnedReward`; closing it early or any load/show failure declines.
+ */
+export function createTossRewardedAd(adGroupId: string): ReviveProvider {
+  return {
+    requestRevive() {
+      if (!loadFullScreenAd.isSupported() || !showFullScreenAd.isSupported()) return Promise.resolve(false);
+      return new Promise((resolve) => {
+        let earned = false;
+        loadFullScreenAd({
+          options: { adGroupId },
+          onEvent: (loaded) => {
+            if (loaded.type !== "loaded") return;
+            showFullScreenAd({
+              options: { adGroupId },
+              onEvent: (ev) => {
+                if (ev.type === "userEarnedReward") earned = true;
+                else if (ev.type === "dismissed") resolve(earned);
+                else if (ev.type === "failedToShow") resolve(false);
+              },
+              onError: () => resolve(false),
+            });
+          },
+          onError: () => resolve(false),
+        });
+      });
+    },
+  };
+}
@@ -0,0 +1,34 @@
+import { Storage } from "@apps-in-toss/web-framework";
+import { isTossApp } from "../platform/toss";
+
+export interface StorageBackend {
+  getItem(key: string): Promise<string | null>;
+  setItem(key: string, value: string): Promise<void>;
+  removeItem(key: string): Promise<void>;
+}
+
+export const localBackend: StorageBackend = {
+  async getItem(key) {
+    try {
+      return localStorage.getItem(key);
+    } catch {
+      return null;
+    }
+  },
+  async setItem(key, value) {
+    localStorage.setItem(key, value);
+  },
+  async removeItem(key) {
+    localStorage.removeItem(key);
+  },
+};
+
+export const tossBackend: StorageBackend = {
+  getItem: (key) => Storage.getItem(key),
+  setItem: (key, value) => Storage.setItem(key, value),
+  removeItem: (key) => Storage.removeItem(key),
+};
+
+export function getStorageBackend(): StorageBackend {
+  return isTossApp() ? tossBackend : localBackend;
+}
@@ -0,0 +1,26 @@
+import type { Ghost } from "../game/ghost";
+import type { GameMode } from "../game/types";
+import { getStorageBackend } from "./backend";
+import type { StorageBackend } from "./backend";
+
+/** Ghosts are large next to the save, so each mode keeps its own key. */
+function ghostKey(mode: GameMode) {
+  return `jump-egg:ghost:${mode}`;
+}
+
+export async function loadGhost(mode: GameMode, backend: StorageBackend = getStorageBackend()): Promise<Ghost | null> {
+  try {
+    const raw = await backend.getItem(ghostKey(mode));
+    const data = raw ? (JSON.parse(raw) as Ghost) : null;
+    if (!data || typeof data.path !== "string" || typeof data.frames !== "number" || !Array.isArray(data.stages)) {
+      return null;
+    }
+    return data;
+  } catch {
+    return null;
+  }
+}
+
+export async function writeGhost(ghost: Ghost, backend: StorageBackend = getStorageBackend()) {
+  await backend.setItem(ghostKey(ghost.mode), JSON.stringify(ghost));
+}
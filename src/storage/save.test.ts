@@ -0,0 +1,37 @@
+import { describe, expect, it } from "vitest";
+import type { StorageBackend } from "./backend";
+import { SAVE_VERSION, defaultSave, loadSave, migrateSave } from "./save";
+
+describe("migrateSave", () => {
+  it("keeps time attack splits on their checkpoints when one is corrupt", () => {
+    const raw = { ...defaultSave(), version: SAVE_VERSION, timeAttack: { 100: { best: 900, splits: [200, "x", 600, 800] } } };
+    expect(migrateSave(raw).timeAttack[100]).toEqual({ best: 900, splits: [200] });
+  });
+});
+
+describe("loadSave", () => {
+  function memoryBackend(items: Record<string, string>): StorageBackend {
+    return {
+      getItem: async (key) => items[key] ?? null,
+      setItem: async (key, value) => void (items[key] = value),
+      removeItem: async (key) => void delete items[key],
+    };
+  }
+
+  it("starts from defaults on a first launch", async () => {
+    expect(await loadSave(memoryBackend({}))).toEqual(defaultSave());
+  });
+
+  it("fills in what an older save of the same version lacks", async () => {
+    const stored = { version: SAVE_VERSION, stats: { bestHeight: 120, gamesPlayed: 3 } };
+    const save = await loadSave(memoryBackend({ "jump-egg:save": JSON.stringify(stored) }));
+    expect(save.stats).toEqual({ ...defaultSave().stats, bestHeight: 120, gamesPlayed: 3 });
+    expect(save.settings).toEqual(defaultSave().settings);
+    expect(save.timeAttack).toEqual({});
+  });
+
+  it("starts over on a save from a newer build", async () => {
+    const stored = { ...defaultSave(), version: SAVE_VERSION + 1, stats: { bestHeight: 120 } };
+    expect(await loadSave(memoryBackend({ "jump-egg:save": JSON.stringify(stored) }))).toEqual(defaultSave());
+  });
+});
@@ -0,0 +1,214 @@
+import { DEFAULT_ACCESSIBILITY, isMotionSetting, isPlatformStyle } from "../game/display";
+import type { AccessibilitySettings } from "../game/display";
+import { DEFAULT_PRACTICE } from "../game/practice";
+import type { PracticeOptions } from "../game/practice";
+import { dateKey } from "../game/random";
+import type { TimeAttackRecord } from "../game/timeAttack";
+import { isDifficulty } from "../game/tuning";
+import type { Difficulty } from "../game/tuning";
+import type { GameMode } from "../game/types";
+import { defaultMissionSave, sanitizeMissionSave } from "../missions/missions";
+import type { MissionSave } from "../missions/missions";
+import { getStorageBackend } from "./backend";
+import type { StorageBackend } from "./backend";
+
+export const SAVE_VERSION = 1;
+
+const SAVE_KEY = "jump-egg:save";
+
+export interface LifetimeStats {
+  bestHeight: number;
+  bestStage: number;
+  totalJumps: number;
+  totalPerfects: number;
+  gamesPlayed: number;
+}
+
+export interface DailyBest {
+  date: string;
+  score: number;
+}
+
+export interface Settings {
+  muted: boolean;
+  volume: number;
+  haptics: boolean;
+  /** Used for classic runs; the daily tower is always normal. */
+  difficulty: Difficulty;
+  practice: PracticeOptions;
+  accessibility: AccessibilitySettings;
+}
+
+export interface SaveData {
+  version: number;
+  stats: LifetimeStats;
+  daily: DailyBest | null;
+  settings: Settings;
+  missions: MissionSave;
+  /** Time attack records keyed by target height. */
+  timeAttack: Record<string, TimeAttackRecord>;
+}
+
+export interface RunSummary {
+  mode: GameMode;
+  score: number;
+  maxStageIdx: number;
+  jumps: number;
+  perfects: number;
+}
+
+type RawSave = Record<string, unknown> & { version: number };
+
+/**
+ * Each entry upgrades a save from `version` to `version + 1`. Version 1 is
+ * the first stored layout, so there is nothing to upgrade yet; fields added
+ * later without a bump are filled with defaults by `migrateSave`.
+ */
+const migrations: Record<number, (data: RawSave) => RawSave> = {};
+
+function defaultStats(): LifetimeStats {
+  return { bestHeight: 0, bestStage: 0, totalJumps: 0, totalPerfects: 0, gamesPlayed: 0 };
+}
+
+function defaultSettings(): Settings {
+  return {
+    muted: false,
+    volume: 0.7,
+    haptics: true,
+    difficulty: "normal",
+    practice: { ...DEFAULT_PRACTICE },
+    accessibility: { ...DEFAULT_ACCESSIBILITY },
+  };
+}
+
+export function defaultSave(): SaveData {
+  return {
+    version: SAVE_VERSION,
+    stats: defaultStats(),
+    daily: null,
+    settings: defaultSettings(),
+    missions: defaultMissionSave(),
+    timeAttack: {},
+  };
+}
+
+function num(value: unknown) {
+  return typeof value === "number" && Number.isFinite(value) ? value : 0;
+}
+
+function sanitizeTimeAttack(raw: unknown): Record<string, TimeAttackRecord> {
+  const out: Record<string, TimeAttackRecord> = {};
+  if (!raw || typeof raw !== "object") return out;
+  for (const [target, rec] of Object.entries(raw as Record<string, Partial<TimeAttackRecord>>)) {
+    if (!rec || typeof rec !== "object") continue;
+    const splits: unknown[] = Array.isArray(rec.splits) ? rec.splits : [];
+    // splits are matched to checkpoints by index, so keep only the valid ones before the first bad entry
+    const bad = splits.findIndex((t) => !(typeof t === "number" && t > 0));
+    out[target] = {
+      best: typeof rec.best === "number" && rec.best > 0 ? rec.best : null,
+      splits: (bad < 0 ? splits : splits.slice(0, bad)) as number[],
+    };
+  }
+  return out;
+}
+
+export function migrateSave(raw: RawSave): SaveData {
+  let data = raw;
+  while (data.version < SAVE_VERSION) {
+    const migrate = migrations[data.version];
+    if (!migrate) return defaultSave();
+    data = migrate(data);
+  }
+  if (data.version > SAVE_VERSION) return defaultSave();
+
+  const stats = (data.stats ?? {}) as Partial<LifetimeStats>;
+  const daily = data.daily as DailyBest | null | undefined;
+  const settings = { ...defaultSettings(), ...(data.settings as Partial<Settings> | undefined) };
+  return {
+    version: SAVE_VERSION,
+    stats: {
+      bestHeight: num(stats.bestHeight),
+      bestStage: num(stats.bestStage),
+      totalJumps: num(stats.totalJumps),
+      totalPerfects: num(stats.totalPerfects),
+      gamesPlayed: num(stats.gamesPlayed),
+    },
+    daily: daily && typeof daily.date === "string" ? { date: daily.date, score: num(daily.score) } : null,
+    settings: {
+      muted: settings.muted === true,
+      volume: Math.min(1, Math.max(0, num(settings.volume))),
+      haptics: settings.haptics !== false,
+      difficulty: isDifficulty(settings.difficulty) ? settings.difficulty : "normal",
+      practice: {
+        enemies: settings.practice?.enemies === true,
+        timed: settings.practice?.timed === true,
+        fragile: settings.practice?.fragile === true,
+      },
+      accessibility: {
+        motion: isMotionSetting(settings.accessibility?.motion) ? settings.accessibility.motion : "system",
+        platformStyle: isPlatformStyle(settings.accessibility?.platformStyle) ? settings.accessibility.platformStyle : "standard",
+        largeHud: settings.accessibility?.largeHud === true,
+        singleSwitch: settings.accessibility?.singleSwitch === true,
+      },
+    },
+    missions: sanitizeMissionSave(data.missions),
+    timeAttack: sanitizeTimeAttack(data.timeAttack),
+  };
+}
+
+function parse(text: string | null) {
+  if (!text) return null;
+  try {
+    return JSON.parse(text);
+  } catch {
+    return null;
+  }
+}
+
+export async function loadSave(backend: StorageBackend = getStorageBackend()): Promise<SaveData> {
+  try {
+    const current = parse(await backend.getItem(SAVE_KEY));
+    if (current && typeof current.version === "number") return migrateSave(current);
+  } catch {
+    // unreadable storage behaves like a first launch
+  }
+  return defaultSave();
+}
+
+export async function writeSave(save: SaveData, backend: StorageBackend = getStorageBackend()) {
+  await backend.setItem(SAVE_KEY, JSON.stringify(save));
+}
+
+export function dailyBest(save: SaveData, today: string = dateKey()) {
+  return save.daily && save.daily.date === today ? save.daily.score : 0;
+}
+
+export function updateSettings(save: SaveData, patch: Partial<Settings>): SaveData {
+  return { ...save, settings: { ...save.settings, ...patch } };
+}
+
+export function updateMissions(save: SaveData, missions: MissionSave): SaveData {
+  return { ...save, missions };
+}
+
+export function updateTimeAttackRecord(save: SaveData, target: number, record: TimeAttackRecord): SaveData {
+  return { ...save, timeAttack: { ...save.timeAttack, [target]: record } };
+}
+
+/** Folds a finished run into the lifetime stats. Daily runs keep their own best. */
+export function recordRun(save: SaveData, run: RunSummary, today: string = dateKey()): SaveData {
+  const { stats } = save;
+  return {
+    ...save,
+    stats: {
+      bestHeight: run.mode === "classic" ? Math.max(stats.bestHeight, run.score) : stats.bestHeight,
+      bestStage: Math.max(stats.bestStage, run.maxStageIdx),
+      totalJumps: stats.totalJumps + run.jumps,
+      totalPerfects: stats.totalPerfects + run.perfects,
+      gamesPlayed: stats.gamesPlayed + 1,
+    },
+    daily: run.mode === "daily" && run.score > dailyBest(save, today)
+      ? { date: today, score: run.score }
+      : save.daily,
+  };
+}
@@ -1 +1,8 @@
 /// <reference types="vite/client" />
+
+interface ImportMetaEnv {
+  /** Toss ad group for the rewarded continue ad. Without it no continue is offered inside Toss; the mock ad only runs outside Toss. */
+  readonly VITE_REVIVE_AD_GROUP_ID?: string;
+  /** Where to load the tuning override from. Defaults to `tuning.json` next to the app. */
+  readonly VITE_TUNING_URL?: string;
+}